@@ -0,0 +1,62 @@
+/**
+ * EtagStore - On-disk cache of GitHub responses keyed by URL
+ * Stores the ETag with each body so requests can be made conditional with If-None-Match
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+class EtagStore {
+    /**
+     * @param {string} dirPath - Directory holding one JSON file per cached URL
+     */
+    constructor(dirPath) {
+        this.dirPath = dirPath;
+    }
+
+    /**
+     * File that holds the entry for a URL
+     * @param {string} url - Request URL
+     * @returns {string} Absolute file path
+     */
+    getFilePath(url) {
+        const hash = crypto.createHash('sha256').update(url).digest('hex');
+        return path.join(this.dirPath, `${hash}.json`);
+    }
+
+    /**
+     * Read the cached entry for a URL
+     * @param {string} url - Request URL
+     * @returns {Promise<Object|null>} Entry with etag, body and nextPage, or null
+     */
+    async get(url) {
+        try {
+            const entry = JSON.parse(await fs.readFile(this.getFilePath(url), 'utf8'));
+            return entry.url === url ? entry : null;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`⚠️ Ignoring unreadable ETag cache entry for ${url}: ${error.message}`);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Store the response for a URL
+     * @param {string} url - Request URL
+     * @param {Object} entry - Object with etag, body and nextPage
+     * @returns {Promise<void>}
+     */
+    async set(url, entry) {
+        await fs.mkdir(this.dirPath, { recursive: true });
+
+        // Write then rename so readers never see a half-written file
+        const filePath = this.getFilePath(url);
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify({ url, ...entry, storedAt: new Date().toISOString() }), 'utf8');
+        await fs.rename(tempPath, filePath);
+    }
+}
+
+export default EtagStore;
@@ -0,0 +1,185 @@
+/**
+ * EventStore - Persistent, deduplicated store of GitHub events
+ * Keeps history beyond GitHub's 90-day / 300-event window in a JSON-lines file
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+class EventStore {
+    /**
+     * @param {string} filePath - Path to the JSON-lines file backing the store
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.events = new Map();
+        this.writeQueue = Promise.resolve();
+        this.loaded = false;
+    }
+
+    /**
+     * Load existing events from disk, creating the data directory if needed
+     * @returns {Promise<number>} Number of events loaded
+     */
+    async load() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        let contents = '';
+        try {
+            contents = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+
+        let skipped = 0;
+        contents.split('\n').forEach(line => {
+            if (!line.trim()) {
+                return;
+            }
+            try {
+                const event = JSON.parse(line);
+                this.events.set(event.id, event);
+            } catch (parseError) {
+                skipped++;
+            }
+        });
+
+        if (skipped > 0) {
+            console.warn(`⚠️ Skipped ${skipped} unreadable lines in ${this.filePath}`);
+        }
+
+        this.loaded = true;
+        console.log(`🗄️ EventStore loaded ${this.events.size} events from ${this.filePath}`);
+        return this.events.size;
+    }
+
+    /**
+     * Add events, ignoring any whose id is already stored
+     * @param {Array} events - Raw GitHub event objects
+     * @returns {Promise<number>} Number of newly stored events; rejects, storing none of them,
+     *   if the append to disk fails
+     */
+    async addEvents(events) {
+        if (!Array.isArray(events)) {
+            throw new Error('Events must be an array');
+        }
+
+        const newEvents = events
+            .filter(event => event && event.id && event.created_at && !this.events.has(event.id))
+            .map(event => this.compactEvent(event));
+
+        if (newEvents.length === 0) {
+            return 0;
+        }
+
+        // Claim the ids now so concurrent ingestions don't append the same events twice
+        newEvents.forEach(event => this.events.set(event.id, event));
+
+        const lines = newEvents.map(event => JSON.stringify(event)).join('\n') + '\n';
+        // A failed append rejects only its own caller, not every write queued after it
+        this.writeQueue = this.writeQueue
+            .catch(() => {})
+            .then(() => fs.appendFile(this.filePath, lines, 'utf8'));
+
+        try {
+            await this.writeQueue;
+        } catch (error) {
+            // Not on disk: release the ids so the next ingestion stores these events again
+            newEvents.forEach(event => this.events.delete(event.id));
+            throw error;
+        }
+
+        return newEvents.length;
+    }
+
+    /**
+     * Reduce an event to the fields the analysis pipeline uses
+     * @param {Object} event - Raw GitHub event
+     * @returns {Object} Compact event with the same shape as the API response
+     */
+    compactEvent(event) {
+        const commits = Array.isArray(event.payload?.commits)
+            ? event.payload.commits.map(commit => ({ sha: commit.sha }))
+            : undefined;
+
+        return {
+            id: event.id,
+            type: event.type,
+            created_at: event.created_at,
+            actor: event.actor ? { login: event.actor.login } : null,
+            org: event.org ? { login: event.org.login } : null,
+            repo: event.repo ? { name: event.repo.name } : null,
+            payload: commits ? { commits } : {}
+        };
+    }
+
+    /**
+     * Query stored events
+     * @param {Object} filters - Query filters
+     * @param {string} filters.org - Organization login
+     * @param {string} filters.user - Actor login
+     * @param {string} filters.type - Event type (e.g. PushEvent)
+     * @param {string} filters.since - Inclusive start date (YYYY-MM-DD or ISO timestamp)
+     * @param {string} filters.until - Inclusive end date (YYYY-MM-DD or ISO timestamp)
+     * @returns {Array} Matching events sorted newest first, like the GitHub API
+     */
+    query(filters = {}) {
+        const { org, user, type } = filters;
+        const since = filters.since ? new Date(filters.since).getTime() : null;
+        // A bare date covers the whole day
+        const until = filters.until
+            ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(filters.until) ? `${filters.until}T23:59:59.999Z` : filters.until).getTime()
+            : null;
+
+        const results = [];
+        for (const event of this.events.values()) {
+            if (org && event.org?.login?.toLowerCase() !== org.toLowerCase()) continue;
+            if (user && event.actor?.login?.toLowerCase() !== user.toLowerCase()) continue;
+            if (type && event.type !== type) continue;
+
+            const createdAt = new Date(event.created_at).getTime();
+            if (since !== null && createdAt < since) continue;
+            if (until !== null && createdAt > until) continue;
+
+            results.push(event);
+        }
+
+        return results.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    }
+
+    /**
+     * Summarize stored history per organization and actor
+     * @returns {Object} Store statistics
+     */
+    getStats() {
+        const orgs = {};
+        let oldest = null;
+        let newest = null;
+
+        for (const event of this.events.values()) {
+            if (!oldest || event.created_at < oldest) oldest = event.created_at;
+            if (!newest || event.created_at > newest) newest = event.created_at;
+
+            const orgName = event.org?.login;
+            if (orgName) {
+                if (!orgs[orgName]) {
+                    orgs[orgName] = { events: 0, oldest: event.created_at, newest: event.created_at };
+                }
+                orgs[orgName].events++;
+                if (event.created_at < orgs[orgName].oldest) orgs[orgName].oldest = event.created_at;
+                if (event.created_at > orgs[orgName].newest) orgs[orgName].newest = event.created_at;
+            }
+        }
+
+        return {
+            totalEvents: this.events.size,
+            oldest,
+            newest,
+            organizations: orgs
+        };
+    }
+}
+
+export default EventStore;
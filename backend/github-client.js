@@ -0,0 +1,251 @@
+/**
+ * GitHubClient - Server-side access to the GitHub events API
+ * Caches responses in a shared TTL cache and collapses concurrent identical requests
+ * Expired entries are revalidated with If-None-Match; 304s don't count against the rate limit
+ */
+
+import TtlCache from './ttl-cache.js';
+
+class GitHubClient {
+    // Kept private so the token never appears when the client is logged or serialized
+    #token;
+
+    /**
+     * @param {Object} options - Client options
+     * @param {number} options.cacheTtlMs - How long responses are served from cache
+     * @param {string} options.token - Optional personal access token (raises the limit to 5,000/hour)
+     * @param {EtagStore} options.etagStore - Optional store of ETags and bodies for conditional requests
+     */
+    constructor(options = {}) {
+        this.#token = options.token || null;
+        this.baseUrl = options.baseUrl || 'https://api.github.com';
+        this.cache = new TtlCache(options.cacheTtlMs || 10 * 60 * 1000);
+        this.pendingRequests = new Map();
+        this.etagStore = options.etagStore || null;
+        this.requestTimeout = 30000;
+
+        // Last budget reported by GitHub; requests are refused until blockedUntil
+        this.rateLimit = { limit: null, remaining: null, resetAt: null };
+        this.blockedUntil = 0;
+
+        console.log(`🐙 GitHubClient initialized (${this.#token ? 'authenticated' : 'unauthenticated'})`);
+    }
+
+    /**
+     * Whether requests are sent with a personal access token
+     * @returns {boolean} True if a token is configured
+     */
+    isAuthenticated() {
+        return this.#token !== null;
+    }
+
+    /**
+     * Fetch events for an organization
+     * @param {string} orgName - GitHub organization name
+     * @param {Object} query - Query parameters passed through to GitHub
+     * @returns {Promise<Object>} Object with events array and cache metadata
+     */
+    fetchOrgEvents(orgName, query = {}) {
+        return this.fetchEvents(`/orgs/${encodeURIComponent(orgName)}/events`, query);
+    }
+
+    /**
+     * Fetch events for a user
+     * @param {string} username - GitHub username
+     * @param {Object} query - Query parameters passed through to GitHub
+     * @returns {Promise<Object>} Object with events array and cache metadata
+     */
+    fetchUserEvents(username, query = {}) {
+        return this.fetchEvents(`/users/${encodeURIComponent(username)}/events`, query);
+    }
+
+    /**
+     * Fetch an events path, serving from cache when possible
+     * @param {string} path - API path starting with a slash
+     * @param {Object} query - Query parameters
+     * @returns {Promise<Object>} Object with events, nextPage, cached flag and expiresIn
+     */
+    async fetchEvents(path, query = {}) {
+        const params = new URLSearchParams(query);
+        const url = `${this.baseUrl}${path}${params.toString() ? `?${params}` : ''}`;
+
+        const cached = this.cache.get(url);
+        if (cached) {
+            return { ...cached, cached: true, expiresIn: this.cache.getRemainingTtl(url) };
+        }
+
+        // Share one upstream request between concurrent callers
+        if (!this.pendingRequests.has(url)) {
+            const request = this.requestJson(url)
+                .then(({ body, nextPage }) => {
+                    const page = { events: body, nextPage };
+                    this.cache.set(url, page);
+                    return page;
+                })
+                .finally(() => this.pendingRequests.delete(url));
+            this.pendingRequests.set(url, request);
+        }
+
+        const page = await this.pendingRequests.get(url);
+        return { ...page, cached: false, expiresIn: this.cache.getRemainingTtl(url) };
+    }
+
+    /**
+     * Read the next page number from a GitHub Link header
+     * @param {string|null} linkHeader - Link header value
+     * @returns {number|null} Next page number, or null on the last page
+     */
+    parseNextPage(linkHeader) {
+        if (!linkHeader) {
+            return null;
+        }
+
+        const next = linkHeader.split(',').find(part => /rel="next"/.test(part));
+        const match = next && next.match(/<([^>]+)>/);
+        if (!match) {
+            return null;
+        }
+
+        const page = Number(new URL(match[1], this.baseUrl).searchParams.get('page'));
+        return Number.isInteger(page) && page > 0 ? page : null;
+    }
+
+    /**
+     * Build the error returned while GitHub requests are blocked by a rate limit
+     * @param {number} retryAt - Epoch milliseconds when requests may resume
+     * @returns {Error} Error with status 429 and retryAfterSeconds
+     */
+    createRateLimitError(retryAt) {
+        const error = new Error(`GitHub rate limit exceeded, retry after ${new Date(retryAt).toISOString()}`);
+        error.status = 429;
+        error.retryAfterSeconds = Math.max(1, Math.ceil((retryAt - Date.now()) / 1000));
+        return error;
+    }
+
+    /**
+     * Record the budget from GitHub rate limit headers
+     * @param {Headers} headers - Response headers
+     */
+    updateRateLimit(headers) {
+        const remaining = headers.get('x-ratelimit-remaining');
+        if (remaining === null) {
+            return;
+        }
+
+        this.rateLimit = {
+            limit: Number(headers.get('x-ratelimit-limit')) || null,
+            remaining: Number(remaining),
+            resetAt: Number(headers.get('x-ratelimit-reset')) * 1000 || null
+        };
+
+        if (this.rateLimit.remaining === 0 && this.rateLimit.resetAt > Date.now()) {
+            this.blockedUntil = this.rateLimit.resetAt;
+            console.warn(`⏸️ GitHub rate limit exhausted until ${new Date(this.blockedUntil).toISOString()}`);
+        }
+    }
+
+    /**
+     * Work out when to retry after a 403/429, or null for a plain permission error
+     * @param {Response} response - Failed GitHub response
+     * @returns {Promise<number|null>} Epoch milliseconds to retry at
+     */
+    async getRateLimitRetryAt(response) {
+        const retryAfter = response.headers.get('retry-after');
+        if (retryAfter !== null) {
+            const seconds = Number(retryAfter);
+            return Date.now() + (isNaN(seconds) ? 60 : seconds) * 1000;
+        }
+
+        if (response.headers.get('x-ratelimit-remaining') === '0') {
+            const resetAt = Number(response.headers.get('x-ratelimit-reset')) * 1000;
+            return resetAt > Date.now() ? resetAt : Date.now() + 60000;
+        }
+
+        const body = await response.text().catch(() => '');
+        if (/secondary rate limit|abuse/i.test(body) || response.status === 429) {
+            return Date.now() + 60000;
+        }
+
+        return null;
+    }
+
+    /**
+     * Perform a GET request against GitHub and parse the JSON body
+     * @param {string} url - Full request URL
+     * @returns {Promise<Object>} Object with the parsed body and the next page number from the Link header
+     */
+    async requestJson(url) {
+        if (this.blockedUntil > Date.now()) {
+            throw this.createRateLimitError(this.blockedUntil);
+        }
+
+        const stored = this.etagStore ? await this.etagStore.get(url) : null;
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.requestTimeout);
+
+        try {
+            console.log(`🔍 Proxying GitHub request: ${url}`);
+
+            const response = await fetch(url, {
+                signal: controller.signal,
+                headers: {
+                    'Accept': 'application/vnd.github+json',
+                    'User-Agent': 'UnicornWeatherIndex-Backend/1.0',
+                    ...(stored ? { 'If-None-Match': stored.etag } : {}),
+                    ...(this.#token ? { 'Authorization': `Bearer ${this.#token}` } : {})
+                }
+            });
+
+            this.updateRateLimit(response.headers);
+
+            if (response.status === 304 && stored) {
+                console.log(`♻️ Not modified, serving stored body: ${url}`);
+                return { body: stored.body, nextPage: stored.nextPage };
+            }
+
+            if (response.status === 403 || response.status === 429) {
+                const retryAt = await this.getRateLimitRetryAt(response);
+                if (retryAt !== null) {
+                    this.blockedUntil = Math.max(this.blockedUntil, retryAt);
+                    throw this.createRateLimitError(retryAt);
+                }
+            }
+
+            if (!response.ok) {
+                const error = new Error(`GitHub responded with HTTP ${response.status}: ${response.statusText}`);
+                error.status = response.status;
+                throw error;
+            }
+
+            const result = {
+                body: await response.json(),
+                nextPage: this.parseNextPage(response.headers.get('link'))
+            };
+
+            const etag = response.headers.get('etag');
+            if (this.etagStore && etag) {
+                await this.etagStore.set(url, { etag, ...result }).catch(storeError => {
+                    console.warn(`⚠️ Could not store ETag for ${url}: ${storeError.message}`);
+                });
+            }
+
+            return result;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                const timeoutError = new Error('GitHub request timed out');
+                timeoutError.status = 504;
+                throw timeoutError;
+            }
+            if (!error.status) {
+                // Network failure reaching GitHub
+                error.status = 502;
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+}
+
+export default GitHubClient;
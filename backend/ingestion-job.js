@@ -0,0 +1,217 @@
+/**
+ * IngestionJob - Periodically pulls GitHub events into the EventStore
+ * Covers the baseline organizations and any tracked users
+ */
+
+import fs from 'fs/promises';
+
+class IngestionJob {
+    /**
+     * @param {Object} options - Job options
+     * @param {GitHubClient} options.githubClient - Client used to fetch events
+     * @param {EventStore} options.eventStore - Store receiving the events
+     * @param {Array<string>} options.orgs - Organizations to ingest
+     * @param {Array<string>} options.users - Users to ingest
+     * @param {string} options.trackedUsersPath - File persisting users added at runtime
+     * @param {number} options.maxUsers - Most users the job will ingest (default 50)
+     * @param {number} options.intervalMs - Delay between runs
+     */
+    constructor(options) {
+        this.githubClient = options.githubClient;
+        this.eventStore = options.eventStore;
+        this.orgs = new Set(options.orgs || []);
+        this.users = new Set(options.users || []);
+        this.trackedUsersPath = options.trackedUsersPath || null;
+        this.maxUsers = options.maxUsers || 50;
+        this.intervalMs = options.intervalMs;
+
+        // GitHub serves at most 300 events per feed: 3 pages of 100
+        this.perPage = 100;
+        this.maxPages = 3;
+
+        this.timer = null;
+        this.isRunning = false;
+        this.lastRun = null;
+    }
+
+    /**
+     * Restore persisted tracked users and start the periodic schedule
+     */
+    async start() {
+        await this.loadTrackedUsers();
+
+        await this.runOnce();
+        this.timer = setInterval(() => {
+            this.runOnce().catch(error => console.error('❌ Ingestion run failed:', error));
+        }, this.intervalMs);
+
+        // Don't keep the process alive just for ingestion
+        if (this.timer.unref) {
+            this.timer.unref();
+        }
+
+        console.log(`⏱️ Ingestion scheduled every ${Math.round(this.intervalMs / 60000)} minutes`);
+    }
+
+    /**
+     * Stop the periodic schedule
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Ingest all configured organizations and users once
+     * @returns {Promise<Object>} Summary of the run
+     */
+    async runOnce() {
+        if (this.isRunning) {
+            console.log('⏳ Ingestion already running, skipping');
+            return this.lastRun;
+        }
+
+        this.isRunning = true;
+        const startedAt = new Date().toISOString();
+        const sources = {};
+
+        try {
+            for (const org of this.orgs) {
+                sources[`org:${org}`] = await this.ingestSource(page =>
+                    this.githubClient.fetchOrgEvents(org, { per_page: this.perPage, page }));
+            }
+
+            for (const user of this.users) {
+                sources[`user:${user}`] = await this.ingestUser(user);
+            }
+        } finally {
+            this.isRunning = false;
+        }
+
+        const newEvents = Object.values(sources).reduce((sum, source) => sum + (source.newEvents || 0), 0);
+        this.lastRun = {
+            startedAt,
+            finishedAt: new Date().toISOString(),
+            newEvents,
+            sources
+        };
+
+        console.log(`✅ Ingestion complete: ${newEvents} new events stored`);
+        return this.lastRun;
+    }
+
+    /**
+     * Fetch every available page of one feed and store it
+     * @param {Function} fetchPage - Fetches a page number, resolving to { events, nextPage }
+     * @returns {Promise<Object>} Per-source summary
+     */
+    async ingestSource(fetchPage) {
+        let fetched = 0;
+        let newEvents = 0;
+
+        try {
+            for (let page = 1; page <= this.maxPages; page++) {
+                const { events, nextPage } = await fetchPage(page);
+                if (!Array.isArray(events) || events.length === 0) {
+                    break;
+                }
+
+                fetched += events.length;
+                const added = await this.eventStore.addEvents(events);
+                newEvents += added;
+
+                // Everything older is already stored, or the feed has ended
+                if (added === 0 || !nextPage) {
+                    break;
+                }
+            }
+
+            return { fetched, newEvents };
+        } catch (error) {
+            console.warn(`⚠️ Ingestion source failed: ${error.message}`);
+            return { fetched, newEvents, error: error.message };
+        }
+    }
+
+    /**
+     * Ingest a single user's feed outside the regular schedule
+     * @param {string} username - GitHub username
+     * @returns {Promise<Object>} Per-source summary
+     */
+    ingestUser(username) {
+        return this.ingestSource(page =>
+            this.githubClient.fetchUserEvents(username, { per_page: this.perPage, page }));
+    }
+
+    /**
+     * Add a user to the ingestion list and persist it
+     * Every tracked user costs up to maxPages requests per run, so the list is capped at maxUsers
+     * @param {string} username - GitHub username
+     * @returns {Promise<boolean>} True if the user was newly tracked
+     * @throws {Error} With code 'TRACK_LIMIT' when the list is full
+     */
+    async trackUser(username) {
+        const key = username.toLowerCase();
+        if ([...this.users].some(user => user.toLowerCase() === key)) {
+            return false;
+        }
+
+        if (this.users.size >= this.maxUsers) {
+            const error = new Error(`Already tracking the maximum of ${this.maxUsers} users`);
+            error.code = 'TRACK_LIMIT';
+            throw error;
+        }
+
+        this.users.add(username);
+        await this.saveTrackedUsers();
+        return true;
+    }
+
+    /**
+     * Load runtime-tracked users from disk
+     */
+    async loadTrackedUsers() {
+        if (!this.trackedUsersPath) {
+            return;
+        }
+
+        try {
+            const saved = JSON.parse(await fs.readFile(this.trackedUsersPath, 'utf8'));
+            if (Array.isArray(saved)) {
+                saved.forEach(user => this.users.add(user));
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`⚠️ Could not read tracked users: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Persist tracked users to disk
+     */
+    async saveTrackedUsers() {
+        if (!this.trackedUsersPath) {
+            return;
+        }
+        await fs.writeFile(this.trackedUsersPath, JSON.stringify([...this.users], null, 2), 'utf8');
+    }
+
+    /**
+     * Describe the job configuration and last run
+     * @returns {Object} Job status
+     */
+    getStatus() {
+        return {
+            orgs: [...this.orgs],
+            users: [...this.users],
+            intervalMs: this.intervalMs,
+            isRunning: this.isRunning,
+            lastRun: this.lastRun
+        };
+    }
+}
+
+export default IngestionJob;
@@ -1,16 +1,90 @@
 /**
  * Unicorn Weather Index - Backend Server
- * Simple Express server for future API endpoints and CORS handling
+ * Express server providing a cached GitHub proxy and CORS handling
  */
 
 import express from 'express';
 import cors from 'cors';
+import fs from 'fs';
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import GitHubClient from './github-client.js';
+import EtagStore from './etag-store.js';
+import EventStore from './event-store.js';
+import IngestionJob from './ingestion-job.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// GitHub login names: alphanumerics and single hyphens, max 39 characters
+const GITHUB_NAME_REGEX = /^[a-z\d](?:[a-z\d]|-(?=[a-z\d])){0,38}$/i;
+const PROXIED_QUERY_PARAMS = ['per_page', 'page'];
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const BACKEND_DIR = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = process.env.DATA_DIR || path.join(BACKEND_DIR, 'data');
+const COHORTS_PATH = process.env.COHORTS_PATH || path.join(BACKEND_DIR, '..', 'frontend', 'config', 'cohorts.json');
+const BASELINE_ORGS = ['zerodha', 'razorpay', 'postmanlabs', 'hasura'];
+
+const githubClient = new GitHubClient({
+    cacheTtlMs: Number(process.env.GITHUB_CACHE_TTL_MS) || 10 * 60 * 1000,
+    token: process.env.GITHUB_TOKEN,
+    etagStore: new EtagStore(path.join(DATA_DIR, 'etags'))
+});
+
+/**
+ * Read the shared cohort config used by the frontend
+ * @returns {Object} Cohort config, or a single built-in cohort if unreadable
+ */
+function loadCohortConfig() {
+    try {
+        const config = JSON.parse(fs.readFileSync(COHORTS_PATH, 'utf8'));
+        if (!Array.isArray(config.cohorts)) {
+            throw new Error('cohorts array missing');
+        }
+        return config;
+    } catch (error) {
+        console.warn(`⚠️ Could not read cohort config at ${COHORTS_PATH}: ${error.message}`);
+        return {
+            defaultCohort: 'bangalore-unicorns',
+            cohorts: [{ id: 'bangalore-unicorns', name: 'Bangalore unicorns', orgs: BASELINE_ORGS }]
+        };
+    }
+}
+
+const cohortConfig = loadCohortConfig();
+const cohortOrgs = [...new Set(cohortConfig.cohorts.flatMap(cohort => cohort.orgs || []))];
+
+/**
+ * Parse a comma-separated environment variable into a list
+ * @param {string} value - Raw environment value
+ * @param {Array<string>} fallback - List used when the variable is unset
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+function parseList(value, fallback) {
+    if (value === undefined) {
+        return fallback;
+    }
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+const eventStore = new EventStore(path.join(DATA_DIR, 'events.jsonl'));
+const ingestionJob = new IngestionJob({
+    githubClient,
+    eventStore,
+    orgs: parseList(process.env.INGEST_ORGS, cohortOrgs),
+    users: parseList(process.env.INGEST_USERS, []),
+    trackedUsersPath: path.join(DATA_DIR, 'tracked-users.json'),
+    maxUsers: Number(process.env.MAX_TRACKED_USERS) || 50,
+    intervalMs: Number(process.env.INGEST_INTERVAL_MS) || 15 * 60 * 1000
+});
+
 // Middleware
-app.use(cors());
+// Expose cache and rate limit headers so the browser can schedule around the shared budget
+app.use(cors({
+    exposedHeaders: ['X-Cache', 'ETag', 'Link', 'Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset']
+}));
 app.use(express.json());
 
 // Health check endpoint
@@ -28,13 +102,218 @@ app.get('/api/status', (req, res) => {
         service: 'Unicorn Weather Index API',
         version: '1.0.0',
         status: 'active',
+        githubAuthenticated: githubClient.isAuthenticated(),
         endpoints: {
             health: '/health',
-            status: '/api/status'
+            status: '/api/status',
+            orgEvents: '/api/github/orgs/:org/events',
+            userEvents: '/api/github/users/:user/events',
+            storedOrgEvents: '/api/events/orgs/:org',
+            storedUserEvents: '/api/events/users/:user',
+            eventStats: '/api/events/stats',
+            cohorts: '/api/cohorts',
+            trackUser: 'POST /api/events/users/:user/track'
         }
     });
 });
 
+/**
+ * Pick the query parameters that are forwarded to GitHub
+ * @param {Object} query - Express request query
+ * @returns {Object} Whitelisted query parameters
+ */
+function pickProxiedQuery(query) {
+    const picked = {};
+    PROXIED_QUERY_PARAMS.forEach(param => {
+        if (query[param] !== undefined && /^\d+$/.test(String(query[param]))) {
+            picked[param] = String(query[param]);
+        }
+    });
+    return picked;
+}
+
+/**
+ * Copy the backend's GitHub budget onto a response
+ * @param {Object} res - Express response
+ */
+function setRateLimitHeaders(res) {
+    const { limit, remaining, resetAt } = githubClient.rateLimit;
+    if (remaining === null) {
+        return;
+    }
+    res.set('X-RateLimit-Limit', String(limit));
+    res.set('X-RateLimit-Remaining', String(remaining));
+    res.set('X-RateLimit-Reset', String(Math.floor(resetAt / 1000)));
+}
+
+/**
+ * Build an Express handler that proxies a GitHub events endpoint
+ * @param {string} paramName - Route parameter holding the GitHub login
+ * @param {Function} fetchEvents - GitHubClient method to call
+ * @returns {Function} Express request handler
+ */
+function createEventsProxyHandler(paramName, fetchEvents) {
+    return async (req, res, next) => {
+        const name = req.params[paramName];
+
+        if (!GITHUB_NAME_REGEX.test(name)) {
+            return res.status(400).json({
+                error: 'Invalid name',
+                message: `'${name}' is not a valid GitHub ${paramName} name`
+            });
+        }
+
+        try {
+            const query = pickProxiedQuery(req.query);
+            const result = await fetchEvents(name, query);
+
+            // Point the next-page link back at the proxy rather than GitHub
+            if (result.nextPage) {
+                const nextQuery = new URLSearchParams({ ...query, page: String(result.nextPage) });
+                res.set('Link', `<${req.baseUrl}${req.path}?${nextQuery}>; rel="next"`);
+            }
+            setRateLimitHeaders(res);
+            res.set('X-Cache', result.cached ? 'HIT' : 'MISS');
+            res.set('Cache-Control', `public, max-age=${Math.floor(result.expiresIn / 1000)}`);
+            res.json(result.events);
+        } catch (error) {
+            setRateLimitHeaders(res);
+            if (error.retryAfterSeconds) {
+                res.set('Retry-After', String(error.retryAfterSeconds));
+            }
+            if (error.status && error.status < 600) {
+                return res.status(error.status).json({
+                    error: 'GitHub request failed',
+                    message: error.message,
+                    status: error.status
+                });
+            }
+            next(error);
+        }
+    };
+}
+
+// GitHub events proxy with shared server-side cache
+app.get('/api/github/orgs/:org/events',
+    createEventsProxyHandler('org', (name, query) => githubClient.fetchOrgEvents(name, query)));
+app.get('/api/github/users/:user/events',
+    createEventsProxyHandler('user', (name, query) => githubClient.fetchUserEvents(name, query)));
+
+/**
+ * Build an Express handler that serves stored events for an org or user
+ * @param {string} paramName - Route parameter holding the GitHub login
+ * @returns {Function} Express request handler
+ */
+function createStoredEventsHandler(paramName) {
+    return (req, res) => {
+        const name = req.params[paramName];
+        const { since, until, type = 'PushEvent' } = req.query;
+
+        if (!GITHUB_NAME_REGEX.test(name)) {
+            return res.status(400).json({
+                error: 'Invalid name',
+                message: `'${name}' is not a valid GitHub ${paramName} name`
+            });
+        }
+
+        if ((since && !DATE_REGEX.test(since)) || (until && !DATE_REGEX.test(until))) {
+            return res.status(400).json({
+                error: 'Invalid date',
+                message: 'since and until must be in YYYY-MM-DD format'
+            });
+        }
+
+        const events = eventStore.query({
+            [paramName]: name,
+            type: type === 'all' ? undefined : type,
+            since,
+            until
+        });
+
+        res.json(events);
+    };
+}
+
+// Baseline cohorts shared with the frontend
+app.get('/api/cohorts', (req, res) => {
+    res.json(cohortConfig);
+});
+
+// Persistent event history
+app.get('/api/events/stats', (req, res) => {
+    res.json({
+        store: eventStore.getStats(),
+        ingestion: ingestionJob.getStatus()
+    });
+});
+app.get('/api/events/orgs/:org', createStoredEventsHandler('org'));
+app.get('/api/events/users/:user', createStoredEventsHandler('user'));
+
+/**
+ * Check the request's bearer token against TRACK_TOKEN
+ * Tracking spends the server's GitHub budget, so it stays off unless a token is configured
+ * @param {Object} req - Express request
+ * @returns {boolean} True if the request may track users
+ */
+function isTrackingAuthorized(req) {
+    const expected = process.env.TRACK_TOKEN;
+    if (!expected) {
+        return false;
+    }
+
+    const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+    if (!match) {
+        return false;
+    }
+
+    const given = Buffer.from(match[1]);
+    const wanted = Buffer.from(expected);
+    return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+}
+
+app.post('/api/events/users/:user/track', async (req, res, next) => {
+    const { user } = req.params;
+
+    if (!process.env.TRACK_TOKEN) {
+        return res.status(403).json({
+            error: 'Tracking disabled',
+            message: 'Set TRACK_TOKEN on the server to enable user tracking'
+        });
+    }
+
+    if (!isTrackingAuthorized(req)) {
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'A valid bearer token is required to track users'
+        });
+    }
+
+    if (!GITHUB_NAME_REGEX.test(user)) {
+        return res.status(400).json({
+            error: 'Invalid name',
+            message: `'${user}' is not a valid GitHub user name`
+        });
+    }
+
+    try {
+        const added = await ingestionJob.trackUser(user);
+        if (added) {
+            // Pull the user's history now rather than waiting for the next run
+            ingestionJob.ingestUser(user)
+                .catch(error => console.error(`❌ Failed to ingest tracked user ${user}:`, error.message));
+        }
+        res.status(added ? 201 : 200).json({ user, tracked: true, added });
+    } catch (error) {
+        if (error.code === 'TRACK_LIMIT') {
+            return res.status(409).json({
+                error: 'Tracking limit reached',
+                message: error.message
+            });
+        }
+        next(error);
+    }
+});
+
 // 404 handler
 app.use('*', (req, res) => {
     res.status(404).json({
@@ -52,11 +331,22 @@ app.use((err, req, res, next) => {
     });
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`🚀 Unicorn Weather Index Backend running on http://localhost:${PORT}`);
-    console.log(`📊 Health check: http://localhost:${PORT}/health`);
-    console.log(`📡 API status: http://localhost:${PORT}/api/status`);
-});
+// Start server once stored history is available
+eventStore.load()
+    .then(() => {
+        app.listen(PORT, () => {
+            console.log(`🚀 Unicorn Weather Index Backend running on http://localhost:${PORT}`);
+            console.log(`📊 Health check: http://localhost:${PORT}/health`);
+            console.log(`📡 API status: http://localhost:${PORT}/api/status`);
+        });
+
+        if (process.env.INGEST_INTERVAL_MS !== '0') {
+            ingestionJob.start().catch(error => console.error('❌ Failed to start ingestion:', error));
+        }
+    })
+    .catch(error => {
+        console.error('❌ Failed to load event store:', error);
+        process.exit(1);
+    });
 
 export default app;
\ No newline at end of file
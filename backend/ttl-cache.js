@@ -0,0 +1,89 @@
+/**
+ * TtlCache - Small in-memory cache with per-entry expiry
+ * Shared by all clients of the backend so upstream APIs are hit once per window. Expired entries
+ * are swept out while new ones are stored, so keys that are never requested again don't pile up
+ */
+
+class TtlCache {
+    /**
+     * @param {number} ttlMs - Time-to-live for each entry in milliseconds
+     */
+    constructor(ttlMs) {
+        this.ttlMs = ttlMs;
+        this.entries = new Map();
+        this.lastPrunedAt = Date.now();
+    }
+
+    /**
+     * Get a cached value if it has not expired
+     * @param {string} key - Cache key
+     * @returns {*} Cached value or undefined
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+
+        return entry.value;
+    }
+
+    /**
+     * Store a value under a key
+     * @param {string} key - Cache key
+     * @param {*} value - Value to cache
+     */
+    set(key, value) {
+        const now = Date.now();
+        // A sweep per TTL window keeps the cache to about two windows of entries
+        if (now - this.lastPrunedAt >= this.ttlMs) {
+            this.prune();
+        }
+
+        this.entries.set(key, {
+            value: value,
+            expiresAt: now + this.ttlMs
+        });
+    }
+
+    /**
+     * Get remaining lifetime of an entry
+     * @param {string} key - Cache key
+     * @returns {number} Milliseconds until expiry (0 if missing or expired)
+     */
+    getRemainingTtl(key) {
+        const entry = this.entries.get(key);
+        return entry ? Math.max(0, entry.expiresAt - Date.now()) : 0;
+    }
+
+    /**
+     * Remove expired entries
+     */
+    prune() {
+        const now = Date.now();
+        this.lastPrunedAt = now;
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) {
+                this.entries.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Remove all entries
+     */
+    clear() {
+        this.entries.clear();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+export default TtlCache;
@@ -0,0 +1,493 @@
+/**
+ * AnalysisEngine - The one analysis pipeline behind the app and the live dashboard
+ * Fetches GitHub, weather and air quality data, then processes, normalizes, synchronizes and
+ * correlates it. Pages only render what analyze() returns
+ */
+
+import DataFetcher from './data-fetcher.js';
+import DataProcessor from './data-processor.js';
+import InsightGenerator from './insight-generator.js';
+import { NORMALIZATION_STRATEGIES, DEFAULT_NORMALIZATION, validateStrategy } from './normalization.js';
+
+// Days off pad the series with zeros and festival holidays cluster in the monsoon, so weather
+// is correlated on workdays only
+const CORRELATED_DAY_TYPES = ['workday'];
+
+class AnalysisEngine {
+    /**
+     * @param {Object} options - Engine options
+     * @param {DataFetcher} options.dataFetcher - Shared fetcher (a new one by default)
+     * @param {DataProcessor} options.dataProcessor - Shared processor (a new one by default)
+     * @param {InsightGenerator} options.insightGenerator - Shared generator (a new one by default)
+     * @param {number} options.analysisDays - Length of the analysis window in days (default 90)
+     * @param {number} options.historyDays - Length of the stored history used for seasons (default 365)
+     * @param {string} options.normalization - Default Activity Score strategy, a key of NORMALIZATION_STRATEGIES
+     */
+    constructor(options = {}) {
+        this.dataFetcher = options.dataFetcher || new DataFetcher();
+        this.dataProcessor = options.dataProcessor || new DataProcessor();
+        this.insightGenerator = options.insightGenerator || new InsightGenerator();
+        this.analysisDays = options.analysisDays || 90;
+        this.historyDays = options.historyDays || 365;
+        this.normalization = validateStrategy(options.normalization || DEFAULT_NORMALIZATION);
+
+        console.log('⚙️ AnalysisEngine initialized');
+    }
+
+    /**
+     * Fetch and analyze in one go
+     * @param {Object} request - See fetchInputs, plus an optional normalization (see analyze)
+     * @returns {Promise<Object>} Analysis from analyze()
+     */
+    async run(request) {
+        const inputs = await this.fetchInputs(request);
+        return this.analyze(inputs, { normalization: request.normalization });
+    }
+
+    /**
+     * Date range of an analysis run, in the location's local calendar
+     * @param {Object} location - Location from the registry
+     * @param {number} days - Length of the range in days (default analysisDays)
+     * @returns {Object} Object with startDate and endDate in YYYY-MM-DD format, and the timeZone
+     */
+    getDateRange(location, days = this.analysisDays) {
+        const endDate = this.dataProcessor.extractDateFromTimestamp(new Date().toISOString(), location.timezone);
+
+        return {
+            startDate: this.dataFetcher.shiftDate(endDate, -days),
+            endDate,
+            timeZone: location.timezone
+        };
+    }
+
+    /**
+     * Fetch everything an analysis needs for one window
+     * Organization failures leave that org empty, and weather and air quality failures fall back
+     * to empty data; user failures are thrown unless the user is optional
+     * @param {Object} request - Analysis request
+     * @param {Object} request.location - Location from the registry
+     * @param {Object} request.cohort - Baseline cohort from the registry
+     * @param {string} request.username - GitHub user to analyze (optional)
+     * @param {boolean} request.userOptional - Carry on without the user's events if they can't be fetched
+     * @returns {Promise<Object>} Inputs with location, cohort, dateRange, userEvents (null without a
+     *   user), historyEvents (stored events for seasons, or null), orgData (events by org), failedOrgs,
+     *   weatherData and airQualityData (or null)
+     */
+    async fetchInputs(request) {
+        const { location, cohort, username } = request;
+        if (!location || !cohort) {
+            throw new Error('Location and cohort are required');
+        }
+
+        const dateRange = this.getDateRange(location);
+        const [userEvents, historyEvents, organizations, weatherData, airQualityData] = await Promise.all([
+            this.fetchUserEvents(username, dateRange, request.userOptional),
+            this.fetchHistoryEvents(username, location),
+            this.fetchOrganizationData(cohort, dateRange),
+            this.fetchWeatherData(location, dateRange),
+            this.fetchAirQualityData(location, dateRange)
+        ]);
+
+        return {
+            location,
+            cohort,
+            username: username || null,
+            dateRange,
+            userEvents,
+            historyEvents,
+            orgData: organizations.orgData,
+            failedOrgs: organizations.failedOrgs,
+            weatherData,
+            airQualityData
+        };
+    }
+
+    /**
+     * Fetch the user's events for the window
+     * @param {string} username - GitHub username, or a falsy value for none
+     * @param {Object} dateRange - Object with startDate and endDate
+     * @param {boolean} optional - Return null instead of throwing on failure
+     * @returns {Promise<Array|null>} Events, or null without a user
+     */
+    async fetchUserEvents(username, dateRange, optional = false) {
+        if (!username) {
+            return null;
+        }
+
+        try {
+            return await this.dataFetcher.fetchUserEvents(username, dateRange);
+        } catch (error) {
+            if (!optional) {
+                throw error;
+            }
+            console.warn(`⚠️ Failed to fetch events for ${username}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Fetch the user's stored events over the seasonal history
+     * The live events API reaches back about 90 days, so seasons need the backend event store
+     * @param {string} username - GitHub username, or a falsy value for none
+     * @param {Object} location - Location from the registry
+     * @returns {Promise<Array|null>} Events, or null without a user, outside backend mode or on failure
+     */
+    async fetchHistoryEvents(username, location) {
+        if (!username || this.dataFetcher.mode !== 'backend' || !location.seasonCalendar) {
+            return null;
+        }
+
+        const historyRange = this.getDateRange(location, this.historyDays);
+        try {
+            return await this.dataFetcher.fetchStoredUserEvents(username, historyRange.startDate, historyRange.endDate);
+        } catch (error) {
+            console.warn(`⚠️ Failed to fetch stored history for ${username}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Fetch organization data for every org in the baseline cohort
+     * @param {Object} cohort - Cohort from the registry
+     * @param {Object} dateRange - Object with startDate and endDate
+     * @returns {Promise<Object>} Object with orgData (events by org, empty for failed orgs) and failedOrgs
+     */
+    async fetchOrganizationData(cohort, dateRange) {
+        const orgData = {};
+        cohort.orgs.forEach(org => {
+            orgData[org] = [];
+        });
+
+        try {
+            const fetchResult = this.dataFetcher.handlePartialDataScenario(
+                await this.dataFetcher.fetchMultipleOrgEvents([...cohort.orgs], dateRange)
+            );
+            Object.assign(orgData, fetchResult.results);
+            console.log(fetchResult.userMessage);
+            return { orgData, failedOrgs: fetchResult.partialFailures.map(failure => failure.orgName) };
+        } catch (error) {
+            console.warn(`⚠️ Failed to fetch data for cohort ${cohort.name}:`, error.message);
+            return { orgData, failedOrgs: [...cohort.orgs] };
+        }
+    }
+
+    /**
+     * Fetch daily and hourly weather for the location
+     * @param {Object} location - Location from the registry
+     * @param {Object} dateRange - Object with startDate and endDate
+     * @returns {Promise<Object>} Open-Meteo response, or empty daily data on failure
+     */
+    async fetchWeatherData(location, dateRange) {
+        try {
+            return await this.dataFetcher.fetchWeatherData(dateRange.startDate, dateRange.endDate, location, { hourly: true });
+        } catch (error) {
+            console.warn('⚠️ Failed to fetch weather data:', error.message);
+            return { daily: { time: [], temperature_2m_max: [], precipitation_sum: [] } };
+        }
+    }
+
+    /**
+     * Fetch air quality for the location
+     * @param {Object} location - Location from the registry
+     * @param {Object} dateRange - Object with startDate and endDate
+     * @returns {Promise<Object|null>} Open-Meteo air-quality response, or null on failure
+     */
+    async fetchAirQualityData(location, dateRange) {
+        try {
+            return await this.dataFetcher.fetchAirQualityData(dateRange.startDate, dateRange.endDate, location);
+        } catch (error) {
+            console.warn('⚠️ Failed to fetch air quality data:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Process, normalize, synchronize and correlate fetched inputs
+     * Both daily series cover the same window: from the later of their first active days to the
+     * end of the range, so days an events feed doesn't reach aren't read as zero-commit days
+     * Inputs are only read, so the same inputs can be re-analyzed with another normalization
+     * @param {Object} inputs - Result of fetchInputs (userEvents may be null)
+     * @param {Object} options - Analysis options
+     * @param {string} options.normalization - Activity Score strategy (defaults to the engine's)
+     * @returns {Object} Analysis with metadata (normalization used), userDaily and baselineDaily
+     *   (synchronized, marked days), hourlyData, weatherCorrelations (the user's, or null),
+     *   baselineWeatherCorrelations, contributors, contributorDistribution, correlationMethods,
+     *   hourlyWeatherCorrelations, lagAnalysis, dayTypeAnalysis, seasonalAnalysis,
+     *   performanceAnalysis, organizations, companyComparisons, trendAnalysis, insights and dataQuality
+     */
+    analyze(inputs, options = {}) {
+        const { location, userEvents, orgData, weatherData, airQualityData, dateRange } = inputs;
+        const normalization = validateStrategy(options.normalization || this.normalization);
+        console.log(`⚙️ Analyzing activity against weather (${NORMALIZATION_STRATEGIES[normalization].label})`);
+
+        // Bucket events into the location's local days and holidays so they line up with its weather
+        this.dataProcessor.setTimeZone(location.timezone);
+        this.dataProcessor.setHolidayRegions(location.holidayRegions);
+
+        const aggregation = this.dataProcessor.aggregateOrgData(orgData);
+        const baselineActivity = Array.isArray(aggregation) ? aggregation : aggregation.data;
+        const userActivity = userEvents ? this.dataProcessor.processUserEvents(userEvents) : [];
+
+        const coverage = this.getCoverageWindow([userActivity, baselineActivity], dateRange);
+        const series = { coverage, weatherData, airQualityData, normalization };
+        const userDaily = userEvents ? this.buildDailySeries(userActivity, series) : [];
+        const baselineDaily = this.buildDailySeries(baselineActivity, series);
+
+        const baselineWeatherCorrelations = this.insightGenerator.findWeatherCorrelations(baselineDaily, {
+            dayTypes: CORRELATED_DAY_TYPES
+        });
+
+        // Individual contributors over the same window, with the user placed among them
+        const contributors = this.dataProcessor.buildContributorActivity(orgData, coverage);
+        const contributorDistribution = this.insightGenerator.calculateContributorDistribution(contributors, {
+            days: baselineDaily.length,
+            username: inputs.username,
+            userCommits: userEvents ? this.countCohortCommits(userEvents, orgData, coverage) : undefined
+        });
+
+        const analysis = {
+            ...inputs,
+            metadata: {
+                normalization: { strategy: normalization, ...NORMALIZATION_STRATEGIES[normalization] }
+            },
+            coverage,
+            userDaily,
+            baselineDaily,
+            baselineWeatherCorrelations,
+            contributors,
+            contributorDistribution,
+            organizations: this.summarizeOrganizations(orgData, normalization),
+            weatherCorrelations: null,
+            correlationMethods: null,
+            hourlyData: [],
+            hourlyWeatherCorrelations: null,
+            lagAnalysis: null,
+            dayTypeAnalysis: null,
+            seasonalAnalysis: null,
+            performanceAnalysis: { hasEnoughData: false },
+            companyComparisons: {},
+            trendAnalysis: { hasEnoughData: false },
+            insights: [],
+            dataQuality: this.calculateDataQuality(userEvents || [], orgData, weatherData)
+        };
+
+        if (!userEvents) {
+            return analysis;
+        }
+
+        // Hourly activity paired with hourly weather, for the hourly zoom and correlations
+        analysis.hourlyData = this.dataProcessor.synchronizeHourlyActivityAndWeather(
+            this.dataProcessor.processHourlyEvents(userEvents),
+            weatherData
+        );
+        analysis.hourlyWeatherCorrelations = this.insightGenerator.findWeatherCorrelations(analysis.hourlyData, {
+            resolution: 'hourly'
+        });
+
+        // Pearson, Spearman and Kendall side by side, so outlier-driven effects stand out
+        analysis.correlationMethods = this.insightGenerator.compareCorrelationMethods(userDaily, {
+            dayTypes: CORRELATED_DAY_TYPES
+        });
+        analysis.weatherCorrelations = analysis.correlationMethods.methods.pearson;
+
+        // Does rain matter more the day after than on the day itself?
+        analysis.lagAnalysis = this.insightGenerator.findLaggedCorrelations(userDaily, { field: 'rainfall' });
+        analysis.dayTypeAnalysis = this.insightGenerator.compareDayTypes(userDaily);
+        analysis.seasonalAnalysis = this.analyzeSeasons(location, inputs.historyEvents || userEvents, dateRange.endDate, normalization);
+
+        analysis.performanceAnalysis = this.insightGenerator.calculateRelativePerformance(userDaily, baselineDaily, {
+            dayTypes: CORRELATED_DAY_TYPES
+        });
+        analysis.companyComparisons = this.compareWithCompanies(userDaily, analysis.organizations);
+        analysis.trendAnalysis = this.insightGenerator.calculateTrend(userDaily);
+
+        analysis.insights = this.insightGenerator.generateComprehensiveInsights({
+            userEvents,
+            normalizedOrgData: baselineDaily,
+            weatherCorrelations: analysis.weatherCorrelations,
+            performanceAnalysis: analysis.performanceAnalysis,
+            companyComparisons: analysis.companyComparisons,
+            trendAnalysis: analysis.trendAnalysis,
+            lagAnalysis: analysis.lagAnalysis,
+            dayTypeAnalysis: analysis.dayTypeAnalysis,
+            seasonalAnalysis: analysis.seasonalAnalysis,
+            contributorDistribution,
+            locationName: location.name
+        });
+
+        return analysis;
+    }
+
+    /**
+     * Window both daily series are padded to
+     * @param {Array<Array>} series - Daily activity series with date fields
+     * @param {Object} dateRange - Object with startDate and endDate
+     * @returns {Object} Object with startDate and endDate
+     */
+    getCoverageWindow(series, dateRange) {
+        const firstDates = series
+            .filter(days => days.length > 0)
+            .map(days => days.reduce((first, day) => (day.date < first ? day.date : first), days[0].date));
+        const latestFirst = firstDates.reduce((latest, date) => (date > latest ? date : latest), dateRange.startDate);
+
+        return {
+            startDate: latestFirst < dateRange.endDate ? latestFirst : dateRange.endDate,
+            endDate: dateRange.endDate
+        };
+    }
+
+    /**
+     * Pad daily activity over the window, normalize it and attach the weather, air quality and day type
+     * @param {Array} activity - Daily activity with date and commits
+     * @param {Object} series - Series options
+     * @param {Object} series.coverage - Object with startDate and endDate
+     * @param {Object} series.weatherData - Open-Meteo response
+     * @param {Object|null} series.airQualityData - Open-Meteo air-quality response
+     * @param {string} series.normalization - Activity Score strategy
+     * @returns {Array} Days in date order
+     */
+    buildDailySeries(activity, series) {
+        const { coverage, weatherData, airQualityData, normalization } = series;
+        const covered = activity.filter(day => day.date >= coverage.startDate && day.date <= coverage.endDate);
+        const filled = this.dataProcessor.fillMissingDates(covered, coverage.startDate, coverage.endDate);
+
+        return this.dataProcessor.synchronizeActivityAndWeather(
+            this.dataProcessor.normalizeToActivityScore(filled, { strategy: normalization }),
+            weatherData,
+            airQualityData
+        )
+            .filter(day => day.date >= coverage.startDate && day.date <= coverage.endDate)
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * The user's commits measured the way the cohort's contributors are
+     * Org feeds only show pushes to the org's repositories, back as far as their oldest event, so
+     * only the user's pushes to a cohort org's repositories from that day on count
+     * @param {Array} userEvents - The user's events
+     * @param {Object} orgData - Events by org
+     * @param {Object} coverage - Object with startDate and endDate
+     * @returns {number} Commits over the window
+     */
+    countCohortCommits(userEvents, orgData, coverage) {
+        const toDate = event => this.dataProcessor.extractDateFromTimestamp(event.created_at);
+        const userOrgEvents = {};
+        Object.entries(orgData).forEach(([org, events]) => {
+            const feedStart = events
+                .filter(event => event && event.created_at)
+                .reduce((first, event) => {
+                    const date = toDate(event);
+                    return first === null || date < first ? date : first;
+                }, null);
+            userOrgEvents[org] = feedStart === null ? [] : userEvents.filter(event =>
+                event.created_at &&
+                (this.dataProcessor.getEventOrg(event) || '').toLowerCase() === org.toLowerCase() &&
+                toDate(event) >= feedStart);
+        });
+
+        return this.dataProcessor.buildContributorActivity(userOrgEvents, coverage)
+            .reduce((sum, contributor) => sum + contributor.totalCommits, 0);
+    }
+
+    /**
+     * Break the user's activity down by the location's seasons
+     * Uses the stored history when there is one; the analysis window alone rarely spans two seasons
+     * @param {Object} location - Location from the registry
+     * @param {Array} events - The user's events
+     * @param {string} endDate - Last day of the history (YYYY-MM-DD)
+     * @param {string} normalization - Activity Score strategy
+     * @returns {Object|null} Result of InsightGenerator.compareSeasons, or null without a season calendar
+     */
+    analyzeSeasons(location, events, endDate, normalization) {
+        if (!location.seasonCalendar) {
+            return null;
+        }
+
+        const activity = this.dataProcessor.processUserEvents(events).filter(day => day.date <= endDate);
+        // Pad from the first active day only, so days before the history starts don't count as idle
+        const firstDate = activity.reduce((first, day) => (day.date < first ? day.date : first), endDate);
+        const days = activity.length > 0
+            ? this.dataProcessor.normalizeToActivityScore(
+                this.dataProcessor.fillMissingDates(activity, firstDate, endDate), { strategy: normalization })
+            : [];
+
+        return this.insightGenerator.compareSeasons(days, location.seasonCalendar, { dayTypes: CORRELATED_DAY_TYPES });
+    }
+
+    /**
+     * Daily activity and totals for each organization in the cohort
+     * @param {Object} orgData - Events by org
+     * @param {string} normalization - Activity Score strategy
+     * @returns {Object} Per org: daily (normalized), totalCommits, eventCount, averageScore and
+     *   averageContributors (distinct developers pushing on an active day)
+     */
+    summarizeOrganizations(orgData, normalization) {
+        const organizations = {};
+        Object.entries(orgData).forEach(([org, events]) => {
+            const aggregation = this.dataProcessor.aggregateOrgData({ [org]: events });
+            const daily = this.dataProcessor.normalizeToActivityScore(
+                Array.isArray(aggregation) ? aggregation : aggregation.data, { strategy: normalization });
+
+            organizations[org] = {
+                daily,
+                totalCommits: daily.reduce((sum, day) => sum + day.commits, 0),
+                eventCount: daily.reduce((sum, day) => sum + day.events, 0),
+                averageContributors: this.insightGenerator.calculateMean(daily.map(day => day.activeContributors)),
+                averageScore: this.insightGenerator.calculateMean(daily.map(day => day.activityScore))
+            };
+        });
+        return organizations;
+    }
+
+    /**
+     * Compare the user's commits with a typical developer's at each organization
+     * Activity Scores are scaled per series, so raw commits are compared instead: the user's commits
+     * against the org's median commits per active contributor, on days both pushed
+     * @param {Array} userDaily - The user's daily series over the coverage window
+     * @param {Object} organizations - Result of summarizeOrganizations
+     * @returns {Object} Per org with shared active days: average (the org's commits per developer),
+     *   userAverage, dataPoints, ratio (user / org) and percentage (capped at 100)
+     */
+    compareWithCompanies(userDaily, organizations) {
+        const userCommits = new Map(userDaily.filter(day => day.commits > 0).map(day => [day.date, day.commits]));
+        const comparisons = {};
+
+        Object.entries(organizations).forEach(([org, summary]) => {
+            const days = summary.daily.filter(day => day.activeContributors > 0 && userCommits.has(day.date));
+            const average = this.insightGenerator.calculateMean(days.map(day => day.medianCommitsPerContributor));
+            if (average > 0) {
+                const userAverage = this.insightGenerator.calculateMean(days.map(day => userCommits.get(day.date)));
+                const ratio = userAverage / average;
+                comparisons[org] = {
+                    average,
+                    userAverage,
+                    dataPoints: days.length,
+                    ratio,
+                    percentage: Math.min(100, ratio * 100)
+                };
+            }
+        });
+
+        return comparisons;
+    }
+
+    /**
+     * Rough completeness and confidence of the fetched data
+     * @param {Array} userEvents - User events
+     * @param {Object} orgData - Events by org
+     * @param {Object} weatherData - Open-Meteo response
+     * @returns {Object} Object with completeness (0-1), sampleSize and confidence (0-0.95)
+     */
+    calculateDataQuality(userEvents, orgData, weatherData) {
+        const totalOrgEvents = Object.values(orgData).flat().length;
+        const weatherDays = weatherData && weatherData.daily ? weatherData.daily.time.length : 0;
+
+        const completeness = Math.min(1, (userEvents.length + totalOrgEvents + weatherDays) / 1000);
+        const sampleSize = userEvents.length + totalOrgEvents;
+        const confidence = Math.min(0.95, sampleSize / 500);
+
+        return { completeness, sampleSize, confidence };
+    }
+}
+
+export default AnalysisEngine;
@@ -8,6 +8,12 @@ class ChartRenderer {
         this.chart = null;
         this.canvas = null;
         this.ctx = null;
+        this.lagChart = null;
+        this.contributorDistributionChart = null;
+        
+        // 'daily' plots one point per day; 'hourly' zooms into the last few days hour by hour
+        this.zoomLevel = 'daily';
+        this.hourlyWindowDays = 7;
         
         // Chart configuration constants
         this.colors = {
@@ -17,7 +23,11 @@ class ChartRenderer {
             background: '#1a202c',        // Dark background
             text: '#ffffff',              // White text
             textSecondary: '#b8c5d6',     // Light gray text
-            grid: '#2d3748'               // Dark gray grid
+            grid: '#2d3748',              // Dark gray grid
+            strongestLag: '#f59e0b',      // Amber for the strongest lag
+            lag: '#8892a6',               // Muted gray for the other lags
+            contributor: '#0066ff99',     // Translucent blue for cohort contributors
+            userPosition: '#00d4aa'       // Teal for the user's band
         };
         
         console.log('📊 ChartRenderer initialized');
@@ -112,6 +122,91 @@ class ChartRenderer {
         }
     }
 
+    /**
+     * Prepare hourly chart data for the hourly zoom level
+     * Only the most recent days are plotted, since a full range of hours is unreadable
+     * @param {Array} hourlyData - Output of DataProcessor.synchronizeHourlyActivityAndWeather
+     * @param {Object} options - Options (days: how many recent days to show)
+     * @returns {Object} Chart.js compatible data structure
+     */
+    prepareHourlyChartData(hourlyData, options = {}) {
+        if (!Array.isArray(hourlyData) || hourlyData.length === 0) {
+            return { labels: [], datasets: [] };
+        }
+
+        const days = options.days || this.hourlyWindowDays;
+        const lastDate = new Date(`${hourlyData[hourlyData.length - 1].date}T00:00:00Z`);
+        lastDate.setUTCDate(lastDate.getUTCDate() - (days - 1));
+        const firstDate = lastDate.toISOString().split('T')[0];
+        const windowData = hourlyData.filter(item => item.date >= firstDate);
+
+        const labels = windowData.map(item => {
+            const day = new Date(`${item.date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+            return `${day} ${item.hour.slice(11)}`;
+        });
+
+        return {
+            labels,
+            datasets: [
+                {
+                    label: 'Your Activity (hourly)',
+                    data: windowData.map(item => item.activityScore),
+                    type: 'line',
+                    borderColor: this.colors.userActivity,
+                    backgroundColor: this.colors.userActivity + '20',
+                    borderWidth: 2,
+                    fill: true,
+                    tension: 0.2,
+                    pointRadius: 0,
+                    pointHoverRadius: 4,
+                    yAxisID: 'y'
+                },
+                {
+                    label: 'Precipitation (mm/h)',
+                    data: windowData.map(item => item.weather.rainfall),
+                    type: 'bar',
+                    backgroundColor: this.colors.rainfall + '60',
+                    borderColor: this.colors.rainfall,
+                    borderWidth: 1,
+                    yAxisID: 'y1',
+                    order: 3
+                },
+                {
+                    label: 'Temperature (°C)',
+                    data: windowData.map(item => item.weather.temperature),
+                    type: 'line',
+                    borderColor: '#f59e0b',
+                    backgroundColor: '#f59e0b20',
+                    borderWidth: 2,
+                    fill: false,
+                    tension: 0.3,
+                    pointRadius: 0,
+                    yAxisID: 'y2',
+                    order: 2
+                }
+            ]
+        };
+    }
+
+    /**
+     * Switch between the daily and hourly zoom levels
+     * Callers then pass data from prepareComprehensiveChartData or prepareHourlyChartData to updateChart
+     * @param {string} level - 'daily' or 'hourly'
+     */
+    setZoomLevel(level) {
+        if (level !== 'daily' && level !== 'hourly') {
+            throw new Error(`Unknown zoom level: ${level}`);
+        }
+        this.zoomLevel = level;
+
+        if (this.chart && !this.chart.destroyed && this.chart.options.scales && this.chart.options.scales.x) {
+            const xTitle = this.chart.options.scales.x.title;
+            if (xTitle) {
+                xTitle.text = level === 'hourly' ? 'Hour (local time)' : 'Date';
+            }
+        }
+    }
+
     /**
      * Create combo chart with dual y-axes configuration and enhanced error handling
      * @param {HTMLCanvasElement} canvasElement - Canvas element for chart
@@ -214,6 +309,210 @@ class ChartRenderer {
         }
     }
 
+    /**
+     * Prepare lag plot data: one bar per lag, the strongest lag highlighted
+     * Bars for lags whose test isn't significant are drawn faded
+     * @param {Object} lagAnalysis - Result of InsightGenerator.findLaggedCorrelations
+     * @returns {Object} Chart.js compatible data structure
+     */
+    prepareLagChartData(lagAnalysis) {
+        const lags = (lagAnalysis && lagAnalysis.lags) || [];
+        const strongest = lagAnalysis && lagAnalysis.strongestLag ? lagAnalysis.strongestLag.lag : null;
+
+        const colors = lags.map(({ lag, correlation }) => {
+            const color = lag === strongest ? this.colors.strongestLag : this.colors.lag;
+            return correlation && correlation.isSignificant ? color : color + '60';
+        });
+
+        return {
+            labels: lags.map(({ lag }) => lag === 0 ? 'Same day' : `${lag > 0 ? '+' : ''}${lag}d`),
+            datasets: [{
+                label: `${lagAnalysis ? lagAnalysis.label : 'Weather'} vs activity`,
+                data: lags.map(({ correlation }) => correlation ? correlation.coefficient : null),
+                backgroundColor: colors,
+                borderColor: colors,
+                borderWidth: 1
+            }]
+        };
+    }
+
+    /**
+     * Create the lag plot: correlation between a weather factor and activity at each day offset
+     * Kept separate from the main combo chart so both can be on screen
+     * @param {HTMLCanvasElement} canvasElement - Canvas element for the chart
+     * @param {Object} lagAnalysis - Result of InsightGenerator.findLaggedCorrelations
+     * @returns {Chart|null} Chart.js instance, or null if it couldn't be created
+     */
+    createLagChart(canvasElement, lagAnalysis) {
+        if (!(canvasElement instanceof HTMLCanvasElement)) {
+            console.warn('⚠️ Lag chart needs a canvas element');
+            return null;
+        }
+
+        if (typeof Chart === 'undefined') {
+            console.warn('⚠️ Chart.js library is not loaded, skipping lag chart');
+            return null;
+        }
+
+        if (this.lagChart) {
+            this.lagChart.destroy();
+            this.lagChart = null;
+        }
+
+        const lags = lagAnalysis.lags;
+
+        this.lagChart = new Chart(canvasElement.getContext('2d'), {
+            type: 'bar',
+            data: this.prepareLagChartData(lagAnalysis),
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: false },
+                    title: {
+                        display: true,
+                        text: `${lagAnalysis.label}: correlation with activity N days later`,
+                        color: this.colors.text
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                const correlation = lags[context.dataIndex].correlation;
+                                if (!correlation) {
+                                    return 'Not enough data';
+                                }
+                                const { coefficient, confidenceInterval, pValue } = correlation;
+                                const symbol = { spearman: 'ρ', kendall: 'τ' }[correlation.method] || 'r';
+                                return `${symbol} = ${coefficient} (95% CI ${confidenceInterval.lower} to ${confidenceInterval.upper}, p = ${pValue})`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        title: { display: true, text: 'Lag (activity after weather)', color: this.colors.textSecondary },
+                        ticks: { color: this.colors.textSecondary },
+                        grid: { color: this.colors.grid }
+                    },
+                    y: {
+                        min: -1,
+                        max: 1,
+                        title: { display: true, text: 'Correlation', color: this.colors.textSecondary },
+                        ticks: { color: this.colors.textSecondary },
+                        grid: { color: this.colors.grid }
+                    }
+                }
+            }
+        });
+
+        console.log(`✅ Lag chart created (strongest lag: ${lagAnalysis.strongestLag ? lagAnalysis.strongestLag.lag : 'none'})`);
+        return this.lagChart;
+    }
+
+    /**
+     * Prepare the contributor histogram: how many contributors fall in each commits-per-day band,
+     * with the band the user falls in highlighted
+     * @param {Object} distribution - Result of InsightGenerator.calculateContributorDistribution
+     * @param {number} binCount - Number of equal-width bands (default 12)
+     * @returns {Object} Chart.js compatible data structure
+     */
+    prepareContributorDistributionChartData(distribution, binCount = 12) {
+        const values = (distribution && distribution.values) || [];
+        const userValue = distribution ? distribution.userValue : null;
+        const top = Math.max(...values, userValue || 0) || 1;
+        const width = top / binCount;
+        const binOf = value => Math.min(binCount - 1, Math.floor(value / width));
+
+        const counts = new Array(binCount).fill(0);
+        values.forEach(value => {
+            counts[binOf(value)]++;
+        });
+        const userBin = userValue === null ? null : binOf(userValue);
+        const colors = counts.map((_, bin) => bin === userBin ? this.colors.userPosition : this.colors.contributor);
+
+        return {
+            labels: counts.map((_, bin) => `${(bin * width).toFixed(1)}-${((bin + 1) * width).toFixed(1)}`),
+            datasets: [{
+                label: 'Contributors',
+                data: counts,
+                backgroundColor: colors,
+                borderColor: colors,
+                borderWidth: 1
+            }],
+            userBin
+        };
+    }
+
+    /**
+     * Create the contributor distribution chart with the user's band marked
+     * @param {HTMLCanvasElement} canvasElement - Canvas element for the chart
+     * @param {Object} distribution - Result of InsightGenerator.calculateContributorDistribution
+     * @returns {Chart|null} Chart.js instance, or null if it couldn't be created
+     */
+    createContributorDistributionChart(canvasElement, distribution) {
+        if (!(canvasElement instanceof HTMLCanvasElement)) {
+            console.warn('⚠️ Contributor distribution chart needs a canvas element');
+            return null;
+        }
+
+        if (typeof Chart === 'undefined') {
+            console.warn('⚠️ Chart.js library is not loaded, skipping contributor distribution chart');
+            return null;
+        }
+
+        if (this.contributorDistributionChart) {
+            this.contributorDistributionChart.destroy();
+            this.contributorDistributionChart = null;
+        }
+
+        const { userBin, ...data } = this.prepareContributorDistributionChartData(distribution);
+        const title = distribution.percentile === null
+            ? `${distribution.contributorCount} contributors`
+            : `You: ${distribution.userValue} commits/day, ${distribution.percentile}th percentile of ${distribution.contributorCount} contributors`;
+
+        this.contributorDistributionChart = new Chart(canvasElement.getContext('2d'), {
+            type: 'bar',
+            data,
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: false },
+                    title: {
+                        display: true,
+                        text: title,
+                        color: this.colors.text
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                const count = context.parsed.y;
+                                const you = context.dataIndex === userBin ? ' (you are here)' : '';
+                                return `${count} contributor${count === 1 ? '' : 's'}${you}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        title: { display: true, text: 'Commits per day', color: this.colors.textSecondary },
+                        ticks: { color: this.colors.textSecondary },
+                        grid: { color: this.colors.grid }
+                    },
+                    y: {
+                        beginAtZero: true,
+                        title: { display: true, text: 'Contributors', color: this.colors.textSecondary },
+                        ticks: { color: this.colors.textSecondary, precision: 0 },
+                        grid: { color: this.colors.grid }
+                    }
+                }
+            }
+        });
+
+        console.log(`✅ Contributor distribution chart created (${distribution.contributorCount} contributors)`);
+        return this.contributorDistributionChart;
+    }
+
     /**
      * Validate and sanitize chart datasets
      * @param {Object} datasets - Raw datasets object
@@ -411,6 +710,10 @@ class ChartRenderer {
                     },
                     callbacks: {
                         title: (tooltipItems) => {
+                            // Hourly labels already carry the day and hour
+                            if (this.zoomLevel === 'hourly') {
+                                return tooltipItems[0].label;
+                            }
                             const date = new Date(tooltipItems[0].label);
                             return date.toLocaleDateString('en-US', { 
                                 weekday: 'long',
@@ -845,6 +1148,14 @@ class ChartRenderer {
             this.chart = null;
             console.log('🗑️ Chart destroyed');
         }
+        if (this.lagChart) {
+            this.lagChart.destroy();
+            this.lagChart = null;
+        }
+        if (this.contributorDistributionChart) {
+            this.contributorDistributionChart.destroy();
+            this.contributorDistributionChart = null;
+        }
     }
 
     /**
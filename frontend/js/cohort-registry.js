@@ -0,0 +1,128 @@
+/**
+ * CohortRegistry - Named groups of GitHub organizations used as the industry baseline
+ * Cohorts are loaded from config/cohorts.json, with the original four unicorns built in
+ */
+
+const DEFAULT_COHORTS = [
+    { id: 'bangalore-unicorns', name: 'Bangalore unicorns', orgs: ['zerodha', 'razorpay', 'postmanlabs', 'hasura'] }
+];
+
+// GitHub organization names: alphanumerics and single hyphens, max 39 characters
+const GITHUB_ORG_REGEX = /^[a-z\d](?:[a-z\d]|-(?=[a-z\d])){0,38}$/i;
+
+class CohortRegistry {
+    /**
+     * @param {Array<Object>} cohorts - Initial cohorts (defaults to the built-in list)
+     * @param {string} defaultCohortId - Cohort used when none is chosen
+     */
+    constructor(cohorts = DEFAULT_COHORTS, defaultCohortId = 'bangalore-unicorns') {
+        this.cohorts = new Map();
+        cohorts.forEach(cohort => this.register(cohort));
+
+        if (!this.cohorts.has(defaultCohortId)) {
+            throw new Error(`Default cohort '${defaultCohortId}' is not registered`);
+        }
+        this.defaultCohortId = defaultCohortId;
+
+        console.log(`👥 CohortRegistry initialized with ${this.cohorts.size} cohorts`);
+    }
+
+    /**
+     * Load cohorts from a JSON config file, keeping the built-in cohorts on failure
+     * @param {string} url - Config URL (an object with defaultCohort and cohorts)
+     * @returns {Promise<number>} Number of cohorts registered from the config
+     */
+    async loadFromUrl(url = 'config/cohorts.json') {
+        try {
+            const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const config = await response.json();
+            if (!config || !Array.isArray(config.cohorts)) {
+                throw new Error('Cohort config must contain a cohorts array');
+            }
+
+            let loaded = 0;
+            config.cohorts.forEach(cohort => {
+                try {
+                    this.register(cohort);
+                    loaded++;
+                } catch (cohortError) {
+                    console.warn(`⚠️ Skipping invalid cohort: ${cohortError.message}`);
+                }
+            });
+
+            if (config.defaultCohort && this.cohorts.has(config.defaultCohort)) {
+                this.defaultCohortId = config.defaultCohort;
+            }
+
+            console.log(`✅ Loaded ${loaded} cohorts from ${url}`);
+            return loaded;
+        } catch (error) {
+            console.warn(`⚠️ Failed to load cohorts from ${url}, using built-in cohorts:`, error.message);
+            return 0;
+        }
+    }
+
+    /**
+     * Add or replace a cohort
+     * @param {Object} cohort - Cohort with id, name and orgs
+     * @returns {Object} The registered cohort
+     */
+    register(cohort) {
+        if (!cohort || typeof cohort.id !== 'string' || !cohort.id) {
+            throw new Error('Cohort id must be a non-empty string');
+        }
+
+        if (!Array.isArray(cohort.orgs) || cohort.orgs.length === 0) {
+            throw new Error(`Cohort '${cohort.id}' must list at least one organization`);
+        }
+
+        const invalidOrgs = cohort.orgs.filter(org => typeof org !== 'string' || !GITHUB_ORG_REGEX.test(org));
+        if (invalidOrgs.length > 0) {
+            throw new Error(`Cohort '${cohort.id}' has invalid organization names: ${invalidOrgs.join(', ')}`);
+        }
+
+        const registered = Object.freeze({
+            id: cohort.id,
+            name: cohort.name || cohort.id,
+            orgs: Object.freeze([...new Set(cohort.orgs)])
+        });
+        this.cohorts.set(cohort.id, registered);
+        return registered;
+    }
+
+    /**
+     * Get a cohort by id
+     * @param {string} id - Cohort id
+     * @returns {Object} Cohort
+     */
+    get(id) {
+        const cohort = this.cohorts.get(id);
+        if (!cohort) {
+            throw new Error(`Unknown cohort: ${id}`);
+        }
+        return cohort;
+    }
+
+    /**
+     * Get the default cohort
+     * @returns {Object} Cohort
+     */
+    getDefault() {
+        return this.get(this.defaultCohortId);
+    }
+
+    /**
+     * List all registered cohorts
+     * @returns {Array<Object>} Cohorts in registration order
+     */
+    list() {
+        return Array.from(this.cohorts.values());
+    }
+}
+
+export { DEFAULT_COHORTS };
+export default CohortRegistry;
@@ -3,16 +3,59 @@
  * Automatically loads and displays developer productivity vs weather data
  */
 
+import LocationRegistry from './location-registry.js';
+import CohortRegistry from './cohort-registry.js';
+import AnalysisEngine from './analysis-engine.js';
+
+// Correlation factors and the synchronized weather field behind each
+const WEATHER_FACTORS = {
+    rainfall: 'rainfall',
+    temperature: 'maxTemp',
+    humidity: 'humidity',
+    pressure: 'pressure'
+};
+
+// Days with at least this much rain count as rainy
+const RAINY_DAY_THRESHOLD_MM = 1;
+
+// Weather conditions from DataProcessor.determineWeatherConditions, in weather impact chart order
+const WEATHER_CONDITIONS = [
+    { id: 'cool', label: 'Cool', color: '#8b5cf6' },
+    { id: 'pleasant', label: 'Pleasant', color: '#10b981' },
+    { id: 'warm', label: 'Warm', color: '#f59e0b' },
+    { id: 'hot', label: 'Hot', color: '#f97316' },
+    { id: 'overcast', label: 'Overcast', color: '#8892a6' },
+    { id: 'windy', label: 'Windy', color: '#14b8a6' },
+    { id: 'light_rain', label: 'Light Rain', color: '#0ea5e9' },
+    { id: 'heavy_rain', label: 'Heavy Rain', color: '#3b82f6' }
+];
+
 class BangaloreWeatherDashboard {
     constructor() {
         console.log('Initializing Bangalore Weather Dashboard...');
         
+        this.locationRegistry = new LocationRegistry();
+        this.analysisEngine = new AnalysisEngine();
+        this.dataProcessor = this.analysisEngine.dataProcessor;
+        this.username = new URLSearchParams(window.location.search).get('user');
+        this.location = this.resolveLocation();
+        this.cohortRegistry = new CohortRegistry();
+        this.cohort = this.cohortRegistry.getDefault();
         this.charts = {};
         this.data = {
-            companies: ['zerodha', 'razorpay', 'postmanlabs', 'hasura'],
+            companies: [...this.cohort.orgs],
             weatherData: null,
-            activityData: null,
-            correlationData: null
+            organizations: {},
+            eventCounts: {},
+            pushEvents: {},
+            userEvents: null,
+            heatmaps: null,
+            failedCompanies: [],
+            hasWeather: false,
+            alignedDays: [],
+            correlationData: null,
+            analysis: null,
+            loadedAt: null
         };
         
         this.init();
@@ -22,6 +65,9 @@ class BangaloreWeatherDashboard {
         try {
             console.log('Loading dashboard data...');
             
+            // Pick the baseline cohort before fetching org activity
+            await this.loadCohort();
+            
             // Start loading data immediately
             await this.loadAllData();
             
@@ -39,128 +85,162 @@ class BangaloreWeatherDashboard {
         }
     }
 
+    /**
+     * Pick the dashboard location from the ?location= query parameter,
+     * else the location saved for ?user=
+     * @returns {Object} Location from the registry
+     */
+    resolveLocation() {
+        const requested = new URLSearchParams(window.location.search).get('location');
+        if (requested) {
+            try {
+                return this.locationRegistry.get(requested);
+            } catch (error) {
+                console.warn(`Unknown location '${requested}', using default`);
+            }
+        }
+        return this.locationRegistry.getUserLocation(this.username);
+    }
+
+    /**
+     * Load cohort config and pick the cohort from the ?cohort= query parameter
+     */
+    async loadCohort() {
+        await this.cohortRegistry.loadFromUrl();
+        
+        const requested = new URLSearchParams(window.location.search).get('cohort');
+        this.cohort = this.cohortRegistry.getDefault();
+        if (requested) {
+            try {
+                this.cohort = this.cohortRegistry.get(requested);
+            } catch (error) {
+                console.warn(`Unknown cohort '${requested}', using default`);
+            }
+        }
+        
+        this.data.companies = [...this.cohort.orgs];
+        console.log(`Baseline cohort: ${this.cohort.name} (${this.data.companies.join(', ')})`);
+    }
+
     async loadAllData() {
         console.log('Fetching data from APIs...');
         
         try {
-            // Load data in parallel
-            const [weatherData, activityData] = await Promise.all([
-                this.fetchWeatherData(),
-                this.fetchActivityData()
-            ]);
-            
-            this.data.weatherData = weatherData;
-            this.data.activityData = activityData;
-            
-            // Calculate correlations
-            this.data.correlationData = this.calculateCorrelations();
+            const inputs = await this.analysisEngine.fetchInputs({
+                location: this.location,
+                cohort: this.cohort,
+                username: this.username,
+                userOptional: true
+            });
+            this.applyAnalysis(this.analysisEngine.analyze(this.withoutFailedOrgs(inputs)));
             
             console.log('All data loaded successfully');
             
         } catch (error) {
             console.error('Error loading data:', error);
-            // Use sample data as fallback
-            this.loadSampleData();
-        }
-    }
-
-    async fetchWeatherData() {
-        console.log('Fetching Bangalore weather data...');
-        
-        try {
-            const endDate = new Date();
-            const startDate = new Date();
-            startDate.setDate(endDate.getDate() - 90);
-            
-            const response = await fetch(
-                `https://api.open-meteo.com/v1/forecast?latitude=12.9716&longitude=77.5946&daily=temperature_2m_max,precipitation_sum,relative_humidity_2m&start_date=${startDate.toISOString().split('T')[0]}&end_date=${endDate.toISOString().split('T')[0]}`
-            );
-            
-            if (!response.ok) throw new Error('Weather API failed');
-            
-            const data = await response.json();
-            console.log('Weather data loaded:', data.daily.time.length, 'days');
-            
-            return data.daily;
-            
-        } catch (error) {
-            console.warn('Using sample weather data:', error);
-            return this.generateSampleWeatherData();
+            throw error;
         }
     }
 
-    async fetchActivityData() {
-        console.log('Fetching GitHub activity data...');
-        
-        const activityData = {};
-        
-        for (const company of this.data.companies) {
-            try {
-                console.log(`Fetching data for ${company}...`);
-                
-                const response = await fetch(`https://api.github.com/orgs/${company}/events?per_page=100`);
-                
-                if (!response.ok) {
-                    console.warn(`Failed to fetch ${company} data, using sample data`);
-                    activityData[company] = this.generateSampleActivityData(company);
-                    continue;
-                }
-                
-                const events = await response.json();
-                const pushEvents = events.filter(event => event.type === 'PushEvent');
-                
-                activityData[company] = this.processActivityData(pushEvents);
-                console.log(`${company}: ${pushEvents.length} push events`);
-                
-                // Add delay to avoid rate limiting
-                await this.delay(1000);
-                
-            } catch (error) {
-                console.warn(`Error fetching ${company} data:`, error);
-                activityData[company] = this.generateSampleActivityData(company);
-            }
+    /**
+     * Drop orgs that failed to load, so every stat comes from data that actually arrived,
+     * and note whether any weather came back
+     * @param {Object} inputs - Result of AnalysisEngine.fetchInputs
+     * @returns {Object} Inputs holding only the orgs that loaded
+     */
+    withoutFailedOrgs(inputs) {
+        inputs.failedOrgs.forEach(company => console.warn(`Failed to fetch ${company} data, leaving it out`));
+        this.data.failedCompanies = [...inputs.failedOrgs];
+        
+        const weatherDays = inputs.weatherData && inputs.weatherData.daily ? inputs.weatherData.daily.time : [];
+        this.data.hasWeather = Array.isArray(weatherDays) && weatherDays.length > 0;
+        if (!this.data.hasWeather) {
+            console.warn('Weather data unavailable, weather statistics will not be shown');
         }
         
-        return activityData;
+        const orgData = Object.fromEntries(Object.entries(inputs.orgData)
+            .filter(([company]) => !inputs.failedOrgs.includes(company)));
+        return { ...inputs, orgData };
     }
 
-    processActivityData(events) {
-        const dailyData = {};
+    /**
+     * Keep what the dashboard renders from an engine analysis
+     * The cohort's days and correlations come from its synchronized baseline series
+     * @param {Object} analysis - Result of AnalysisEngine.analyze
+     */
+    applyAnalysis(analysis) {
+        const variableCorrelations = analysis.baselineWeatherCorrelations.variableCorrelations || {};
+        const isPushEvent = event => event.type === 'PushEvent';
+        
+        this.data.analysis = analysis;
+        this.data.weatherData = analysis.weatherData;
+        this.data.organizations = analysis.organizations;
+        this.data.userEvents = analysis.userEvents ? analysis.userEvents.filter(isPushEvent) : null;
+        this.data.pushEvents = {};
+        this.data.eventCounts = {};
+        this.data.companies
+            .filter(company => !this.data.failedCompanies.includes(company))
+            .forEach(company => {
+                const pushEvents = (analysis.orgData[company] || []).filter(isPushEvent);
+                this.data.pushEvents[company] = pushEvents;
+                this.data.eventCounts[company] = pushEvents.length;
+                console.log(`${company}: ${pushEvents.length} push events`);
+            });
         
-        events.forEach(event => {
-            const date = new Date(event.created_at).toISOString().split('T')[0];
-            if (!dailyData[date]) {
-                dailyData[date] = 0;
-            }
-            dailyData[date] += event.payload.commits ? event.payload.commits.length : 1;
+        this.data.alignedDays = analysis.baselineDaily;
+        this.data.correlationData = {};
+        Object.entries(WEATHER_FACTORS).forEach(([factor, field]) => {
+            this.data.correlationData[factor] = this.data.hasWeather ? variableCorrelations[field] || null : null;
         });
-        
-        return dailyData;
+        this.data.loadedAt = new Date();
+        this.data.heatmaps = this.buildHeatmaps();
     }
 
-    calculateCorrelations() {
-        console.log('Calculating weather-activity correlations...');
+    /**
+     * Percentage difference in average commits on rainy days versus dry days
+     * @returns {number|null} Uplift in percent, or null without both kinds of day
+     */
+    calculateRainyDayUplift() {
+        if (!this.data.hasWeather) {
+            return null;
+        }
         
-        const correlations = {
-            rainfall: this.calculatePearsonCorrelation('precipitation_sum'),
-            temperature: this.calculatePearsonCorrelation('temperature_2m_max'),
-            humidity: this.calculatePearsonCorrelation('relative_humidity_2m')
-        };
+        const days = this.data.alignedDays.filter(day => typeof day.weather.rainfall === 'number');
+        const rainy = days.filter(day => day.weather.rainfall >= RAINY_DAY_THRESHOLD_MM);
+        const dry = days.filter(day => day.weather.rainfall < RAINY_DAY_THRESHOLD_MM);
+        if (rainy.length === 0 || dry.length === 0) {
+            return null;
+        }
         
-        console.log('Correlations calculated:', correlations);
-        return correlations;
+        const average = list => list.reduce((sum, day) => sum + day.commits, 0) / list.length;
+        const dryAverage = average(dry);
+        return dryAverage > 0 ? ((average(rainy) - dryAverage) / dryAverage) * 100 : null;
     }
 
-    calculatePearsonCorrelation(weatherMetric) {
-        // Simplified correlation calculation
-        // In a real implementation, this would properly align dates and calculate Pearson coefficient
-        const correlations = {
-            precipitation_sum: 0.73,
-            temperature_2m_max: -0.42,
-            relative_humidity_2m: 0.28
-        };
+    /**
+     * 4°C band of daily maximum temperature with the highest average commits
+     * @returns {Object|null} Object with min and max, or null if no band has 3 days
+     */
+    findOptimalTemperatureRange() {
+        const bands = {};
+        this.data.alignedDays.forEach(day => {
+            const temperature = day.weather.maxTemp;
+            if (typeof temperature !== 'number') return;
+            
+            const min = Math.floor(temperature / 4) * 4;
+            bands[min] = bands[min] || { total: 0, days: 0 };
+            bands[min].total += day.commits;
+            bands[min].days++;
+        });
         
-        return correlations[weatherMetric] || 0;
+        const candidates = Object.entries(bands).filter(([, band]) => band.days >= 3);
+        if (candidates.length === 0) {
+            return null;
+        }
+        
+        const [min] = candidates.reduce((best, entry) =>
+            entry[1].total / entry[1].days > best[1].total / best[1].days ? entry : best);
+        return { min: Number(min), max: Number(min) + 4 };
     }
 
     initializeCharts() {
@@ -177,6 +257,9 @@ class BangaloreWeatherDashboard {
         
         // Hourly heatmap chart
         this.charts.hourlyHeatmap = this.createHourlyHeatmapChart();
+        if (this.data.heatmaps) {
+            this.setupHeatmapSelector();
+        }
         
         console.log('All charts initialized');
     }
@@ -185,14 +268,13 @@ class BangaloreWeatherDashboard {
         const ctx = document.getElementById('main-correlation-chart');
         if (!ctx) return null;
         
-        const dates = this.generateDateLabels(90);
-        const commitData = this.generateCommitData(90);
-        const precipitationData = this.data.weatherData ? 
-            this.data.weatherData.precipitation_sum.slice(0, 90) : 
-            this.generatePrecipitationData(90);
-        const temperatureData = this.data.weatherData ? 
-            this.data.weatherData.temperature_2m_max.slice(0, 90) : 
-            this.generateTemperatureData(90);
+        const days = this.data.alignedDays;
+        const dates = days.map(day =>
+            new Date(`${day.date}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
+        const commitData = days.map(day => day.commits);
+        // Without weather the rainfall is only a placeholder 0, so leave both weather lines empty
+        const precipitationData = days.map(day => this.data.hasWeather ? day.weather.rainfall : null);
+        const temperatureData = days.map(day => this.data.hasWeather ? day.weather.maxTemp : null);
         
         return new Chart(ctx, {
             type: 'line',
@@ -285,8 +367,10 @@ class BangaloreWeatherDashboard {
         const ctx = document.getElementById('company-breakdown-chart');
         if (!ctx) return null;
         
-        const companyData = [1247, 1089, 1156, 895]; // Sample data
-        const companyLabels = ['Zerodha', 'Razorpay', 'Postman', 'Hasura'];
+        const palette = ['#0ea5e9', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316'];
+        const companyLabels = this.data.companies.filter(company => !this.data.failedCompanies.includes(company));
+        const companyData = companyLabels.map(company =>
+            this.data.organizations[company] ? this.data.organizations[company].totalCommits : 0);
         
         return new Chart(ctx, {
             type: 'doughnut',
@@ -294,12 +378,7 @@ class BangaloreWeatherDashboard {
                 labels: companyLabels,
                 datasets: [{
                     data: companyData,
-                    backgroundColor: [
-                        '#0ea5e9',
-                        '#10b981',
-                        '#f59e0b',
-                        '#ef4444'
-                    ],
+                    backgroundColor: companyLabels.map((_, index) => palette[index % palette.length]),
                     borderWidth: 2,
                     borderColor: '#2a3441'
                 }]
@@ -320,24 +399,25 @@ class BangaloreWeatherDashboard {
         });
     }
 
+    /**
+     * Average cohort Activity Score per weather condition, from the baseline correlation analysis
+     * @returns {Chart|null} Chart instance, or null without a canvas or weather
+     */
     createWeatherImpactChart() {
         const ctx = document.getElementById('weather-impact-chart');
-        if (!ctx) return null;
+        if (!ctx || !this.data.hasWeather || !this.data.analysis) return null;
+        
+        const conditionAnalysis = this.data.analysis.baselineWeatherCorrelations.conditionAnalysis || {};
+        const conditions = WEATHER_CONDITIONS.filter(condition => conditionAnalysis[condition.id]);
         
         return new Chart(ctx, {
             type: 'bar',
             data: {
-                labels: ['Sunny', 'Cloudy', 'Light Rain', 'Heavy Rain', 'Stormy'],
+                labels: conditions.map(condition => `${condition.label} (${conditionAnalysis[condition.id].count}d)`),
                 datasets: [{
-                    label: 'Average Commits',
-                    data: [2340, 2580, 3140, 3890, 2890],
-                    backgroundColor: [
-                        '#f59e0b',
-                        '#8892a6',
-                        '#10b981',
-                        '#0ea5e9',
-                        '#ef4444'
-                    ],
+                    label: 'Average Activity Score (%)',
+                    data: conditions.map(condition => conditionAnalysis[condition.id].averageScore),
+                    backgroundColor: conditions.map(condition => condition.color),
                     borderWidth: 1,
                     borderColor: '#2a3441'
                 }]
@@ -372,36 +452,101 @@ class BangaloreWeatherDashboard {
         });
     }
 
+    /**
+     * Build hour × weekday heatmaps in the location's timezone for the user, the whole cohort
+     * and each org, plus the user-minus-cohort difference
+     * @returns {Object} Heatmaps keyed by view id ('user', 'cohort', 'difference', 'org:<name>')
+     */
+    buildHeatmaps() {
+        const timeZone = this.location.timezone;
+        const heatmaps = {};
+        
+        const cohortEvents = [];
+        this.data.companies.forEach(company => {
+            const events = this.data.pushEvents[company] || [];
+            cohortEvents.push(...events);
+            heatmaps[`org:${company}`] = this.dataProcessor.buildActivityHeatmap(events, timeZone);
+        });
+        heatmaps.cohort = this.dataProcessor.buildActivityHeatmap(cohortEvents, timeZone);
+        
+        if (this.data.userEvents) {
+            heatmaps.user = this.dataProcessor.buildActivityHeatmap(this.data.userEvents, timeZone);
+            heatmaps.difference = this.dataProcessor.compareHeatmaps(heatmaps.user, heatmaps.cohort);
+        }
+        
+        return heatmaps;
+    }
+
+    /**
+     * Fill the heatmap view selector and redraw the heatmap when it changes
+     */
+    setupHeatmapSelector() {
+        const select = document.getElementById('heatmap-view');
+        if (!select) return;
+        
+        const views = [];
+        if (this.data.heatmaps.difference) {
+            views.push({ id: 'difference', label: `${this.username} vs cohort` });
+            views.push({ id: 'user', label: this.username });
+        }
+        views.push({ id: 'cohort', label: `${this.cohort.name} (all orgs)` });
+        this.data.companies.forEach(company => views.push({ id: `org:${company}`, label: company }));
+        
+        select.innerHTML = '';
+        views.forEach(view => {
+            const option = document.createElement('option');
+            option.value = view.id;
+            option.textContent = view.label;
+            select.appendChild(option);
+        });
+        select.value = this.heatmapView;
+        
+        select.addEventListener('change', () => {
+            this.heatmapView = select.value;
+            if (this.charts.hourlyHeatmap) {
+                this.charts.hourlyHeatmap.destroy();
+            }
+            this.charts.hourlyHeatmap = this.createHourlyHeatmapChart();
+        });
+    }
+
     createHourlyHeatmapChart() {
         const ctx = document.getElementById('hourly-heatmap-chart');
-        if (!ctx) return null;
+        if (!ctx || !this.data.heatmaps) return null;
         
-        // Generate sample heatmap data
-        const hours = Array.from({length: 24}, (_, i) => `${i}:00`);
-        const days = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
-        const heatmapData = [];
+        if (!this.heatmapView || !this.data.heatmaps[this.heatmapView]) {
+            this.heatmapView = this.data.heatmaps.difference ? 'difference' : 'cohort';
+        }
+        const heatmap = this.data.heatmaps[this.heatmapView];
+        const isDifference = this.heatmapView === 'difference';
+        const days = heatmap.weekdays;
         
-        days.forEach((day, dayIndex) => {
-            hours.forEach((hour, hourIndex) => {
-                const activity = Math.random() * 100;
+        const heatmapData = [];
+        heatmap.grid.forEach((hours, dayIndex) => {
+            hours.forEach((value, hourIndex) => {
                 heatmapData.push({
                     x: hourIndex,
                     y: dayIndex,
-                    v: activity
+                    v: value
                 });
             });
         });
         
+        // Scale colour to the busiest cell (or the largest difference either way)
+        const maxValue = Math.max(...heatmapData.map(point => Math.abs(point.v)), 0) || 1;
+        
         return new Chart(ctx, {
             type: 'scatter',
             data: {
                 datasets: [{
-                    label: 'Activity Level',
+                    label: isDifference ? 'Share difference (pp)' : 'Pushes',
                     data: heatmapData,
                     backgroundColor: function(context) {
-                        const value = context.parsed.v;
-                        const alpha = value / 100;
-                        return `rgba(14, 165, 233, ${alpha})`;
+                        const value = context.raw ? context.raw.v : 0;
+                        const alpha = Math.abs(value) / maxValue;
+                        return value < 0
+                            ? `rgba(245, 158, 11, ${alpha})`
+                            : `rgba(14, 165, 233, ${alpha})`;
                     },
                     pointRadius: 8
                 }]
@@ -412,6 +557,17 @@ class BangaloreWeatherDashboard {
                 plugins: {
                     legend: {
                         display: false
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: function(context) {
+                                const { x, y, v } = context.raw;
+                                const value = isDifference
+                                    ? `${v >= 0 ? '+' : ''}${v.toFixed(1)} pp vs cohort`
+                                    : `${v} pushes`;
+                                return `${days[y]} ${x}:00 - ${value}`;
+                            }
+                        }
                     }
                 },
                 scales: {
@@ -454,32 +610,66 @@ class BangaloreWeatherDashboard {
     updateDashboard() {
         console.log('Updating dashboard with data...');
         
+        const days = this.data.alignedDays;
+        const correlations = this.data.correlationData || {};
+        const formatNumber = value => Math.round(value).toLocaleString('en-US');
+        const formatSigned = value => `${value >= 0 ? '+' : ''}${value.toFixed(2)}`;
+        const formatCoefficient = correlation => correlation
+            ? `${formatSigned(correlation.coefficient)} [${formatSigned(correlation.confidenceInterval.lower)}, ${formatSigned(correlation.confidenceInterval.upper)}]`
+            : '—';
+        
         // Update header stats
-        this.updateElement('total-events', '4,387');
+        const totalEvents = Object.values(this.data.eventCounts).reduce((sum, count) => sum + count, 0);
+        this.updateElement('total-events', formatNumber(totalEvents));
         
         // Update correlation metrics
-        this.updateElement('weather-correlation', '0.73');
-        this.updateElement('avg-commits', '2,847');
-        this.updateElement('peak-activity', '+34%');
-        this.updateElement('optimal-temp', '22-26°C');
+        const strongest = this.data.hasWeather && this.data.analysis
+            ? this.data.analysis.baselineWeatherCorrelations.strongestFactor
+            : null;
+        this.updateElement('weather-correlation', formatCoefficient(strongest));
+        
+        const totalCommits = days.reduce((sum, day) => sum + day.commits, 0);
+        this.updateElement('avg-commits', days.length > 0 ? formatNumber(totalCommits / days.length) : '—');
+        
+        const uplift = this.calculateRainyDayUplift();
+        this.updateElement('peak-activity', uplift === null ? '—' : `${uplift >= 0 ? '+' : ''}${Math.round(uplift)}%`);
+        
+        const optimalRange = this.findOptimalTemperatureRange();
+        this.updateElement('optimal-temp', optimalRange ? `${optimalRange.min}-${optimalRange.max}°C` : '—');
         
         // Update correlation analysis
-        this.updateElement('rain-correlation', '+0.73');
-        this.updateElement('temp-correlation', '-0.42');
-        this.updateElement('humidity-correlation', '+0.28');
-        this.updateElement('pressure-correlation', '+0.12');
+        this.updateElement('rain-correlation', formatCoefficient(correlations.rainfall));
+        this.updateElement('temp-correlation', formatCoefficient(correlations.temperature));
+        this.updateElement('humidity-correlation', formatCoefficient(correlations.humidity));
+        this.updateElement('pressure-correlation', formatCoefficient(correlations.pressure));
         
         // Update company stats
-        this.updateElement('zerodha-commits', '1,247');
-        this.updateElement('razorpay-commits', '1,089');
-        this.updateElement('postman-commits', '1,156');
-        this.updateElement('hasura-commits', '895');
+        this.data.companies.forEach(company => {
+            const organization = this.data.organizations[company];
+            const failed = this.data.failedCompanies.includes(company);
+            this.updateElement(`${company}-commits`, failed || !organization ? '—' : formatNumber(organization.totalCommits));
+        });
         
         // Update data quality metrics
-        this.updateElement('data-completeness', '96.8%');
-        this.updateElement('sample-size', '4,387 events');
-        this.updateElement('confidence-level', '95%');
-        this.updateElement('last-updated', '2 hours ago');
+        const windowDays = this.data.weatherData && this.data.weatherData.daily ? this.data.weatherData.daily.time.length : 0;
+        this.updateElement('data-completeness', windowDays > 0 ? `${((days.length / windowDays) * 100).toFixed(1)}%` : '—');
+        
+        const missing = [];
+        if (this.data.failedCompanies.length > 0) {
+            missing.push(`${this.data.failedCompanies.join(', ')} failed to load`);
+        }
+        if (!this.data.hasWeather) {
+            missing.push('weather unavailable');
+        }
+        const missingNote = missing.length > 0 ? ` (${missing.join('; ')})` : '';
+        this.updateElement('sample-size', `${formatNumber(totalEvents)} events over ${days.length} days${missingNote}`);
+        
+        // Confidence that the strongest correlation isn't zero, from its t-test
+        this.updateElement('confidence-level', strongest
+            ? `${((1 - strongest.pValue) * 100).toFixed(1)}% (p${strongest.pValue < 0.001 ? '<0.001' : `=${strongest.pValue.toFixed(3)}`})`
+            : '—');
+        
+        this.updateElement('last-updated', this.data.loadedAt ? this.data.loadedAt.toLocaleString() : '—');
         
         console.log('Dashboard updated successfully');
     }
@@ -491,104 +681,6 @@ class BangaloreWeatherDashboard {
         }
     }
 
-    // Data generation utilities
-    generateDateLabels(days) {
-        const labels = [];
-        const today = new Date();
-        
-        for (let i = days - 1; i >= 0; i--) {
-            const date = new Date(today);
-            date.setDate(today.getDate() - i);
-            labels.push(date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
-        }
-        
-        return labels;
-    }
-
-    generateCommitData(days) {
-        const data = [];
-        for (let i = 0; i < days; i++) {
-            // Simulate higher activity during rainy periods
-            const baseActivity = 2000 + Math.random() * 1000;
-            const weatherBoost = Math.random() > 0.7 ? Math.random() * 800 : 0;
-            data.push(Math.round(baseActivity + weatherBoost));
-        }
-        return data;
-    }
-
-    generatePrecipitationData(days) {
-        const data = [];
-        for (let i = 0; i < days; i++) {
-            // Simulate monsoon patterns
-            const isRainyPeriod = Math.sin(i / 30) > 0.3;
-            const precipitation = isRainyPeriod ? Math.random() * 25 : Math.random() * 5;
-            data.push(Math.round(precipitation * 10) / 10);
-        }
-        return data;
-    }
-
-    generateTemperatureData(days) {
-        const data = [];
-        for (let i = 0; i < days; i++) {
-            // Simulate Bangalore temperature patterns
-            const baseTemp = 24 + Math.sin(i / 15) * 4;
-            const variation = (Math.random() - 0.5) * 6;
-            data.push(Math.round((baseTemp + variation) * 10) / 10);
-        }
-        return data;
-    }
-
-    generateSampleWeatherData() {
-        const days = 90;
-        return {
-            time: this.generateDateLabels(days),
-            temperature_2m_max: this.generateTemperatureData(days),
-            precipitation_sum: this.generatePrecipitationData(days),
-            relative_humidity_2m: Array.from({length: days}, () => 60 + Math.random() * 30)
-        };
-    }
-
-    generateSampleActivityData(company) {
-        const data = {};
-        const today = new Date();
-        
-        for (let i = 0; i < 90; i++) {
-            const date = new Date(today);
-            date.setDate(today.getDate() - i);
-            const dateStr = date.toISOString().split('T')[0];
-            
-            // Different activity patterns for different companies
-            const multipliers = {
-                zerodha: 1.2,
-                razorpay: 1.0,
-                postmanlabs: 1.1,
-                hasura: 0.8
-            };
-            
-            const baseActivity = 10 + Math.random() * 20;
-            data[dateStr] = Math.round(baseActivity * (multipliers[company] || 1));
-        }
-        
-        return data;
-    }
-
-    loadSampleData() {
-        console.log('Loading sample data as fallback...');
-        
-        this.data.weatherData = this.generateSampleWeatherData();
-        this.data.activityData = {};
-        
-        this.data.companies.forEach(company => {
-            this.data.activityData[company] = this.generateSampleActivityData(company);
-        });
-        
-        this.data.correlationData = {
-            rainfall: 0.73,
-            temperature: -0.42,
-            humidity: 0.28
-        };
-    }
-
     showErrorState() {
         console.log('Showing error state...');
         // In case of complete failure, show error message
@@ -601,10 +693,6 @@ class BangaloreWeatherDashboard {
             </div>
         `;
     }
-
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
 }
 
 // Initialize dashboard when DOM is loaded
@@ -613,4 +701,6 @@ document.addEventListener('DOMContentLoaded', () => {
     new BangaloreWeatherDashboard();
 });
 
-console.log('Dashboard script loaded successfully');
\ No newline at end of file
+console.log('Dashboard script loaded successfully');
+
+export default BangaloreWeatherDashboard;
\ No newline at end of file
@@ -3,45 +3,197 @@
  * Manages GitHub API and Open-Meteo weather API interactions
  */
 
+import { DEFAULT_LOCATIONS } from './location-registry.js';
+import EtagCache from './etag-cache.js';
+import { DAILY_WEATHER_VARIABLES, DEFAULT_DAILY_WEATHER_VARIABLES, AIR_QUALITY_VARIABLES } from './weather-variables.js';
+
+// The events API serves at most 10 pages (300 events) per feed
+const GITHUB_EVENTS_MAX_PAGES = 10;
+
+// Weather conditions are classified from these, so they are always fetched
+const REQUIRED_DAILY_WEATHER_VARIABLES = ['temperature_2m_max', 'precipitation_sum'];
+
+// Open-Meteo hourly variables (daily ones are configurable, see weather-variables.js)
+const HOURLY_WEATHER_VARIABLES = ['temperature_2m', 'precipitation', 'relative_humidity_2m', 'cloud_cover'];
+
 class DataFetcher {
-    constructor() {
+    // Personal access token; private so it never shows up when the fetcher is logged or serialized
+    #githubToken = null;
+
+    /**
+     * @param {Object} options - Fetcher options
+     * @param {string} options.mode - 'direct' to call GitHub, 'backend' to use the caching proxy
+     * @param {string} options.backendBaseUrl - Base URL of the backend server
+     * @param {Object} options.location - Default weather location (see LocationRegistry)
+     * @param {number} options.maxPages - Page cap when paginating GitHub event feeds (1-10)
+     * @param {EtagCache} options.etagCache - Cache of ETags and bodies for conditional requests
+     * @param {Array<string>} options.dailyVariables - Open-Meteo daily variables to fetch (defaults to all known ones)
+     */
+    constructor(options = {}) {
         this.githubBaseUrl = 'https://api.github.com';
+        this.backendBaseUrl = options.backendBaseUrl || 'http://localhost:3001';
+        this.mode = 'direct';
+        this.setMode(options.mode || 'direct');
         this.weatherBaseUrl = 'https://api.open-meteo.com/v1';
-        this.bangaloreCoords = {
-            latitude: 12.9716,
-            longitude: 77.5946
-        };
+        this.weatherArchiveUrl = 'https://archive-api.open-meteo.com/v1';
+        this.airQualityBaseUrl = 'https://air-quality-api.open-meteo.com/v1';
+        this.archiveLagDays = 5; // ERA5 archive is published with a delay
+        this.location = options.location || DEFAULT_LOCATIONS.find(location => location.id === 'bangalore');
+        this.dailyVariables = this.resolveDailyVariables(options.dailyVariables || DEFAULT_DAILY_WEATHER_VARIABLES);
+        
+        // Conditional requests: 304 responses are served from here and don't count against the rate limit
+        this.etagCache = options.etagCache || new EtagCache();
+        
+        // Event feed pagination
+        this.perPage = 100;
+        this.maxPages = Math.min(options.maxPages || GITHUB_EVENTS_MAX_PAGES, GITHUB_EVENTS_MAX_PAGES);
+        this.paginationStats = new Map();
+        
+        // Authenticated GitHub access (optional)
+        this.tokenOwner = null;
+        this.includePrivateOrgEvents = false;
         
         // Rate limiting configuration
-        this.rateLimitDelay = 1000; // 1 second between requests
+        this.rateLimitDelay = 1000; // 1 second between requests in each queue
         this.maxRetries = 3;
-        this.lastRequestTime = 0;
+        this.requestQueues = {};
+        this.lastRequestTimes = {};
+        
+        // GitHub budget from X-RateLimit-* headers; requests pause until reset when exhausted
+        this.rateLimit = { limit: null, remaining: null, resetAt: null, resource: null, updatedAt: null };
+        this.pausedUntil = 0;
+        this.pauseReason = null;
+        this.maxRateLimitWaitMs = 60 * 60 * 1000; // A primary limit resets within an hour
+        this.maxRateLimitWaits = 3;
+        this.rateLimitListeners = [];
         
-        console.log('📡 DataFetcher initialized');
+        console.log(`📡 DataFetcher initialized (${this.mode} mode)`);
+    }
+
+    /**
+     * Switch between calling GitHub directly and going through the backend proxy
+     * @param {string} mode - 'direct' or 'backend'
+     */
+    setMode(mode) {
+        if (mode !== 'direct' && mode !== 'backend') {
+            throw new Error(`Unknown DataFetcher mode: ${mode}`);
+        }
+        this.mode = mode;
+    }
+
+    /**
+     * Use a GitHub personal access token for direct GitHub requests
+     * Raises the rate limit to 5,000/hour. The token is kept in memory only and is
+     * sent solely to api.github.com as an Authorization header, never in URLs.
+     * @param {string} token - Personal access token
+     * @param {Object} options - Token options
+     * @param {boolean} options.includePrivateOrgEvents - Read org events through the token owner's
+     *   organization feed, which includes private events the owner can see
+     * @returns {Promise<Object>} Token owner login and granted scopes
+     */
+    async setGitHubToken(token, options = {}) {
+        if (!token || typeof token !== 'string' || /\s/.test(token.trim())) {
+            throw new Error('GitHub token must be a non-empty string without spaces');
+        }
+
+        this.#githubToken = token.trim();
+        this.tokenOwner = null;
+
+        try {
+            const response = await this.makeRateLimitedRequest(`${this.githubBaseUrl}/user`);
+            const user = await response.json();
+            const scopes = response.headers.get('X-OAuth-Scopes');
+
+            this.tokenOwner = user.login;
+            this.includePrivateOrgEvents = Boolean(options.includePrivateOrgEvents);
+
+            console.log(`🔑 GitHub token verified for ${user.login}`);
+            return {
+                login: user.login,
+                scopes: scopes ? scopes.split(',').map(scope => scope.trim()).filter(Boolean) : []
+            };
+        } catch (error) {
+            this.clearGitHubToken();
+            if (error.status === 401) {
+                throw new Error('GitHub rejected the token. Check that it is valid and not expired.');
+            }
+            throw new Error(`Failed to verify GitHub token: ${error.message}`);
+        }
+    }
+
+    /**
+     * Forget the GitHub token and return to unauthenticated requests
+     */
+    clearGitHubToken() {
+        this.#githubToken = null;
+        this.tokenOwner = null;
+        this.includePrivateOrgEvents = false;
+        
+        // Cached bodies may include private events seen with the token
+        this.etagCache.clear();
+    }
+
+    /**
+     * Whether direct GitHub requests are authenticated
+     * @returns {boolean} True if a token is set
+     */
+    hasGitHubToken() {
+        return this.#githubToken !== null;
+    }
+
+    /**
+     * Build the Authorization header for a request, only for GitHub itself
+     * @param {string} url - Request URL
+     * @returns {Object} Headers to merge into the request
+     */
+    getAuthHeaders(url) {
+        if (!this.#githubToken || !url.startsWith(`${this.githubBaseUrl}/`)) {
+            return {};
+        }
+        return { 'Authorization': `Bearer ${this.#githubToken}` };
+    }
+
+    /**
+     * Build the events URL for an organization or user for the current mode
+     * @param {string} kind - 'orgs' or 'users'
+     * @param {string} name - Organization or user name
+     * @returns {string} Events endpoint URL
+     */
+    buildEventsUrl(kind, name) {
+        // The owner's organization feed includes private org events
+        if (kind === 'orgs' && this.mode === 'direct' && this.includePrivateOrgEvents && this.tokenOwner) {
+            return `${this.githubBaseUrl}/users/${encodeURIComponent(this.tokenOwner)}/events/orgs/${encodeURIComponent(name)}`;
+        }
+
+        const baseUrl = this.mode === 'backend'
+            ? `${this.backendBaseUrl}/api/github`
+            : this.githubBaseUrl;
+        return `${baseUrl}/${kind}/${encodeURIComponent(name)}/events`;
     }
 
     /**
      * Fetch PushEvents data from a GitHub organization
      * @param {string} orgName - GitHub organization name
+     * @param {Object} options - Pagination options (startDate, endDate, maxPages)
      * @returns {Promise<Array>} Array of PushEvent objects
      */
-    async fetchOrgEvents(orgName) {
+    async fetchOrgEvents(orgName, options = {}) {
         if (!orgName || typeof orgName !== 'string') {
             throw new Error('Organization name must be a non-empty string');
         }
 
-        const url = `${this.githubBaseUrl}/orgs/${orgName}/events`;
+        const url = this.buildEventsUrl('orgs', orgName);
         
         try {
             console.log(`🔍 Fetching events for organization: ${orgName}`);
             
-            const response = await this.makeRateLimitedRequest(url);
-            const events = await response.json();
+            const { events, ...stats } = await this.fetchPaginatedEvents(url, options);
             
             // Filter for PushEvents only
             const pushEvents = events.filter(event => event.type === 'PushEvent');
+            this.paginationStats.set(`orgs/${orgName}`, { ...stats, pushEvents: pushEvents.length });
             
-            console.log(`✅ Found ${pushEvents.length} PushEvents for ${orgName}`);
+            console.log(`✅ Found ${pushEvents.length} PushEvents for ${orgName} (${stats.eventsRetrieved} events, ${stats.pagesFetched} pages)`);
             return pushEvents;
             
         } catch (error) {
@@ -50,10 +202,16 @@ class DataFetcher {
             // Handle specific GitHub API errors
             if (error.status === 404) {
                 throw new Error(`Organization '${orgName}' not found`);
+            } else if (error.isRateLimit) {
+                throw error;
             } else if (error.status === 403) {
-                throw new Error('GitHub API rate limit exceeded. Please try again later.');
+                throw new Error(this.hasGitHubToken()
+                    ? `Access to organization '${orgName}' events is forbidden. The token may lack the read:org scope.`
+                    : `Access to organization '${orgName}' events is forbidden`);
             } else if (error.status === 401) {
-                throw new Error('GitHub API authentication required for this request');
+                throw new Error(this.hasGitHubToken()
+                    ? 'GitHub rejected the token. Check that it is valid and not expired.'
+                    : 'GitHub API authentication required for this request. Add a personal access token.');
             }
             
             throw new Error(`Failed to fetch organization events: ${error.message}`);
@@ -63,9 +221,10 @@ class DataFetcher {
     /**
      * Fetch PushEvents data from a GitHub user
      * @param {string} username - GitHub username
+     * @param {Object} options - Pagination options (startDate, endDate, maxPages)
      * @returns {Promise<Array>} Array of PushEvent objects
      */
-    async fetchUserEvents(username) {
+    async fetchUserEvents(username, options = {}) {
         if (!username || typeof username !== 'string') {
             throw new Error('Username must be a non-empty string');
         }
@@ -76,18 +235,18 @@ class DataFetcher {
             throw new Error('Invalid GitHub username format');
         }
 
-        const url = `${this.githubBaseUrl}/users/${username}/events`;
+        const url = this.buildEventsUrl('users', username);
         
         try {
             console.log(`🔍 Fetching events for user: ${username}`);
             
-            const response = await this.makeRateLimitedRequest(url);
-            const events = await response.json();
+            const { events, ...stats } = await this.fetchPaginatedEvents(url, options);
             
             // Filter for PushEvents only
             const pushEvents = events.filter(event => event.type === 'PushEvent');
+            this.paginationStats.set(`users/${username}`, { ...stats, pushEvents: pushEvents.length });
             
-            console.log(`✅ Found ${pushEvents.length} PushEvents for ${username}`);
+            console.log(`✅ Found ${pushEvents.length} PushEvents for ${username} (${stats.eventsRetrieved} events, ${stats.pagesFetched} pages)`);
             return pushEvents;
             
         } catch (error) {
@@ -96,8 +255,12 @@ class DataFetcher {
             // Handle specific GitHub API errors
             if (error.status === 404) {
                 throw new Error(`User '${username}' not found`);
+            } else if (error.isRateLimit) {
+                throw error;
             } else if (error.status === 403) {
-                throw new Error('GitHub API rate limit exceeded. Please try again later.');
+                throw new Error(`Access to user '${username}' events is forbidden`);
+            } else if (error.status === 401) {
+                throw new Error('GitHub rejected the token. Check that it is valid and not expired.');
             }
             
             throw new Error(`Failed to fetch user events: ${error.message}`);
@@ -105,12 +268,267 @@ class DataFetcher {
     }
 
     /**
-     * Fetch weather data from Open-Meteo API for Bangalore
+     * Fetch an events feed page by page, following the Link header
+     * Events arrive newest first, so paging stops once a page reaches past startDate
+     * @param {string} url - Events feed URL without query parameters
+     * @param {Object} options - Pagination options
+     * @param {string} options.startDate - Optional start date in YYYY-MM-DD format
+     * @param {string} options.endDate - Optional end date in YYYY-MM-DD format
+     * @param {string} options.timeZone - IANA timezone the dates are local to (defaults to the location's)
+     * @param {number} options.maxPages - Page cap (defaults to this.maxPages)
+     * @returns {Promise<Object>} Events in range plus pagesFetched, eventsRetrieved, stoppedEarly and hitPageCap
+     */
+    async fetchPaginatedEvents(url, options = {}) {
+        const maxPages = Math.min(options.maxPages || this.maxPages, GITHUB_EVENTS_MAX_PAGES);
+        const timeZone = options.timeZone || this.location.timezone;
+        
+        // Dates are local calendar days, so compare each event's local date rather than UTC instants.
+        // The early stop uses a day of padding, which covers every UTC offset
+        const since = options.startDate ? new Date(`${this.shiftDate(options.startDate, -1)}T00:00:00Z`) : null;
+        const isInRange = event => {
+            const localDate = this.toLocalDate(event.created_at, timeZone);
+            return (!options.startDate || localDate >= options.startDate) &&
+                (!options.endDate || localDate <= options.endDate);
+        };
+        
+        const events = [];
+        let eventsRetrieved = 0;
+        let pagesFetched = 0;
+        let nextPage = 1;
+        let stoppedEarly = false;
+        
+        while (nextPage !== null && pagesFetched < maxPages) {
+            const response = await this.makeRateLimitedRequest(`${url}?per_page=${this.perPage}&page=${nextPage}`);
+            const page = await response.json();
+            pagesFetched++;
+            
+            if (!Array.isArray(page) || page.length === 0) {
+                nextPage = null;
+                break;
+            }
+            
+            eventsRetrieved += page.length;
+            events.push(...page.filter(isInRange));
+            
+            nextPage = this.parseNextPage(response.headers.get('Link'));
+            
+            // Everything on later pages is older still
+            const oldest = new Date(page[page.length - 1].created_at);
+            if (since && oldest < since) {
+                stoppedEarly = nextPage !== null;
+                break;
+            }
+        }
+        
+        return {
+            events,
+            pagesFetched,
+            eventsRetrieved,
+            stoppedEarly,
+            hitPageCap: !stoppedEarly && nextPage !== null && pagesFetched >= maxPages
+        };
+    }
+
+    /**
+     * Local calendar date of a timestamp in an IANA timezone
+     * @param {string} timestamp - ISO timestamp string
+     * @param {string} timeZone - IANA timezone
+     * @returns {string} Date in YYYY-MM-DD format
+     */
+    toLocalDate(timestamp, timeZone) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+            .formatToParts(new Date(timestamp))
+            .forEach(part => {
+                parts[part.type] = part.value;
+            });
+        return `${parts.year}-${parts.month}-${parts.day}`;
+    }
+
+    /**
+     * Read the next page number from a GitHub Link header
+     * @param {string|null} linkHeader - Link header value
+     * @returns {number|null} Next page number, or null on the last page
+     */
+    parseNextPage(linkHeader) {
+        if (!linkHeader) {
+            return null;
+        }
+        
+        const next = linkHeader.split(',').find(part => /rel="next"/.test(part));
+        const match = next && next.match(/<([^>]+)>/);
+        if (!match) {
+            return null;
+        }
+        
+        const page = Number(new URL(match[1], this.githubBaseUrl).searchParams.get('page'));
+        return Number.isInteger(page) && page > 0 ? page : null;
+    }
+
+    /**
+     * Pagination report for the last fetch of a feed
+     * @param {string} kind - 'orgs' or 'users'
+     * @param {string} name - Organization or user name
+     * @returns {Object|null} Pages fetched, events retrieved and whether paging stopped early
+     */
+    getPaginationStats(kind, name) {
+        return this.paginationStats.get(`${kind}/${name}`) || null;
+    }
+
+    /**
+     * Fetch stored PushEvent history from the backend event store
+     * Unlike the live events API, history is not limited to the last 300 events
+     * @param {string} kind - 'orgs' or 'users'
+     * @param {string} name - Organization or user name
+     * @param {string} startDate - Optional start date in YYYY-MM-DD format
+     * @param {string} endDate - Optional end date in YYYY-MM-DD format
+     * @returns {Promise<Array>} Array of PushEvent objects
+     */
+    async fetchStoredEvents(kind, name, startDate = null, endDate = null) {
+        if (this.mode !== 'backend') {
+            throw new Error('Stored event history requires backend mode');
+        }
+
+        if (kind !== 'orgs' && kind !== 'users') {
+            throw new Error(`Unknown event source kind: ${kind}`);
+        }
+
+        // The backend filters on UTC dates; ask for a day either side, then keep local dates in range
+        const params = new URLSearchParams();
+        if (startDate) params.set('since', this.shiftDate(startDate, -1));
+        if (endDate) params.set('until', this.shiftDate(endDate, 1));
+
+        const query = params.toString();
+        const url = `${this.backendBaseUrl}/api/events/${kind}/${encodeURIComponent(name)}${query ? `?${query}` : ''}`;
+
+        try {
+            console.log(`🗄️ Fetching stored events for ${kind.slice(0, -1)}: ${name}`);
+
+            const response = await this.makeRateLimitedRequest(url);
+            const events = (await response.json()).filter(event => {
+                const localDate = this.toLocalDate(event.created_at, this.location.timezone);
+                return (!startDate || localDate >= startDate) && (!endDate || localDate <= endDate);
+            });
+
+            console.log(`✅ Found ${events.length} stored PushEvents for ${name}`);
+            return events;
+
+        } catch (error) {
+            console.error(`❌ Failed to fetch stored events for ${name}:`, error.message);
+            throw new Error(`Failed to fetch stored events: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetch stored PushEvent history for an organization
+     * @param {string} orgName - GitHub organization name
+     * @param {string} startDate - Optional start date in YYYY-MM-DD format
+     * @param {string} endDate - Optional end date in YYYY-MM-DD format
+     * @returns {Promise<Array>} Array of PushEvent objects
+     */
+    fetchStoredOrgEvents(orgName, startDate = null, endDate = null) {
+        return this.fetchStoredEvents('orgs', orgName, startDate, endDate);
+    }
+
+    /**
+     * Fetch stored PushEvent history for a user
+     * @param {string} username - GitHub username
+     * @param {string} startDate - Optional start date in YYYY-MM-DD format
+     * @param {string} endDate - Optional end date in YYYY-MM-DD format
+     * @returns {Promise<Array>} Array of PushEvent objects
+     */
+    fetchStoredUserEvents(username, startDate = null, endDate = null) {
+        return this.fetchStoredEvents('users', username, startDate, endDate);
+    }
+
+    /**
+     * Fetch weather data from Open-Meteo API for a location
+     * Past days come from the ERA5 archive, recent days from the forecast API,
+     * stitched into one continuous daily (and optionally hourly) series
+     * @param {string} startDate - Start date in YYYY-MM-DD format
+     * @param {string} endDate - End date in YYYY-MM-DD format
+     * @param {Object} location - Location with latitude, longitude and timezone (defaults to this.location)
+     * @param {Object} options - Fetch options
+     * @param {boolean} options.hourly - Also fetch hourly temperature, precipitation, humidity and cloud cover
+     * @param {Array<string>} options.dailyVariables - Daily variables for this call (defaults to this.dailyVariables)
+     * @returns {Promise<Object>} Weather data object with daily_source, sources and location
+     */
+    async fetchWeatherData(startDate, endDate, location = this.location, options = {}) {
+        this.validateOpenMeteoRequest(startDate, endDate, location);
+
+        const dailyVariables = options.dailyVariables
+            ? this.resolveDailyVariables(options.dailyVariables)
+            : this.dailyVariables;
+
+        try {
+            console.log(`🌤️ Fetching ${location.name || 'location'} weather data from ${startDate} to ${endDate}`);
+
+            const ranges = this.planWeatherRanges(startDate, endDate);
+            const responses = [];
+            for (const range of ranges) {
+                responses.push(await this.fetchWeatherRange(range, location, { ...options, dailyVariables }));
+            }
+
+            const weatherData = this.stitchWeatherResponses(responses);
+            weatherData.location = location;
+
+            const hourlyNote = weatherData.hourly ? `, ${weatherData.hourly.time.length} hours` : '';
+            console.log(`✅ Retrieved weather data for ${weatherData.daily.time.length} days${hourlyNote} (${weatherData.sources.map(s => `${s.source}: ${s.days}`).join(', ')})`);
+            return weatherData;
+
+        } catch (error) {
+            console.error(`❌ Failed to fetch weather data:`, error.message);
+            throw new Error(`Failed to fetch weather data: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetch hourly air quality (PM2.5, PM10, US AQI) from the Open-Meteo air-quality API
+     * Hours are in the location's timezone; DataProcessor folds them into days
      * @param {string} startDate - Start date in YYYY-MM-DD format
      * @param {string} endDate - End date in YYYY-MM-DD format
-     * @returns {Promise<Object>} Weather data object
+     * @param {Object} location - Location with latitude, longitude and timezone (defaults to this.location)
+     * @returns {Promise<Object>} Open-Meteo air-quality response with an hourly block and location
      */
-    async fetchWeatherData(startDate, endDate) {
+    async fetchAirQualityData(startDate, endDate, location = this.location) {
+        this.validateOpenMeteoRequest(startDate, endDate, location);
+
+        try {
+            console.log(`🏭 Fetching ${location.name || 'location'} air quality from ${startDate} to ${endDate}`);
+
+            const params = new URLSearchParams({
+                latitude: location.latitude,
+                longitude: location.longitude,
+                start_date: startDate,
+                end_date: endDate,
+                hourly: Object.keys(AIR_QUALITY_VARIABLES).join(','),
+                timezone: location.timezone
+            });
+
+            const response = await this.makeRateLimitedRequest(`${this.airQualityBaseUrl}/air-quality?${params}`);
+            const airQualityData = await response.json();
+
+            if (!airQualityData.hourly || !Array.isArray(airQualityData.hourly.time)) {
+                throw new Error('Invalid air quality API response structure');
+            }
+
+            airQualityData.location = location;
+            console.log(`✅ Retrieved air quality for ${airQualityData.hourly.time.length} hours`);
+            return airQualityData;
+
+        } catch (error) {
+            console.error(`❌ Failed to fetch air quality data:`, error.message);
+            throw new Error(`Failed to fetch air quality data: ${error.message}`);
+        }
+    }
+
+    /**
+     * Validate the date range and location of an Open-Meteo request
+     * @param {string} startDate - Start date in YYYY-MM-DD format
+     * @param {string} endDate - End date in YYYY-MM-DD format
+     * @param {Object} location - Location with latitude, longitude and timezone
+     */
+    validateOpenMeteoRequest(startDate, endDate, location) {
         if (!startDate || !endDate) {
             throw new Error('Start date and end date are required');
         }
@@ -128,58 +546,214 @@ class DataFetcher {
             throw new Error('Start date must be before end date');
         }
 
+        if (!location || typeof location.latitude !== 'number' || typeof location.longitude !== 'number' || !location.timezone) {
+            throw new Error('Location must have numeric latitude, longitude and a timezone');
+        }
+    }
+
+    /**
+     * Validate a list of Open-Meteo daily variables, adding the required ones
+     * @param {Array<string>} variables - Variable names from DAILY_WEATHER_VARIABLES
+     * @returns {Array<string>} Variables to request
+     */
+    resolveDailyVariables(variables) {
+        if (!Array.isArray(variables)) {
+            throw new Error('Daily weather variables must be an array');
+        }
+
+        const unknown = variables.filter(variable => !DAILY_WEATHER_VARIABLES[variable]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown daily weather variables: ${unknown.join(', ')}`);
+        }
+
+        return [...new Set([...REQUIRED_DAILY_WEATHER_VARIABLES, ...variables])];
+    }
+
+    /**
+     * Split a date range between the archive and forecast endpoints
+     * @param {string} startDate - Start date in YYYY-MM-DD format
+     * @param {string} endDate - End date in YYYY-MM-DD format
+     * @returns {Array<Object>} Ranges with source, startDate and endDate
+     */
+    planWeatherRanges(startDate, endDate) {
+        // ERA5 reanalysis lags real time by several days
+        const today = new Date().toISOString().split('T')[0];
+        const lastArchiveDate = this.shiftDate(today, -this.archiveLagDays);
+        const ranges = [];
+
+        if (startDate <= lastArchiveDate) {
+            ranges.push({
+                source: 'archive',
+                startDate: startDate,
+                endDate: endDate < lastArchiveDate ? endDate : lastArchiveDate
+            });
+        }
+
+        if (endDate > lastArchiveDate) {
+            const firstForecastDate = this.shiftDate(lastArchiveDate, 1);
+            ranges.push({
+                source: 'forecast',
+                startDate: startDate > firstForecastDate ? startDate : firstForecastDate,
+                endDate: endDate
+            });
+        }
+
+        return ranges;
+    }
+
+    /**
+     * Fetch one date range from the archive or forecast endpoint
+     * @param {Object} range - Range from planWeatherRanges
+     * @param {Object} location - Location with latitude, longitude and timezone
+     * @param {Object} options - Fetch options (hourly, dailyVariables)
+     * @returns {Promise<Object>} Open-Meteo response tagged with its source
+     */
+    async fetchWeatherRange(range, location, options = {}) {
+        // The archive rejects variables it doesn't serve, so leave those out there
+        const dailyVariables = (options.dailyVariables || this.dailyVariables).filter(variable =>
+            range.source !== 'archive' || DAILY_WEATHER_VARIABLES[variable].archive !== false);
+
         const params = new URLSearchParams({
-            latitude: this.bangaloreCoords.latitude,
-            longitude: this.bangaloreCoords.longitude,
-            start_date: startDate,
-            end_date: endDate,
-            daily: 'temperature_2m_max,precipitation_sum',
-            timezone: 'Asia/Kolkata'
+            latitude: location.latitude,
+            longitude: location.longitude,
+            start_date: range.startDate,
+            end_date: range.endDate,
+            daily: dailyVariables.join(','),
+            timezone: location.timezone
         });
+        if (options.hourly) {
+            params.set('hourly', HOURLY_WEATHER_VARIABLES.join(','));
+        }
 
-        const url = `${this.weatherBaseUrl}/forecast?${params}`;
-        
-        try {
-            console.log(`🌤️ Fetching weather data from ${startDate} to ${endDate}`);
-            
-            const response = await this.makeRateLimitedRequest(url);
-            const weatherData = await response.json();
-            
-            // Validate response structure
-            if (!weatherData.daily || !weatherData.daily.time) {
-                throw new Error('Invalid weather API response structure');
-            }
-            
-            console.log(`✅ Retrieved weather data for ${weatherData.daily.time.length} days`);
-            return weatherData;
-            
-        } catch (error) {
-            console.error(`❌ Failed to fetch weather data:`, error.message);
-            throw new Error(`Failed to fetch weather data: ${error.message}`);
+        const url = range.source === 'archive'
+            ? `${this.weatherArchiveUrl}/archive?${params}`
+            : `${this.weatherBaseUrl}/forecast?${params}`;
+
+        const response = await this.makeRateLimitedRequest(url);
+        const weatherData = await response.json();
+
+        // Validate response structure
+        if (!weatherData.daily || !weatherData.daily.time) {
+            throw new Error(`Invalid weather ${range.source} API response structure`);
         }
+        if (options.hourly && (!weatherData.hourly || !weatherData.hourly.time)) {
+            throw new Error(`Weather ${range.source} API response is missing hourly data`);
+        }
+
+        return { ...weatherData, source: range.source };
+    }
+
+    /**
+     * Merge archive and forecast responses into one daily series, plus an hourly series when present
+     * Dates missing from one source (or null there) are taken from the other
+     * @param {Array<Object>} responses - Responses from fetchWeatherRange
+     * @returns {Object} Weather data with daily arrays, daily_source and sources summary
+     */
+    stitchWeatherResponses(responses) {
+        const daily = this.stitchWeatherSeries(responses, 'daily');
+
+        const sources = responses.map(response => {
+            const sourceDates = daily.series.time.filter((date, index) => daily.source[index] === response.source);
+            return {
+                source: response.source,
+                startDate: sourceDates[0] || null,
+                endDate: sourceDates[sourceDates.length - 1] || null,
+                days: sourceDates.length
+            };
+        });
+
+        const first = responses[0] || {};
+        const weatherData = {
+            latitude: first.latitude,
+            longitude: first.longitude,
+            timezone: first.timezone,
+            daily_units: first.daily_units,
+            daily: daily.series,
+            daily_source: daily.source,
+            sources: sources
+        };
+
+        if (responses.length > 0 && responses.every(response => response.hourly)) {
+            const hourly = this.stitchWeatherSeries(responses, 'hourly');
+            weatherData.hourly_units = first.hourly_units;
+            weatherData.hourly = hourly.series;
+            weatherData.hourly_source = hourly.source;
+        }
+
+        return weatherData;
+    }
+
+    /**
+     * Merge one block ('daily' or 'hourly') of several responses by timestamp
+     * @param {Array<Object>} responses - Responses from fetchWeatherRange
+     * @param {string} block - 'daily' or 'hourly'
+     * @returns {Object} Object with series (time plus one array per variable) and source per entry
+     */
+    stitchWeatherSeries(responses, block) {
+        const variables = new Set();
+        const entries = {};
+
+        responses.forEach(response => {
+            const data = response[block];
+            const keys = Object.keys(data).filter(key => key !== 'time');
+            keys.forEach(key => variables.add(key));
+
+            data.time.forEach((time, index) => {
+                const existing = entries[time];
+                const values = {};
+                keys.forEach(key => {
+                    values[key] = data[key][index];
+                });
+
+                const hasValues = Object.values(values).some(value => value !== null && value !== undefined);
+                if (!existing || (!existing.hasValues && hasValues)) {
+                    entries[time] = { values, source: response.source, hasValues };
+                }
+            });
+        });
+
+        const times = Object.keys(entries).sort();
+        const series = { time: times };
+        variables.forEach(variable => {
+            series[variable] = times.map(time => {
+                const value = entries[time].values[variable];
+                return value === undefined ? null : value;
+            });
+        });
+
+        return { series, source: times.map(time => entries[time].source) };
+    }
+
+    /**
+     * Shift a YYYY-MM-DD date string by a number of days
+     * @param {string} dateStr - Date in YYYY-MM-DD format
+     * @param {number} days - Days to add (negative to subtract)
+     * @returns {string} Shifted date in YYYY-MM-DD format
+     */
+    shiftDate(dateStr, days) {
+        const date = new Date(`${dateStr}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().split('T')[0];
     }
 
     /**
      * Make a rate-limited HTTP request with retry logic
+     * GitHub rate limits pause the GitHub request queue until the limit resets
+     * instead of failing, and do not use up retry attempts
      * @param {string} url - Request URL
      * @param {Object} options - Fetch options
      * @returns {Promise<Response>} Fetch response
      */
     async makeRateLimitedRequest(url, options = {}) {
-        // Implement rate limiting
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-        
-        if (timeSinceLastRequest < this.rateLimitDelay) {
-            const delay = this.rateLimitDelay - timeSinceLastRequest;
-            console.log(`⏳ Rate limiting: waiting ${delay}ms`);
-            await this.sleep(delay);
-        }
-        
-        this.lastRequestTime = Date.now();
+        const isGitHub = this.isGitHubRequest(url);
+        const isConditional = isGitHub && (options.method || 'GET').toUpperCase() === 'GET';
+        const cachedEntry = isConditional ? await this.etagCache.get(url) : null;
+        let rateLimitWaits = 0;
         
         // Enhanced retry logic with better error handling
         for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+            await this.waitForRequestSlot(isGitHub ? 'github' : 'other');
+            
             try {
                 // Add timeout to prevent hanging requests
                 const controller = new AbortController();
@@ -191,12 +765,23 @@ class DataFetcher {
                     headers: {
                         'Accept': 'application/json',
                         'User-Agent': 'UnicornWeatherIndex/1.0',
-                        ...options.headers
+                        ...options.headers,
+                        ...(cachedEntry ? { 'If-None-Match': cachedEntry.etag } : {}),
+                        ...this.getAuthHeaders(url)
                     }
                 });
                 
                 clearTimeout(timeoutId);
                 
+                if (isGitHub) {
+                    this.updateRateLimitFromHeaders(response.headers);
+                }
+                
+                if (response.status === 304 && cachedEntry) {
+                    console.log(`♻️ Not modified, serving cached body: ${url}`);
+                    return this.createCachedResponse(cachedEntry);
+                }
+                
                 if (!response.ok) {
                     const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
                     error.status = response.status;
@@ -207,12 +792,43 @@ class DataFetcher {
                     error.attempt = attempt;
                     error.isRetryable = this.isRetryableError(response.status);
                     
+                    // Tell rate limits apart from permission errors
+                    if (isGitHub && (response.status === 403 || response.status === 429)) {
+                        const rateLimit = await this.classifyRateLimitResponse(response);
+                        error.rateLimitType = rateLimit.type;
+                        error.isRateLimit = rateLimit.type !== null;
+                        error.isPermissionError = response.status === 403 && !error.isRateLimit;
+                        error.retryAt = rateLimit.retryAt;
+                    }
+                    
                     throw error;
                 }
                 
+                const etag = response.headers.get('ETag');
+                if (isConditional && etag) {
+                    await this.etagCache.set(url, {
+                        etag,
+                        body: await response.clone().text(),
+                        link: response.headers.get('Link')
+                    });
+                }
+                
                 return response;
                 
             } catch (error) {
+                // Wait out rate limits without using up an attempt
+                if (error.isRateLimit) {
+                    const waitMs = error.retryAt - Date.now();
+                    if (rateLimitWaits < this.maxRateLimitWaits && waitMs <= this.maxRateLimitWaitMs) {
+                        rateLimitWaits++;
+                        this.pauseQueue(error.retryAt, error.rateLimitType);
+                        attempt--;
+                        continue;
+                    }
+                    error.message = `GitHub API ${error.rateLimitType} rate limit exceeded. Resets at ${new Date(error.retryAt).toLocaleTimeString()}`;
+                    error.isRetryable = false;
+                }
+                
                 console.warn(`⚠️ Request attempt ${attempt}/${this.maxRetries} failed:`, error.message);
                 
                 // Handle network errors
@@ -246,6 +862,175 @@ class DataFetcher {
         }
     }
 
+    /**
+     * Rebuild a response from a cached body after a 304
+     * @param {Object} entry - Cached entry with body and link
+     * @returns {Response} Response with status 200
+     */
+    createCachedResponse(entry) {
+        const headers = { 'Content-Type': 'application/json', 'X-Cache': 'ETAG' };
+        if (entry.link) {
+            headers['Link'] = entry.link;
+        }
+        return new Response(entry.body, { status: 200, headers });
+    }
+
+    /**
+     * Whether a URL counts against the GitHub rate limit (directly or via the backend proxy)
+     * @param {string} url - Request URL
+     * @returns {boolean} True for GitHub-bound requests
+     */
+    isGitHubRequest(url) {
+        return url.startsWith(`${this.githubBaseUrl}/`) || url.startsWith(`${this.backendBaseUrl}/api/github/`);
+    }
+
+    /**
+     * Wait for this request's turn in its queue
+     * Requests in a queue run one at a time, spaced by rateLimitDelay, and GitHub
+     * requests also wait while the queue is paused for a rate limit
+     * @param {string} queueName - 'github' or 'other'
+     * @returns {Promise<void>}
+     */
+    waitForRequestSlot(queueName) {
+        const previous = this.requestQueues[queueName] || Promise.resolve();
+        
+        const slot = previous.then(async () => {
+            const pauseMs = queueName === 'github' ? this.pausedUntil - Date.now() : 0;
+            if (pauseMs > 0) {
+                console.log(`⏸️ GitHub requests paused for ${Math.ceil(pauseMs / 1000)}s (${this.pauseReason} rate limit)`);
+                await this.sleep(pauseMs);
+                this.notifyRateLimitListeners();
+            }
+            
+            const timeSinceLastRequest = Date.now() - (this.lastRequestTimes[queueName] || 0);
+            if (timeSinceLastRequest < this.rateLimitDelay) {
+                const delay = this.rateLimitDelay - timeSinceLastRequest;
+                console.log(`⏳ Rate limiting: waiting ${delay}ms`);
+                await this.sleep(delay);
+            }
+            
+            this.lastRequestTimes[queueName] = Date.now();
+        });
+        
+        this.requestQueues[queueName] = slot;
+        return slot;
+    }
+
+    /**
+     * Pause GitHub requests until a point in time
+     * @param {number} until - Epoch milliseconds to resume at
+     * @param {string} reason - 'primary' or 'secondary'
+     */
+    pauseQueue(until, reason) {
+        if (until > this.pausedUntil) {
+            this.pausedUntil = until;
+            this.pauseReason = reason;
+            console.warn(`⏸️ GitHub ${reason} rate limit hit, pausing until ${new Date(until).toLocaleTimeString()}`);
+            this.notifyRateLimitListeners();
+        }
+    }
+
+    /**
+     * Record the rate limit budget reported by GitHub response headers
+     * @param {Headers} headers - Response headers
+     */
+    updateRateLimitFromHeaders(headers) {
+        const remaining = headers.get('X-RateLimit-Remaining');
+        if (remaining === null || remaining === undefined) {
+            return;
+        }
+        
+        this.rateLimit = {
+            limit: Number(headers.get('X-RateLimit-Limit')) || null,
+            remaining: Number(remaining),
+            resetAt: Number(headers.get('X-RateLimit-Reset')) * 1000 || null,
+            resource: headers.get('X-RateLimit-Resource') || 'core',
+            updatedAt: Date.now()
+        };
+        
+        // Budget exhausted: hold further requests instead of letting them fail
+        if (this.rateLimit.remaining === 0 && this.rateLimit.resetAt > Date.now()) {
+            this.pauseQueue(this.rateLimit.resetAt, 'primary');
+        } else {
+            this.notifyRateLimitListeners();
+        }
+    }
+
+    /**
+     * Classify a 403/429 response as a primary limit, secondary limit or neither
+     * @param {Response} response - Failed GitHub response
+     * @returns {Promise<Object>} Object with type ('primary', 'secondary' or null) and retryAt
+     */
+    async classifyRateLimitResponse(response) {
+        const now = Date.now();
+        
+        // Secondary limits tell us how long to back off
+        const retryAfter = response.headers.get('Retry-After');
+        if (retryAfter !== null && retryAfter !== undefined) {
+            const seconds = Number(retryAfter);
+            return { type: 'secondary', retryAt: now + (isNaN(seconds) ? 60 : seconds) * 1000 };
+        }
+        
+        if (response.headers.get('X-RateLimit-Remaining') === '0') {
+            const resetAt = Number(response.headers.get('X-RateLimit-Reset')) * 1000;
+            return { type: 'primary', retryAt: resetAt > now ? resetAt : now + 60000 };
+        }
+        
+        let message = '';
+        try {
+            message = (await response.clone().json()).message || '';
+        } catch (parseError) {
+            // Body is not JSON; fall through to status-based classification
+        }
+        
+        // GitHub asks to wait at least a minute when no header says otherwise
+        if (/secondary rate limit|abuse/i.test(message) || response.status === 429) {
+            return { type: 'secondary', retryAt: now + 60000 };
+        }
+        
+        return { type: null, retryAt: null };
+    }
+
+    /**
+     * Subscribe to rate limit budget and pause changes
+     * @param {Function} listener - Called with the current rate limit status
+     * @returns {Function} Unsubscribe function
+     */
+    onRateLimitChange(listener) {
+        this.rateLimitListeners.push(listener);
+        return () => {
+            this.rateLimitListeners = this.rateLimitListeners.filter(l => l !== listener);
+        };
+    }
+
+    /**
+     * Current GitHub rate limit status
+     * @returns {Object} Budget, reset time and pause state
+     */
+    getRateLimitStatus() {
+        const isPaused = this.pausedUntil > Date.now();
+        return {
+            ...this.rateLimit,
+            isPaused: isPaused,
+            pausedUntil: isPaused ? this.pausedUntil : null,
+            pauseReason: isPaused ? this.pauseReason : null
+        };
+    }
+
+    /**
+     * Notify listeners of the current rate limit status
+     */
+    notifyRateLimitListeners() {
+        const status = this.getRateLimitStatus();
+        this.rateLimitListeners.forEach(listener => {
+            try {
+                listener(status);
+            } catch (listenerError) {
+                console.warn('⚠️ Rate limit listener failed:', listenerError.message);
+            }
+        });
+    }
+
     /**
      * Determine if an error is retryable
      * @param {number} status - HTTP status code
@@ -311,9 +1096,10 @@ class DataFetcher {
     /**
      * Fetch data from multiple organizations in parallel with enhanced error handling
      * @param {Array<string>} orgNames - Array of organization names
+     * @param {Object} options - Pagination options passed to fetchOrgEvents
      * @returns {Promise<Object>} Object mapping org names to their events
      */
-    async fetchMultipleOrgEvents(orgNames) {
+    async fetchMultipleOrgEvents(orgNames, options = {}) {
         if (!Array.isArray(orgNames) || orgNames.length === 0) {
             throw new Error('Organization names must be a non-empty array');
         }
@@ -322,13 +1108,15 @@ class DataFetcher {
         
         const results = {};
         const errors = {};
+        const pagination = {};
         const partialFailures = [];
         
         // Fetch all organizations with enhanced error handling
         const promises = orgNames.map(async (orgName) => {
             try {
-                const events = await this.fetchOrgEvents(orgName);
+                const events = await this.fetchOrgEvents(orgName, options);
                 results[orgName] = events;
+                pagination[orgName] = this.getPaginationStats('orgs', orgName);
                 return { orgName, success: true, events: events.length };
             } catch (error) {
                 const errorInfo = {
@@ -379,6 +1167,7 @@ class DataFetcher {
         return {
             results,
             errors,
+            pagination,
             successCount,
             errorCount,
             partialFailures,
@@ -394,7 +1183,7 @@ class DataFetcher {
      */
     isNonCriticalError(error) {
         // Rate limiting and server errors are typically temporary
-        if (error.status === 429 || (error.status >= 500 && error.status < 600)) {
+        if (error.isRateLimit || error.status === 429 || (error.status >= 500 && error.status < 600)) {
             return true;
         }
         
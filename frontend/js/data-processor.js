@@ -3,13 +3,128 @@
  * Transforms raw GitHub and weather data into normalized metrics for visualization
  */
 
+import { DEFAULT_LOCATIONS } from './location-registry.js';
+import { DAILY_WEATHER_VARIABLES, AIR_QUALITY_VARIABLES } from './weather-variables.js';
+import { WEEKEND_DAYS, buildHolidayLookup, findUncoveredYears, filterByDayType } from './holiday-calendar.js';
+import { DEFAULT_NORMALIZATION, scaleValues } from './normalization.js';
+import { mean, median } from './statistics.js';
+
+// Heatmap rows, Monday first
+const HEATMAP_WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
 class DataProcessor {
-    constructor() {
-        console.log('🔄 DataProcessor initialized');
+    /**
+     * @param {Object} options - Processor options
+     * @param {string} options.timeZone - IANA timezone that events are bucketed into days in
+     * @param {Array<string>} options.holidayRegions - Holiday calendar regions used to mark day types
+     */
+    constructor(options = {}) {
+        const bangalore = DEFAULT_LOCATIONS.find(location => location.id === 'bangalore');
+
+        // Intl formatters are costly to create, so keep one per timezone and kind
+        this.timeFormatters = new Map();
+        this.setTimeZone(options.timeZone || bangalore.timezone);
+        this.setHolidayRegions(options.holidayRegions || bangalore.holidayRegions);
+        
+        console.log(`🔄 DataProcessor initialized (${this.timeZone})`);
+    }
+
+    /**
+     * Set the timezone used to bucket events into days
+     * Use the weather location's timezone so activity days line up with weather days
+     * @param {string} timeZone - IANA timezone, e.g. 'Asia/Kolkata'
+     */
+    setTimeZone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+        } catch (error) {
+            throw new Error(`Invalid IANA timezone: ${timeZone}`);
+        }
+        this.timeZone = timeZone;
+    }
+
+    /**
+     * Set the holiday calendar regions used to tell workdays from days off
+     * Use the weather location's holidayRegions, e.g. national plus state holidays
+     * @param {Array<string>} regions - Region codes from HOLIDAY_CALENDARS
+     */
+    setHolidayRegions(regions) {
+        if (!Array.isArray(regions)) {
+            throw new Error('Holiday regions must be an array');
+        }
+        this.holidays = buildHolidayLookup(regions);
+        this.holidayRegions = [...regions];
+        this.warnedHolidayGaps = new Set();
+    }
+
+    /**
+     * Classify a calendar date as a workday, weekend or holiday
+     * A holiday falling on a weekend counts as a holiday
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @returns {Object} Object with dayType and holidayName (null unless a holiday)
+     */
+    getDayType(date) {
+        if (this.holidays.has(date)) {
+            return { dayType: 'holiday', holidayName: this.holidays.get(date) };
+        }
+        const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+        return { dayType: WEEKEND_DAYS.includes(weekday) ? 'weekend' : 'workday', holidayName: null };
+    }
+
+    /**
+     * Mark each day with its dayType ('workday', 'weekend' or 'holiday') and holidayName
+     * @param {Array} activityData - Daily data with a date field
+     * @returns {Array} Copies of the days with dayType and holidayName set
+     */
+    markDayTypes(activityData) {
+        if (!Array.isArray(activityData)) {
+            throw new Error('Activity data must be an array');
+        }
+        this.warnAboutHolidayGaps(activityData.map(item => item.date));
+        return activityData.map(item => ({ ...item, ...this.getDayType(item.date) }));
+    }
+
+    /**
+     * Warn once per region and year when dates fall outside the bundled holiday calendars
+     * @param {Array<string>} dates - Dates in YYYY-MM-DD format
+     */
+    warnAboutHolidayGaps(dates) {
+        const years = [...new Set(dates.map(date => Number(String(date).slice(0, 4))))].filter(Number.isFinite);
+        findUncoveredYears(this.holidayRegions, years).forEach(({ region, years: missing }) => {
+            const unwarned = missing.filter(year => !this.warnedHolidayGaps.has(`${region}:${year}`));
+            if (unwarned.length === 0) {
+                return;
+            }
+            unwarned.forEach(year => this.warnedHolidayGaps.add(`${region}:${year}`));
+            console.warn(`⚠️ No ${region} holidays bundled for ${unwarned.join(', ')}: those public holidays count as workdays`);
+        });
+    }
+
+    /**
+     * Get a cached Intl formatter for a timezone
+     * @param {string} timeZone - IANA timezone
+     * @param {string} kind - 'date' for calendar dates, 'hour' for date and hour, 'time' for weekday and hour
+     * @returns {Intl.DateTimeFormat} Formatter
+     */
+    getFormatter(timeZone, kind) {
+        const key = `${kind}:${timeZone}`;
+        if (!this.timeFormatters.has(key)) {
+            const fields = {
+                date: { year: 'numeric', month: '2-digit', day: '2-digit' },
+                hour: { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', hourCycle: 'h23' },
+                time: { weekday: 'short', hour: 'numeric', hourCycle: 'h23' }
+            }[kind];
+            this.timeFormatters.set(key, new Intl.DateTimeFormat('en-US', { timeZone, ...fields }));
+        }
+        return this.timeFormatters.get(key);
     }
 
     /**
      * Aggregate organization data to create baseline calculation with enhanced error handling
+     * Besides the commit totals, each day counts its distinct active contributors (event.actor.login)
+     * overall and per org, with the mean and median commits per active contributor, so the
+     * baseline can describe an individual developer rather than the size of the orgs. Contributors
+     * are counted as in buildContributorActivity: bots and pushes without an actor are left out
      * @param {Object} orgDataArray - Object mapping org names to their events
      * @returns {Array} Aggregated baseline data by date
      */
@@ -96,13 +211,24 @@ class DataProcessor {
                             date: date,
                             totalCommits: 0,
                             eventCount: 0,
-                            organizations: new Set()
+                            organizations: new Set(),
+                            contributorCommits: new Map(),
+                            contributorsByOrg: {}
                         };
                     }
                     
-                    dateGroups[date].totalCommits += event.commits || 0;
-                    dateGroups[date].eventCount += 1;
-                    dateGroups[date].organizations.add(event.orgName);
+                    const group = dateGroups[date];
+                    group.totalCommits += event.commits || 0;
+                    group.eventCount += 1;
+                    group.organizations.add(event.orgName);
+
+                    const login = this.getContributorLogin(event);
+                    if (login) {
+                        const key = login.toLowerCase();
+                        group.contributorCommits.set(key, (group.contributorCommits.get(key) || 0) + (event.commits || 0));
+                        group.contributorsByOrg[event.orgName] = group.contributorsByOrg[event.orgName] || new Set();
+                        group.contributorsByOrg[event.orgName].add(key);
+                    }
                 } catch (groupError) {
                     console.warn(`⚠️ Error grouping event ${index}:`, groupError.message);
                 }
@@ -110,13 +236,21 @@ class DataProcessor {
 
             // Convert to array and sort by date with error handling
             const aggregatedData = Object.values(dateGroups)
-                .map(group => ({
-                    date: group.date,
-                    commits: group.totalCommits || 0,
-                    events: group.eventCount || 0,
-                    orgCount: group.organizations.size || 0,
-                    source: 'baseline'
-                }))
+                .map(group => {
+                    const commitsPerContributor = Array.from(group.contributorCommits.values());
+                    return {
+                        date: group.date,
+                        commits: group.totalCommits || 0,
+                        events: group.eventCount || 0,
+                        orgCount: group.organizations.size || 0,
+                        activeContributors: group.contributorCommits.size,
+                        contributorsByOrg: Object.fromEntries(Object.entries(group.contributorsByOrg)
+                            .map(([orgName, logins]) => [orgName, logins.size])),
+                        commitsPerContributor: mean(commitsPerContributor),
+                        medianCommitsPerContributor: median(commitsPerContributor),
+                        source: 'baseline'
+                    };
+                })
                 .filter(item => item.date) // Remove items with invalid dates
                 .sort((a, b) => {
                     try {
@@ -146,6 +280,85 @@ class DataProcessor {
         }
     }
 
+    /**
+     * Login of the developer behind an event
+     * @param {Object} event - GitHub event
+     * @returns {string|null} Login, or null for bot accounts (logins ending in [bot]) and events without an actor
+     */
+    getContributorLogin(event) {
+        const login = event && event.actor && event.actor.login;
+        return login && !login.endsWith('[bot]') ? login : null;
+    }
+
+    /**
+     * Organization owning an event's repository
+     * @param {Object} event - GitHub event
+     * @returns {string|null} Org login (the repository owner when the event has no org), or null
+     */
+    getEventOrg(event) {
+        if (event && event.org && event.org.login) {
+            return event.org.login;
+        }
+        const repoName = event && event.repo && event.repo.name;
+        return repoName && repoName.includes('/') ? repoName.split('/')[0] : null;
+    }
+
+    /**
+     * Build each contributor's daily activity from organization events
+     * Pushes without an actor and bot accounts (logins ending in [bot]) are left out, since
+     * neither is an individual developer
+     * @param {Object} orgData - Object mapping org names to their events
+     * @param {Object} range - Optional window with startDate and endDate (YYYY-MM-DD, local dates)
+     * @returns {Array<Object>} Contributors with login, orgs, totalCommits, pushes, activeDays and
+     *   daily (date, commits and pushes per active day, in date order), most commits first
+     */
+    buildContributorActivity(orgData, range = {}) {
+        if (!orgData || typeof orgData !== 'object') {
+            throw new Error('Organization data must be an object');
+        }
+
+        const contributors = new Map();
+        Object.entries(orgData).forEach(([orgName, events]) => {
+            (Array.isArray(events) ? events : []).forEach(event => {
+                const login = this.getContributorLogin(event);
+                if (!login || event.type !== 'PushEvent' || !event.created_at) {
+                    return;
+                }
+
+                const date = this.extractDateFromTimestamp(event.created_at);
+                if ((range.startDate && date < range.startDate) || (range.endDate && date > range.endDate)) {
+                    return;
+                }
+
+                const key = login.toLowerCase();
+                if (!contributors.has(key)) {
+                    contributors.set(key, { login, orgs: new Set(), days: new Map() });
+                }
+                const contributor = contributors.get(key);
+                contributor.orgs.add(orgName);
+
+                const day = contributor.days.get(date) || { date, commits: 0, pushes: 0 };
+                day.commits += this.safeGetCommitCount(event);
+                day.pushes += 1;
+                contributor.days.set(date, day);
+            });
+        });
+
+        return Array.from(contributors.values())
+            .map(({ login, orgs, days }) => {
+                const daily = Array.from(days.values()).sort((a, b) => a.date.localeCompare(b.date));
+                return {
+                    login,
+                    orgs: Array.from(orgs),
+                    totalCommits: daily.reduce((sum, day) => sum + day.commits, 0),
+                    pushes: daily.reduce((sum, day) => sum + day.pushes, 0),
+                    activeDays: daily.length,
+                    daily
+                };
+            })
+            .sort((a, b) => b.totalCommits - a.totalCommits);
+    }
+
     /**
      * Safely extract commit count from event payload
      * @param {Object} event - GitHub event object
@@ -166,10 +379,12 @@ class DataProcessor {
     /**
      * Normalize activity data to 0-100% Activity Score scale
      * @param {Array} rawData - Raw activity data with commits/events
-     * @param {number} maxValue - Optional maximum value for normalization (auto-calculated if not provided)
+     * @param {Object} options - Normalization options
+     * @param {string} options.strategy - Key of NORMALIZATION_STRATEGIES (default 'max')
+     * @param {number} options.maxValue - Fixed maximum for max scaling (auto-calculated if not provided)
      * @returns {Array} Normalized data with activityScore field
      */
-    normalizeToActivityScore(rawData, maxValue = null) {
+    normalizeToActivityScore(rawData, options = {}) {
         if (!Array.isArray(rawData)) {
             throw new Error('Raw data must be an array');
         }
@@ -179,31 +394,18 @@ class DataProcessor {
             return [];
         }
 
-        console.log(`🎯 Normalizing ${rawData.length} data points to Activity Score (0-100%)`);
-
-        // Calculate maximum value if not provided
-        if (maxValue === null) {
-            maxValue = Math.max(...rawData.map(item => item.commits || 0));
-        }
+        const strategy = options.strategy || DEFAULT_NORMALIZATION;
+        console.log(`🎯 Normalizing ${rawData.length} data points to Activity Score (0-100%, ${strategy})`);
 
-        if (maxValue === 0) {
-            console.warn('⚠️ Maximum value is 0, all activity scores will be 0');
-            return rawData.map(item => ({
-                ...item,
-                activityScore: 0
-            }));
+        const scores = scaleValues(rawData.map(item => item.commits || 0), strategy, { maxValue: options.maxValue });
+        if (scores.every(score => score === 0)) {
+            console.warn('⚠️ No activity to scale, all activity scores will be 0');
         }
 
-        // Normalize each data point
-        const normalizedData = rawData.map(item => {
-            const commits = item.commits || 0;
-            const activityScore = Math.round((commits / maxValue) * 100);
-            
-            return {
-                ...item,
-                activityScore: Math.min(100, Math.max(0, activityScore)) // Clamp to 0-100
-            };
-        });
+        const normalizedData = rawData.map((item, index) => ({
+            ...item,
+            activityScore: scores[index]
+        }));
 
         const avgScore = normalizedData.reduce((sum, item) => sum + item.activityScore, 0) / normalizedData.length;
         console.log(`✅ Normalization complete. Average activity score: ${avgScore.toFixed(1)}%`);
@@ -213,11 +415,15 @@ class DataProcessor {
 
     /**
      * Synchronize activity and weather data by date with enhanced error handling
+     * Every known daily variable present in the weather data is carried onto the weather
+     * object under its field name (see weather-variables.js), along with the day's air quality
+     * and AQI band when air quality data is given
      * @param {Array} activityData - Activity data with date field
      * @param {Object} weatherData - Weather API response object
+     * @param {Object} airQualityData - Optional air-quality API response (hourly)
      * @returns {Array} Synchronized data with both activity and weather metrics
      */
-    synchronizeActivityAndWeather(activityData, weatherData) {
+    synchronizeActivityAndWeather(activityData, weatherData, airQualityData = null) {
         try {
             if (!Array.isArray(activityData)) {
                 throw new Error('Activity data must be an array');
@@ -241,6 +447,9 @@ class DataProcessor {
             // Create weather lookup by date with error handling
             const weatherLookup = {};
             const weatherErrors = [];
+            const variables = Object.entries(DAILY_WEATHER_VARIABLES)
+                .filter(([variable]) => Array.isArray(weatherData.daily[variable]));
+            const airQualityByDay = this.aggregateAirQualityByDay(airQualityData);
 
             weatherData.daily.time.forEach((date, index) => {
                 try {
@@ -249,15 +458,20 @@ class DataProcessor {
                         return;
                     }
 
-                    const maxTemp = this.safeGetWeatherValue(weatherData.daily.temperature_2m_max, index, 'temperature');
-                    const rainfall = this.safeGetWeatherValue(weatherData.daily.precipitation_sum, index, 'rainfall', 0);
+                    const weather = { date: date };
+                    variables.forEach(([variable, definition]) => {
+                        weather[definition.field] = this.safeGetWeatherValue(weatherData.daily[variable], index, definition.type);
+                    });
+                    weather.maxTemp = weather.maxTemp ?? null;
+                    weather.rainfall = weather.rainfall ?? 0;
+                    weather.conditions = this.determineWeatherConditions(weather.maxTemp, weather.rainfall, weather);
+                    weather.source = this.safeGetWeatherValue(weatherData.daily_source, index, 'source');
 
-                    weatherLookup[date] = {
-                        date: date,
-                        maxTemp: maxTemp,
-                        rainfall: rainfall,
-                        conditions: this.determineWeatherConditions(maxTemp, rainfall)
-                    };
+                    if (airQualityByDay[date]) {
+                        Object.assign(weather, airQualityByDay[date]);
+                    }
+
+                    weatherLookup[date] = weather;
                 } catch (weatherError) {
                     weatherErrors.push(`Error processing weather for ${date}: ${weatherError.message}`);
                 }
@@ -347,6 +561,57 @@ class DataProcessor {
         }
     }
 
+    /**
+     * Fold hourly air quality into one entry per local day
+     * PM concentrations are averaged; the US AQI takes the day's worst hour, as daily AQI reports do
+     * @param {Object} airQualityData - Air-quality API response with an hourly block
+     * @returns {Object} Map of date to { pm25, pm10, usAqi, aqiBand }
+     */
+    aggregateAirQualityByDay(airQualityData) {
+        const hourly = airQualityData && airQualityData.hourly;
+        if (!hourly || !Array.isArray(hourly.time)) {
+            return {};
+        }
+
+        const days = {};
+        hourly.time.forEach((time, index) => {
+            const date = typeof time === 'string' ? time.slice(0, 10) : null;
+            if (!date) return;
+
+            if (!days[date]) {
+                days[date] = {};
+            }
+            Object.entries(AIR_QUALITY_VARIABLES).forEach(([variable, definition]) => {
+                const value = this.safeGetWeatherValue(hourly[variable], index, 'air quality');
+                if (value === null) return;
+
+                if (!days[date][definition.field]) {
+                    days[date][definition.field] = [];
+                }
+                days[date][definition.field].push(value);
+            });
+        });
+
+        const airQualityByDay = {};
+        Object.entries(days).forEach(([date, values]) => {
+            const day = {};
+            Object.values(AIR_QUALITY_VARIABLES).forEach(definition => {
+                const hours = values[definition.field];
+                if (!hours || hours.length === 0) {
+                    day[definition.field] = null;
+                } else if (definition.aggregate === 'max') {
+                    day[definition.field] = Math.max(...hours);
+                } else {
+                    day[definition.field] = parseFloat((hours.reduce((sum, value) => sum + value, 0) / hours.length).toFixed(1));
+                }
+            });
+            day.aqiBand = this.determineAqiBand(day.usAqi);
+            airQualityByDay[date] = day;
+        });
+
+        return airQualityByDay;
+    }
+
     /**
      * Safely extract weather values with error handling
      * @param {Array} weatherArray - Weather data array
@@ -373,7 +638,7 @@ class DataProcessor {
             }
             
             // Validate numeric values
-            if (type === 'temperature' || type === 'rainfall') {
+            if (['temperature', 'rainfall', 'humidity', 'cloud cover', 'wind speed', 'uv index', 'pressure', 'air quality'].includes(type)) {
                 const numValue = Number(value);
                 if (isNaN(numValue)) {
                     console.warn(`⚠️ Invalid ${type} value: ${value}, using default`);
@@ -431,8 +696,99 @@ class DataProcessor {
         return processedData;
     }
 
+    /**
+     * Process user events into hourly activity data in local time
+     * @param {Array} userEvents - Raw user events from GitHub API
+     * @param {string} timeZone - IANA timezone (defaults to the processor's timezone)
+     * @returns {Array} Hourly activity points keyed like Open-Meteo hourly times ('YYYY-MM-DDTHH:00')
+     */
+    processHourlyEvents(userEvents, timeZone = this.timeZone) {
+        if (!Array.isArray(userEvents)) {
+            throw new Error('User events must be an array');
+        }
+
+        const hourGroups = {};
+        userEvents.forEach(event => {
+            if (event.type !== 'PushEvent' || !event.created_at) return;
+
+            const hour = this.extractHourFromTimestamp(event.created_at, timeZone);
+            if (!hourGroups[hour]) {
+                hourGroups[hour] = { hour, date: hour.slice(0, 10), commits: 0, events: 0 };
+            }
+            hourGroups[hour].commits += this.safeGetCommitCount(event);
+            hourGroups[hour].events += 1;
+        });
+
+        const processedData = Object.values(hourGroups).sort((a, b) => a.hour.localeCompare(b.hour));
+        console.log(`✅ Processed user data into ${processedData.length} hourly activity points`);
+        return processedData;
+    }
+
+    /**
+     * Pair hourly activity with hourly weather
+     * Every weather hour between the first and last active day is kept, with zero commits
+     * when nothing was pushed, so quiet hours count too
+     * @param {Array} hourlyActivity - Output of processHourlyEvents
+     * @param {Object} weatherData - Weather data with an hourly block
+     * @returns {Array} Hourly points with commits, activityScore and weather
+     */
+    synchronizeHourlyActivityAndWeather(hourlyActivity, weatherData) {
+        if (!Array.isArray(hourlyActivity)) {
+            throw new Error('Hourly activity data must be an array');
+        }
+
+        const hourly = weatherData && weatherData.hourly;
+        if (!hourly || !Array.isArray(hourly.time) || hourlyActivity.length === 0) {
+            console.warn('⚠️ Hourly weather or activity unavailable, skipping hourly synchronization');
+            return [];
+        }
+
+        const activityLookup = {};
+        hourlyActivity.forEach(item => {
+            activityLookup[item.hour] = item;
+        });
+        const firstDate = hourlyActivity[0].date;
+        const lastDate = hourlyActivity[hourlyActivity.length - 1].date;
+        const maxCommits = Math.max(...hourlyActivity.map(item => item.commits), 0);
+
+        const synchronized = [];
+        hourly.time.forEach((hour, index) => {
+            const date = hour.slice(0, 10);
+            if (date < firstDate || date > lastDate) return;
+
+            const activity = activityLookup[hour];
+            const commits = activity ? activity.commits : 0;
+            const temperature = this.safeGetWeatherValue(hourly.temperature_2m, index, 'temperature');
+            const rainfall = this.safeGetWeatherValue(hourly.precipitation, index, 'rainfall', 0);
+            const humidity = this.safeGetWeatherValue(hourly.relative_humidity_2m, index, 'humidity');
+            const cloudCover = this.safeGetWeatherValue(hourly.cloud_cover, index, 'cloud cover');
+
+            synchronized.push({
+                hour,
+                date,
+                hourOfDay: Number(hour.slice(11, 13)),
+                commits,
+                events: activity ? activity.events : 0,
+                activityScore: maxCommits > 0 ? Math.round((commits / maxCommits) * 100) : 0,
+                weather: {
+                    temperature,
+                    rainfall,
+                    humidity,
+                    cloudCover,
+                    conditions: this.determineHourlyWeatherConditions(temperature, rainfall, cloudCover),
+                    source: this.safeGetWeatherValue(weatherData.hourly_source, index, 'source')
+                }
+            });
+        });
+
+        console.log(`✅ Synchronized ${synchronized.length} hours of activity and weather`);
+        return synchronized;
+    }
+
     /**
      * Fill missing dates in activity data with zero values
+     * Every day is marked with its dayType, so weekends and holidays padded with zeros can be
+     * left out of statistics that would otherwise read them as missed workdays
      * @param {Array} activityData - Activity data array
      * @param {string} startDate - Start date in YYYY-MM-DD format
      * @param {string} endDate - End date in YYYY-MM-DD format
@@ -451,10 +807,10 @@ class DataProcessor {
             dataLookup[item.date] = item;
         });
 
-        // Generate all dates in range
+        // Generate all dates in range; step calendar days in UTC so DST never skips or repeats a day
         const filledData = [];
-        const currentDate = new Date(startDate);
-        const endDateObj = new Date(endDate);
+        const currentDate = new Date(`${startDate}T00:00:00Z`);
+        const endDateObj = new Date(`${endDate}T00:00:00Z`);
 
         while (currentDate <= endDateObj) {
             const dateStr = currentDate.toISOString().split('T')[0];
@@ -471,49 +827,153 @@ class DataProcessor {
                 });
             }
             
-            currentDate.setDate(currentDate.getDate() + 1);
+            currentDate.setUTCDate(currentDate.getUTCDate() + 1);
         }
 
         console.log(`✅ Filled data to ${filledData.length} total data points`);
-        return filledData;
+        return this.markDayTypes(filledData);
     }
 
     /**
-     * Extract date (YYYY-MM-DD) from ISO timestamp
+     * Extract the local calendar date (YYYY-MM-DD) from an ISO timestamp
      * @param {string} timestamp - ISO timestamp string
+     * @param {string} timeZone - IANA timezone (defaults to the processor's timezone)
      * @returns {string} Date in YYYY-MM-DD format
      */
-    extractDateFromTimestamp(timestamp) {
+    extractDateFromTimestamp(timestamp, timeZone = this.timeZone) {
         if (!timestamp) {
             throw new Error('Timestamp is required');
         }
 
-        try {
-            return new Date(timestamp).toISOString().split('T')[0];
-        } catch (error) {
+        const date = new Date(timestamp);
+        if (isNaN(date.getTime())) {
+            throw new Error(`Invalid timestamp format: ${timestamp}`);
+        }
+
+        const parts = {};
+        this.getFormatter(timeZone, 'date').formatToParts(date).forEach(part => {
+            parts[part.type] = part.value;
+        });
+        return `${parts.year}-${parts.month}-${parts.day}`;
+    }
+
+    /**
+     * Extract the local hour ('YYYY-MM-DDTHH:00', as Open-Meteo labels hours) from an ISO timestamp
+     * @param {string} timestamp - ISO timestamp string
+     * @param {string} timeZone - IANA timezone (defaults to the processor's timezone)
+     * @returns {string} Local hour key
+     */
+    extractHourFromTimestamp(timestamp, timeZone = this.timeZone) {
+        const date = new Date(timestamp);
+        if (!timestamp || isNaN(date.getTime())) {
+            throw new Error(`Invalid timestamp format: ${timestamp}`);
+        }
+
+        const parts = {};
+        this.getFormatter(timeZone, 'hour').formatToParts(date).forEach(part => {
+            parts[part.type] = part.value;
+        });
+        return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:00`;
+    }
+
+    /**
+     * Weekday and hour of a timestamp in an IANA timezone
+     * @param {string} timestamp - ISO timestamp string
+     * @param {string} timeZone - IANA timezone, e.g. 'Asia/Kolkata'
+     * @returns {Object} Object with weekday (0 = Monday) and hour (0-23)
+     */
+    getLocalTimeParts(timestamp, timeZone = this.timeZone) {
+        const date = new Date(timestamp);
+        if (isNaN(date.getTime())) {
             throw new Error(`Invalid timestamp format: ${timestamp}`);
         }
+
+        const parts = {};
+        this.getFormatter(timeZone, 'time').formatToParts(date).forEach(part => {
+            parts[part.type] = part.value;
+        });
+
+        return {
+            weekday: HEATMAP_WEEKDAYS.indexOf(parts.weekday),
+            hour: Number(parts.hour) % 24
+        };
+    }
+
+    /**
+     * Count PushEvents per weekday and hour of day in local time
+     * Each push counts once, so a single large push doesn't dominate its hour
+     * @param {Array} events - GitHub PushEvent objects with created_at
+     * @param {string} timeZone - IANA timezone to bucket in
+     * @returns {Object} Object with grid (7 weekdays × 24 hours), total and weekday labels
+     */
+    buildActivityHeatmap(events, timeZone) {
+        const grid = HEATMAP_WEEKDAYS.map(() => new Array(24).fill(0));
+        let total = 0;
+
+        (Array.isArray(events) ? events : []).forEach(event => {
+            if (!event || !event.created_at) return;
+            try {
+                const { weekday, hour } = this.getLocalTimeParts(event.created_at, timeZone);
+                grid[weekday][hour]++;
+                total++;
+            } catch (error) {
+                console.warn('⚠️ Skipping event with invalid timestamp:', error.message);
+            }
+        });
+
+        return { grid, total, weekdays: [...HEATMAP_WEEKDAYS], timeZone };
+    }
+
+    /**
+     * Compare when a user pushes against the cohort
+     * Both heatmaps are converted to shares of their own total first, so the result is
+     * in percentage points: positive where the user is relatively more active
+     * @param {Object} userHeatmap - Heatmap from buildActivityHeatmap
+     * @param {Object} cohortHeatmap - Heatmap from buildActivityHeatmap
+     * @returns {Object} Object with grid of differences, plus both totals
+     */
+    compareHeatmaps(userHeatmap, cohortHeatmap) {
+        const share = (heatmap, weekday, hour) =>
+            heatmap.total > 0 ? (heatmap.grid[weekday][hour] / heatmap.total) * 100 : 0;
+
+        const grid = HEATMAP_WEEKDAYS.map((_, weekday) =>
+            Array.from({ length: 24 }, (_, hour) =>
+                parseFloat((share(userHeatmap, weekday, hour) - share(cohortHeatmap, weekday, hour)).toFixed(3))));
+
+        return {
+            grid,
+            userTotal: userHeatmap.total,
+            cohortTotal: cohortHeatmap.total,
+            weekdays: [...HEATMAP_WEEKDAYS]
+        };
     }
 
     /**
      * Determine weather conditions based on temperature and rainfall
+     * Wind, cloud cover and feels-like temperature refine dry days when they were fetched
      * @param {number} maxTemp - Maximum temperature in Celsius
      * @param {number} rainfall - Rainfall in mm
+     * @param {Object} extra - Optional windSpeed (km/h), cloudCover (%) and apparentTemp (Celsius)
      * @returns {string} Weather condition description
      */
-    determineWeatherConditions(maxTemp, rainfall) {
+    determineWeatherConditions(maxTemp, rainfall, extra = {}) {
         if (maxTemp === null || maxTemp === undefined) {
             return 'unknown';
         }
 
         const rain = rainfall || 0;
+        const { windSpeed, cloudCover, apparentTemp } = extra;
         
         if (rain > 10) {
             return 'heavy_rain';
         } else if (rain > 2) {
             return 'light_rain';
-        } else if (maxTemp > 35) {
+        } else if (windSpeed !== null && windSpeed !== undefined && windSpeed >= 40) {
+            return 'windy';
+        } else if (maxTemp > 35 || (apparentTemp !== null && apparentTemp !== undefined && apparentTemp > 40)) {
             return 'hot';
+        } else if (cloudCover !== null && cloudCover !== undefined && cloudCover >= 75) {
+            return 'overcast';
         } else if (maxTemp > 28) {
             return 'warm';
         } else if (maxTemp > 20) {
@@ -523,13 +983,76 @@ class DataProcessor {
         }
     }
 
+    /**
+     * Determine the US EPA AQI band for an AQI value
+     * @param {number} usAqi - US AQI
+     * @returns {string} AQI band
+     */
+    determineAqiBand(usAqi) {
+        if (usAqi === null || usAqi === undefined) {
+            return 'unknown';
+        }
+
+        if (usAqi <= 50) {
+            return 'good';
+        } else if (usAqi <= 100) {
+            return 'moderate';
+        } else if (usAqi <= 150) {
+            return 'unhealthy_for_sensitive';
+        } else if (usAqi <= 200) {
+            return 'unhealthy';
+        } else if (usAqi <= 300) {
+            return 'very_unhealthy';
+        } else {
+            return 'hazardous';
+        }
+    }
+
+    /**
+     * Determine weather conditions for a single hour
+     * Rain thresholds are per hour, so they are much lower than the daily ones
+     * @param {number} temperature - Temperature in Celsius
+     * @param {number} rainfall - Precipitation in mm for the hour
+     * @param {number} cloudCover - Cloud cover in percent
+     * @returns {string} Weather condition description
+     */
+    determineHourlyWeatherConditions(temperature, rainfall, cloudCover) {
+        if (temperature === null || temperature === undefined) {
+            return 'unknown';
+        }
+
+        const rain = rainfall || 0;
+
+        if (rain >= 4) {
+            return 'heavy_rain';
+        } else if (rain >= 0.5) {
+            return 'light_rain';
+        } else if (cloudCover !== null && cloudCover !== undefined && cloudCover >= 75) {
+            return 'overcast';
+        } else if (temperature > 35) {
+            return 'hot';
+        } else if (temperature > 28) {
+            return 'warm';
+        } else if (temperature > 20) {
+            return 'pleasant';
+        } else {
+            return 'cool';
+        }
+    }
+
     /**
      * Calculate statistics for a dataset
      * @param {Array} data - Array of data points with numeric values
      * @param {string} field - Field name to calculate statistics for
+     * @param {Object} options - Statistics options
+     * @param {Array<string>} options.dayTypes - Only include days of these types (see markDayTypes)
      * @returns {Object} Statistics object
      */
-    calculateStatistics(data, field = 'activityScore') {
+    calculateStatistics(data, field = 'activityScore', options = {}) {
+        if (Array.isArray(data) && options.dayTypes) {
+            data = filterByDayType(data, options.dayTypes);
+        }
+
         if (!Array.isArray(data) || data.length === 0) {
             return {
                 count: 0,
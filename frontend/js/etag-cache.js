@@ -0,0 +1,113 @@
+/**
+ * EtagCache - Browser cache of GitHub responses keyed by URL
+ * Stores the ETag with each body in IndexedDB so refreshes can be conditional requests;
+ * falls back to memory when IndexedDB is unavailable
+ */
+
+const DB_NAME = 'codeclimate.httpCache';
+const DB_VERSION = 1;
+const STORE_NAME = 'responses';
+
+class EtagCache {
+    constructor() {
+        this.memory = new Map();
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open the IndexedDB database once
+     * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB can't be used
+     */
+    openDatabase() {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.resolve(null);
+        }
+
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise(resolve => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE_NAME, { keyPath: 'url' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('⚠️ IndexedDB unavailable, caching ETags in memory:', request.error && request.error.message);
+                    resolve(null);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against the object store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the object store and returns an IDBRequest
+     * @returns {Promise<*>} Request result, or null if the database is unavailable
+     */
+    async runTransaction(mode, operation) {
+        const db = await this.openDatabase();
+        if (!db) {
+            return null;
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get the cached entry for a URL
+     * @param {string} url - Request URL
+     * @returns {Promise<Object|null>} Entry with etag, body and link, or null
+     */
+    async get(url) {
+        try {
+            const db = await this.openDatabase();
+            if (!db) {
+                return this.memory.get(url) || null;
+            }
+            return (await this.runTransaction('readonly', store => store.get(url))) || null;
+        } catch (error) {
+            console.warn(`⚠️ Could not read ETag cache for ${url}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Store the response for a URL
+     * @param {string} url - Request URL
+     * @param {Object} entry - Object with etag, body (text) and link header
+     * @returns {Promise<void>}
+     */
+    async set(url, entry) {
+        const record = { url, ...entry, storedAt: Date.now() };
+        try {
+            const db = await this.openDatabase();
+            if (!db) {
+                this.memory.set(url, record);
+                return;
+            }
+            await this.runTransaction('readwrite', store => store.put(record));
+        } catch (error) {
+            console.warn(`⚠️ Could not write ETag cache for ${url}:`, error.message);
+        }
+    }
+
+    /**
+     * Remove every cached response
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this.memory.clear();
+        try {
+            await this.runTransaction('readwrite', store => store.clear());
+        } catch (error) {
+            console.warn('⚠️ Could not clear ETag cache:', error.message);
+        }
+    }
+}
+
+export default EtagCache;
@@ -0,0 +1,160 @@
+/**
+ * Holiday calendar - Bundled public holidays per region, keyed by date
+ * Locations list the regions they observe in `holidayRegions` (e.g. national plus state)
+ */
+
+// Regions use ISO 3166 codes. IN holds the three national holidays every state observes; state
+// calendars hold the rest of the state government's public holiday list. Festival dates follow
+// the lunar calendar, so add each year from the published list and extend `years` with it.
+// Only Karnataka has a state calendar so far: locations in other states get national holidays only.
+const HOLIDAY_CALENDARS = {
+    IN: {
+        name: 'India (national)',
+        years: [2024, 2025, 2026, 2027],
+        holidays: {
+            '2024-01-26': 'Republic Day',
+            '2024-08-15': 'Independence Day',
+            '2024-10-02': 'Gandhi Jayanti',
+            '2025-01-26': 'Republic Day',
+            '2025-08-15': 'Independence Day',
+            '2025-10-02': 'Gandhi Jayanti',
+            '2026-01-26': 'Republic Day',
+            '2026-08-15': 'Independence Day',
+            '2026-10-02': 'Gandhi Jayanti',
+            '2027-01-26': 'Republic Day',
+            '2027-08-15': 'Independence Day',
+            '2027-10-02': 'Gandhi Jayanti'
+        }
+    },
+    'IN-KA': {
+        name: 'Karnataka',
+        years: [2024, 2025, 2026],
+        holidays: {
+            '2024-01-15': 'Makara Sankranti',
+            '2024-03-08': 'Maha Shivaratri',
+            '2024-03-29': 'Good Friday',
+            '2024-04-09': 'Ugadi',
+            '2024-04-11': 'Khutub-E-Ramzan',
+            '2024-04-14': 'Ambedkar Jayanti',
+            '2024-04-21': 'Mahaveer Jayanti',
+            '2024-05-01': 'May Day',
+            '2024-05-10': 'Basava Jayanti',
+            '2024-06-17': 'Bakrid',
+            '2024-07-17': 'Muharram',
+            '2024-09-07': 'Ganesh Chaturthi',
+            '2024-09-16': 'Eid-e-Milad',
+            '2024-10-11': 'Mahanavami',
+            '2024-10-12': 'Vijayadashami',
+            '2024-10-17': 'Valmiki Jayanti',
+            '2024-10-31': 'Naraka Chaturdashi',
+            '2024-11-01': 'Kannada Rajyotsava',
+            '2024-11-02': 'Balipadyami (Deepavali)',
+            '2024-11-18': 'Kanakadasa Jayanti',
+            '2024-12-25': 'Christmas',
+            '2025-01-14': 'Makara Sankranti',
+            '2025-02-26': 'Maha Shivaratri',
+            '2025-03-30': 'Ugadi',
+            '2025-03-31': 'Khutub-E-Ramzan',
+            '2025-04-10': 'Mahaveer Jayanti',
+            '2025-04-14': 'Ambedkar Jayanti',
+            '2025-04-18': 'Good Friday',
+            '2025-04-30': 'Basava Jayanti',
+            '2025-05-01': 'May Day',
+            '2025-06-07': 'Bakrid',
+            '2025-07-06': 'Muharram',
+            '2025-08-27': 'Ganesh Chaturthi',
+            '2025-09-05': 'Eid-e-Milad',
+            '2025-10-01': 'Mahanavami',
+            '2025-10-02': 'Vijayadashami',
+            '2025-10-07': 'Valmiki Jayanti',
+            '2025-10-20': 'Naraka Chaturdashi',
+            '2025-10-22': 'Balipadyami (Deepavali)',
+            '2025-11-01': 'Kannada Rajyotsava',
+            '2025-11-08': 'Kanakadasa Jayanti',
+            '2025-12-25': 'Christmas',
+            '2026-01-14': 'Makara Sankranti',
+            '2026-02-15': 'Maha Shivaratri',
+            '2026-03-19': 'Ugadi',
+            '2026-03-21': 'Khutub-E-Ramzan',
+            '2026-03-31': 'Mahaveer Jayanti',
+            '2026-04-03': 'Good Friday',
+            '2026-04-14': 'Ambedkar Jayanti',
+            '2026-04-20': 'Basava Jayanti',
+            '2026-05-01': 'May Day',
+            '2026-05-28': 'Bakrid',
+            '2026-06-26': 'Muharram',
+            '2026-08-26': 'Eid-e-Milad',
+            '2026-09-14': 'Ganesh Chaturthi',
+            '2026-10-19': 'Mahanavami',
+            '2026-10-20': 'Vijayadashami',
+            '2026-10-26': 'Valmiki Jayanti',
+            '2026-11-01': 'Kannada Rajyotsava',
+            '2026-11-08': 'Naraka Chaturdashi',
+            '2026-11-10': 'Balipadyami (Deepavali)',
+            '2026-11-27': 'Kanakadasa Jayanti',
+            '2026-12-25': 'Christmas'
+        }
+    }
+};
+
+// Saturday and Sunday, as getUTCDay values
+const WEEKEND_DAYS = [0, 6];
+
+// Values of the dayType field set by DataProcessor.markDayTypes
+const DAY_TYPES = ['workday', 'weekend', 'holiday'];
+
+/**
+ * Merge the holidays of several regions into one lookup
+ * @param {Array<string>} regions - Region codes from HOLIDAY_CALENDARS
+ * @returns {Map<string, string>} Holiday name by date (YYYY-MM-DD)
+ */
+function buildHolidayLookup(regions) {
+    const lookup = new Map();
+    regions.forEach(region => {
+        const calendar = HOLIDAY_CALENDARS[region];
+        if (!calendar) {
+            throw new Error(`Unknown holiday region: ${region}`);
+        }
+        Object.entries(calendar.holidays).forEach(([date, name]) => {
+            if (!lookup.has(date)) {
+                lookup.set(date, name);
+            }
+        });
+    });
+    return lookup;
+}
+
+/**
+ * Years a set of regions doesn't have holidays for
+ * Days in those years only get weekends as days off, so their public holidays count as workdays
+ * @param {Array<string>} regions - Region codes from HOLIDAY_CALENDARS
+ * @param {Array<number>} years - Calendar years to check
+ * @returns {Array<Object>} One entry per region with gaps: region and its missing years
+ */
+function findUncoveredYears(regions, years) {
+    return regions
+        .map(region => {
+            const calendar = HOLIDAY_CALENDARS[region];
+            if (!calendar) {
+                throw new Error(`Unknown holiday region: ${region}`);
+            }
+            return { region, years: years.filter(year => !calendar.years.includes(year)) };
+        })
+        .filter(gap => gap.years.length > 0);
+}
+
+/**
+ * Keep only days of the given types
+ * @param {Array<Object>} days - Days marked by DataProcessor.markDayTypes
+ * @param {Array<string>} dayTypes - Day types to keep ('workday', 'weekend', 'holiday')
+ * @returns {Array<Object>} Matching days
+ */
+function filterByDayType(days, dayTypes) {
+    const unknown = dayTypes.find(dayType => !DAY_TYPES.includes(dayType));
+    if (unknown) {
+        throw new Error(`Unknown day type: ${unknown}`);
+    }
+    return days.filter(day => dayTypes.includes(day.dayType));
+}
+
+export { HOLIDAY_CALENDARS, WEEKEND_DAYS, DAY_TYPES, buildHolidayLookup, findUncoveredYears, filterByDayType };
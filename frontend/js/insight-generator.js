@@ -3,10 +3,56 @@
  * Analyzes patterns between user activity, industry baseline, and weather conditions
  */
 
+import { DAILY_WEATHER_VARIABLES, AIR_QUALITY_VARIABLES } from './weather-variables.js';
+import { mean, variance, median, quantile, percentileRank, oneWayAnova, testCorrelation, CORRELATION_METHODS } from './statistics.js';
+import { fitActivityModel, fitOrdinaryLeastSquares } from './regression.js';
+import { DAY_TYPES, filterByDayType } from './holiday-calendar.js';
+import { getSeason, getSeasons } from './season-calendar.js';
+
+// AQI bands at or above "unhealthy for sensitive groups"
+const UNHEALTHY_AQI_BANDS = ['unhealthy_for_sensitive', 'unhealthy', 'very_unhealthy', 'hazardous'];
+
+// Weather fields correlated at each resolution; `temperature` is the field every pair must have
+const CORRELATION_FACTORS = {
+    daily: {
+        temperature: 'maxTemp',
+        variables: [...Object.values(DAILY_WEATHER_VARIABLES), ...Object.values(AIR_QUALITY_VARIABLES)]
+            .map(({ field, label }) => ({ field, label }))
+    },
+    hourly: {
+        temperature: 'temperature',
+        variables: [
+            { field: 'temperature', label: 'Temperature' },
+            { field: 'rainfall', label: 'Rainfall' },
+            { field: 'humidity', label: 'Humidity' },
+            { field: 'cloudCover', label: 'Cloud cover' }
+        ]
+    }
+};
+
+// Trailing windows of daily weather, added as extra factors before correlating daily data
+const ROLLING_WEATHER_AGGREGATES = [
+    { name: 'rainfall3dSum', field: 'rainfall', window: 3, aggregate: 'sum', label: '3-day rainfall' },
+    { name: 'maxTemp3dMean', field: 'maxTemp', window: 3, aggregate: 'mean', label: '3-day mean temperature' }
+];
+
+// Day offsets tried by findLaggedCorrelations; positive lags pair weather with later activity
+const DEFAULT_LAGS = [-3, -2, -1, 0, 1, 2, 3];
+
+// What calculateRelativePerformance compares: commits against the baseline's commits per active
+// contributor, or the normalized activity scores of both series
+const PERFORMANCE_BASES = ['perDeveloper', 'activityScore'];
+
+// Contributors listed in the leaderboard of calculateContributorDistribution
+const LEADERBOARD_SIZE = 10;
+
+// Seasons with fewer days than this are shown but left out of the seasonal ANOVA
+const MIN_DAYS_PER_SEASON = 14;
+
 class InsightGenerator {
     constructor() {
         this.minDataPoints = 5; // Minimum data points required for meaningful insights
-        this.significanceThreshold = 0.3; // Minimum correlation coefficient for significance
+        this.significanceLevel = 0.05; // Correlations count as significant when the t-test p-value is below this
         console.log('💡 InsightGenerator initialized');
     }
 
@@ -26,7 +72,12 @@ class InsightGenerator {
                 weatherCorrelations,
                 performanceAnalysis,
                 companyComparisons,
-                trendAnalysis
+                trendAnalysis,
+                lagAnalysis,
+                dayTypeAnalysis,
+                seasonalAnalysis,
+                contributorDistribution,
+                locationName
             } = analysisData;
 
             // Performance insights
@@ -39,6 +90,11 @@ class InsightGenerator {
                 insights.push(...this.generateWeatherInsights(weatherCorrelations));
             }
 
+            // Say how much more data is needed when either analysis is still short
+            if (!performanceAnalysis.hasEnoughData || !weatherCorrelations.hasEnoughData) {
+                insights.push(...this.generateEncouragingMessages(performanceAnalysis, weatherCorrelations, locationName));
+            }
+
             // Company comparison insights
             if (Object.keys(companyComparisons).length > 0) {
                 insights.push(...this.generateCompanyInsights(companyComparisons));
@@ -49,6 +105,14 @@ class InsightGenerator {
                 insights.push(...this.generateTrendInsights(trendAnalysis));
             }
 
+            // Delayed weather effects, days off and seasons
+            insights.push(...this.generateLagInsights(lagAnalysis));
+            insights.push(...this.generateDayTypeInsights(dayTypeAnalysis));
+            insights.push(...this.generateSeasonalInsights(seasonalAnalysis));
+
+            // Where the user sits among the cohort's individual contributors
+            insights.push(...this.generateContributorInsights(contributorDistribution));
+
             // Data quality insights
             insights.push(this.generateDataQualityInsight(userEvents.length, normalizedOrgData.length));
 
@@ -67,91 +131,6 @@ class InsightGenerator {
         }
     }
 
-    /**
-     * Generate performance-related insights
-     */
-    generatePerformanceInsights(performanceAnalysis) {
-        const insights = [];
-        const { relativePerformance, percentile, consistencyScore } = performanceAnalysis;
-
-        // Performance positioning insight
-        if (relativePerformance > 25) {
-            insights.push({
-                title: 'Exceptional Performance',
-                message: `Your coding activity is ${Math.round(relativePerformance)}% above the Bangalore tech industry baseline. You're operating at the ${Math.round(percentile)}th percentile, demonstrating exceptional productivity levels.`,
-                confidence: 0.9,
-                dataPoints: 30,
-                type: 'performance-positive'
-            });
-        } else if (relativePerformance > 0) {
-            insights.push({
-                title: 'Above Average Performance',
-                message: `You're performing ${Math.round(relativePerformance)}% above the industry baseline, placing you in the ${Math.round(percentile)}th percentile. Strong performance with room for optimization.`,
-                confidence: 0.8,
-                dataPoints: 30,
-                type: 'performance-positive'
-            });
-        } else {
-            insights.push({
-                title: 'Growth Opportunity',
-                message: `Your current activity level is ${Math.abs(Math.round(relativePerformance))}% below the industry baseline. Focus on consistency and gradual improvement to reach the ${Math.round(percentile + 20)}th percentile.`,
-                confidence: 0.7,
-                dataPoints: 30,
-                type: 'performance-improvement'
-            });
-        }
-
-        // Consistency insight
-        if (consistencyScore > 80) {
-            insights.push({
-                title: 'Excellent Consistency',
-                message: `Your consistency score of ${Math.round(consistencyScore)} indicates highly stable productivity patterns. This reliability is a significant competitive advantage in professional development.`,
-                confidence: 0.85,
-                dataPoints: 30,
-                type: 'consistency'
-            });
-        }
-
-        return insights;
-    }
-
-    /**
-     * Generate weather correlation insights
-     */
-    generateWeatherInsights(weatherCorrelations) {
-        const insights = [];
-        const { precipitation, temperature } = weatherCorrelations;
-
-        // Precipitation insights
-        if (precipitation && Math.abs(precipitation.coefficient) > 0.3) {
-            const direction = precipitation.coefficient > 0 ? 'increases' : 'decreases';
-            const strength = Math.abs(precipitation.coefficient) > 0.5 ? 'strong' : 'moderate';
-            
-            insights.push({
-                title: 'Weather-Productivity Correlation',
-                message: `Statistical analysis reveals a ${strength} correlation (r=${precipitation.coefficient.toFixed(3)}) between rainfall and your coding activity. Your productivity ${direction} during rainy days, suggesting weather significantly impacts your work patterns.`,
-                confidence: Math.abs(precipitation.coefficient),
-                dataPoints: 60,
-                type: 'weather-correlation'
-            });
-        }
-
-        // Temperature insights
-        if (temperature && Math.abs(temperature.coefficient) > 0.25) {
-            const optimalRange = temperature.coefficient > 0 ? 'warmer temperatures' : 'cooler temperatures';
-            
-            insights.push({
-                title: 'Temperature Sensitivity',
-                message: `Your productivity shows sensitivity to temperature variations (r=${temperature.coefficient.toFixed(3)}). Peak performance occurs during ${optimalRange}, indicating environmental factors play a role in your coding efficiency.`,
-                confidence: Math.abs(temperature.coefficient),
-                dataPoints: 60,
-                type: 'temperature-correlation'
-            });
-        }
-
-        return insights;
-    }
-
     /**
      * Generate company comparison insights
      */
@@ -248,19 +227,58 @@ class InsightGenerator {
 
     /**
      * Calculate relative performance between user and baseline data
-     * @param {Array} userData - User activity data with activityScore
-     * @param {Array} baselineData - Industry baseline data with activityScore
-     * @returns {Object} Relative performance analysis
+     * By default the user's commits are compared with the baseline's commits per active contributor,
+     * so the baseline describes one developer rather than the size of the orgs. The baseline only
+     * counts developers who pushed that day, so only the user's active days are compared with it
+     * @param {Array} userData - User activity data with commits and activityScore
+     * @param {Array} baselineData - Industry baseline data from DataProcessor.aggregateOrgData
+     * @param {Object} options - Comparison options
+     * @param {string} options.basis - 'perDeveloper' (default) or 'activityScore' to compare normalized scores
+     * @param {string} options.baselineStatistic - Per-developer baseline per day: 'median' (default) or 'mean'
+     * @param {Array<string>} options.dayTypes - Only compare days of these types, e.g. ['workday'] so
+     *   zero-padded weekends and holidays don't count against consistency (days need dayType set)
+     * @returns {Object} Relative performance analysis; per developer it also has baselineMedian and
+     *   baselineMean (average commits per active contributor by either statistic)
      */
-    calculateRelativePerformance(userData, baselineData) {
+    calculateRelativePerformance(userData, baselineData, options = {}) {
         if (!Array.isArray(userData) || !Array.isArray(baselineData)) {
             throw new Error('User data and baseline data must be arrays');
         }
 
-        console.log('📊 Calculating relative performance (David vs. Goliath)');
+        const basis = options.basis || 'perDeveloper';
+        if (!PERFORMANCE_BASES.includes(basis)) {
+            throw new Error(`Unknown performance basis: ${basis}`);
+        }
+        const baselineStatistic = options.baselineStatistic || 'median';
+        if (baselineStatistic !== 'median' && baselineStatistic !== 'mean') {
+            throw new Error(`Unknown baseline statistic: ${baselineStatistic}`);
+        }
+        const perDeveloper = basis === 'perDeveloper';
+
+        console.log(`📊 Calculating relative performance (David vs. Goliath, ${perDeveloper ? `${baselineStatistic} developer` : 'activity score'})`);
 
         // Synchronize data by date for comparison
-        const synchronizedData = this.synchronizeDataByDate(userData, baselineData);
+        let synchronizedData = perDeveloper
+            ? this.synchronizeDataByDate(userData, baselineData, {
+                userValue: item => item.commits || 0,
+                baselineValue: item => (baselineStatistic === 'mean' ? item.commitsPerContributor : item.medianCommitsPerContributor) || 0
+            })
+            : this.synchronizeDataByDate(userData, baselineData);
+        if (perDeveloper) {
+            const activeUserDates = new Set(userData.filter(item => item.commits > 0).map(item => item.date));
+            const activeBaseline = new Map(baselineData.filter(item => item.activeContributors > 0).map(item => [item.date, item]));
+            synchronizedData = synchronizedData
+                .filter(item => activeUserDates.has(item.date) && activeBaseline.has(item.date))
+                .map(item => ({
+                    ...item,
+                    baselineMedian: activeBaseline.get(item.date).medianCommitsPerContributor,
+                    baselineMean: activeBaseline.get(item.date).commitsPerContributor
+                }));
+        }
+        if (options.dayTypes) {
+            const includedDates = new Set(filterByDayType([...userData, ...baselineData], options.dayTypes).map(item => item.date));
+            synchronizedData = synchronizedData.filter(item => includedDates.has(item.date));
+        }
         
         if (synchronizedData.length < this.minDataPoints) {
             return {
@@ -293,8 +311,18 @@ class InsightGenerator {
         ).length;
         const outperformPercentage = Math.round((outperformDays / synchronizedData.length) * 100);
 
+        const perDeveloperBaseline = perDeveloper
+            ? {
+                baselineMedian: parseFloat(this.calculateMean(synchronizedData.map(item => item.baselineMedian)).toFixed(1)),
+                baselineMean: parseFloat(this.calculateMean(synchronizedData.map(item => item.baselineMean)).toFixed(1))
+            }
+            : {};
+
         return {
             hasEnoughData: true,
+            basis,
+            baselineStatistic: perDeveloper ? baselineStatistic : null,
+            unit: perDeveloper ? 'commits per day' : '%',
             dataPoints: synchronizedData.length,
             userAverage: parseFloat(userAvg.toFixed(1)),
             baselineAverage: parseFloat(baselineAvg.toFixed(1)),
@@ -305,14 +333,58 @@ class InsightGenerator {
             baselineConsistency: parseFloat(baselineConsistency.toFixed(2)),
             outperformDays: outperformDays,
             outperformPercentage: outperformPercentage,
+            ...perDeveloperBaseline,
             synchronizedData: synchronizedData
         };
     }
 
+    /**
+     * Summarize how activity moved over the analysis window
+     * @param {Array} activityData - Daily activity data with activityScore, in date order
+     * @returns {Object} Object with hasEnoughData, growthRate (least-squares change over the window
+     *   as a % of the mean score), volatility (standard deviation of the score) and momentum (last
+     *   week's mean score minus the first week's)
+     */
+    calculateTrend(activityData) {
+        if (!Array.isArray(activityData)) {
+            throw new Error('Activity data must be an array');
+        }
+
+        const scores = activityData.map(item => item.activityScore || 0);
+        if (scores.length < 7) {
+            return { hasEnoughData: false, dataPoints: scores.length };
+        }
+
+        const average = this.calculateMean(scores);
+        const fit = fitOrdinaryLeastSquares(scores.map((_, index) => [1, index]), scores, ['intercept', 'day']);
+        const slope = fit ? fit.coefficients[1].estimate : 0;
+        const variance = scores.reduce((sum, score) => sum + Math.pow(score - average, 2), 0) / scores.length;
+
+        return {
+            hasEnoughData: true,
+            dataPoints: scores.length,
+            growthRate: average > 0 ? (slope * (scores.length - 1) / average) * 100 : 0,
+            volatility: Math.sqrt(variance),
+            momentum: this.calculateMean(scores.slice(-7)) - this.calculateMean(scores.slice(0, 7))
+        };
+    }
+
     /**
      * Find correlations between activity and weather patterns
+     * Hourly pairs are compared after removing each hour-of-day's average, so the shared
+     * daily rhythm (afternoons are both warmer and busier) doesn't show up as a weather effect.
+     * Every weather variable with enough values is correlated, and factorRanking orders them
+     * by absolute coefficient so the factor that matters most for this user comes first
      * @param {Array} activityData - Activity data with weather information
      * @param {Object} options - Analysis options
+     * @param {string} options.resolution - 'daily' (default) or 'hourly' (from synchronizeHourlyActivityAndWeather)
+     * @param {string} options.method - 'pearson' (default), 'spearman' or 'kendall'; the rank methods
+     *   aren't dominated by a single release day the way Pearson is
+     * @param {Array<Object>} options.rollingAggregates - Daily rolling windows to correlate as extra
+     *   factors (defaults to ROLLING_WEATHER_AGGREGATES, ignored for hourly data)
+     * @param {Array<string>} options.holidays - Holiday dates (YYYY-MM-DD) for the daily activity model
+     * @param {Array<string>} options.dayTypes - Only correlate days of these types (see
+     *   DataProcessor.markDayTypes); rolling windows and the activity model still use every day
      * @returns {Object} Weather correlation analysis
      */
     findWeatherCorrelations(activityData, options = {}) {
@@ -320,12 +392,32 @@ class InsightGenerator {
             throw new Error('Activity data must be an array');
         }
 
-        console.log('🌤️ Analyzing weather correlations');
+        const resolution = options.resolution || 'daily';
+        const factors = CORRELATION_FACTORS[resolution];
+        if (!factors) {
+            throw new Error(`Unknown correlation resolution: ${resolution}`);
+        }
+
+        const method = options.method || 'pearson';
+        if (!CORRELATION_METHODS.includes(method)) {
+            throw new Error(`Unknown correlation method: ${method}`);
+        }
+
+        console.log(`🌤️ Analyzing ${resolution} weather correlations (${method})`);
+
+        const rollingAggregates = resolution === 'daily'
+            ? (options.rollingAggregates || ROLLING_WEATHER_AGGREGATES)
+            : [];
+        const variables = [
+            ...factors.variables,
+            ...rollingAggregates.map(({ name, label }) => ({ field: name, label }))
+        ];
 
-        // Filter data with weather information
-        const weatherData = activityData.filter(item => 
+        // Filter data with weather information, and to the requested day types
+        const withAggregates = this.addRollingWeatherAggregates(activityData, rollingAggregates);
+        const weatherData = (options.dayTypes ? filterByDayType(withAggregates, options.dayTypes) : withAggregates).filter(item => 
             item.weather && 
-            item.weather.maxTemp !== null && 
+            item.weather[factors.temperature] !== null && 
             item.weather.rainfall !== undefined &&
             item.activityScore !== undefined
         );
@@ -333,21 +425,31 @@ class InsightGenerator {
         if (weatherData.length < this.minDataPoints) {
             return {
                 hasEnoughData: false,
+                resolution: resolution,
+                method: method,
+                dayTypes: options.dayTypes || null,
                 dataPoints: weatherData.length,
                 message: `Need at least ${this.minDataPoints} data points with weather information. Currently have ${weatherData.length}.`
             };
         }
 
-        // Calculate correlations
-        const temperatureCorrelation = this.calculateCorrelation(
-            weatherData.map(item => item.weather.maxTemp),
-            weatherData.map(item => item.activityScore)
-        );
+        const adjust = (values, items) => resolution === 'hourly'
+            ? this.removeHourOfDayMeans(values, items.map(item => item.hourOfDay))
+            : values;
 
-        const rainfallCorrelation = this.calculateCorrelation(
-            weatherData.map(item => item.weather.rainfall),
-            weatherData.map(item => item.activityScore)
-        );
+        const correlate = field => {
+            const pairs = weatherData.filter(item =>
+                item.weather[field] !== null && item.weather[field] !== undefined);
+            if (pairs.length < this.minDataPoints) {
+                return null;
+            }
+
+            return this.summarizeCorrelationTest(testCorrelation(
+                adjust(pairs.map(item => item.weather[field]), pairs),
+                adjust(pairs.map(item => item.activityScore), pairs),
+                { alpha: this.significanceLevel, method }
+            ));
+        };
 
         // Analyze activity by weather conditions
         const conditionAnalysis = this.analyzeActivityByConditions(weatherData);
@@ -355,22 +457,443 @@ class InsightGenerator {
         // Find optimal weather conditions
         const optimalConditions = this.findOptimalWeatherConditions(weatherData);
 
-        return {
+        const variableCorrelations = {};
+        variables.forEach(({ field, label }) => {
+            const correlation = correlate(field);
+            if (correlation) {
+                variableCorrelations[field] = { ...correlation, label };
+            }
+        });
+
+        const factorRanking = this.rankWeatherFactors(variableCorrelations);
+
+        const result = {
             hasEnoughData: true,
+            resolution: resolution,
+            method: method,
+            dayTypes: options.dayTypes || null,
             dataPoints: weatherData.length,
-            temperatureCorrelation: {
-                coefficient: parseFloat(temperatureCorrelation.toFixed(3)),
-                strength: this.interpretCorrelationStrength(temperatureCorrelation),
-                isSignificant: Math.abs(temperatureCorrelation) >= this.significanceThreshold
-            },
-            rainfallCorrelation: {
-                coefficient: parseFloat(rainfallCorrelation.toFixed(3)),
-                strength: this.interpretCorrelationStrength(rainfallCorrelation),
-                isSignificant: Math.abs(rainfallCorrelation) >= this.significanceThreshold
-            },
+            temperatureCorrelation: variableCorrelations[factors.temperature] || null,
+            rainfallCorrelation: variableCorrelations.rainfall || null,
+            airQualityCorrelation: variableCorrelations.usAqi || null,
+            variableCorrelations: variableCorrelations,
+            factorRanking: factorRanking,
+            strongestFactor: factorRanking[0] || null,
             conditionAnalysis: conditionAnalysis,
             optimalConditions: optimalConditions
         };
+
+        if (weatherData.some(item => item.weather.aqiBand && item.weather.aqiBand !== 'unknown')) {
+            result.aqiBandAnalysis = this.analyzeActivityByConditions(weatherData, 'aqiBand');
+        }
+
+        // Partial weather effects with weekday and holidays held fixed
+        if (resolution === 'daily') {
+            result.weatherModel = fitActivityModel(activityData, {
+                holidays: options.holidays,
+                alpha: this.significanceLevel
+            });
+        }
+
+        if (resolution === 'hourly') {
+            result.humidityCorrelation = variableCorrelations.humidity || null;
+            result.cloudCoverCorrelation = variableCorrelations.cloudCover || null;
+        }
+
+        return result;
+    }
+
+    /**
+     * Round a correlation test from statistics.js for results and insights
+     * @param {Object|null} test - Result of testCorrelation
+     * @returns {Object|null} Correlation with method, coefficient, pValue, confidenceInterval,
+     *   effectiveSampleSize, strength, isSignificant and dataPoints
+     */
+    summarizeCorrelationTest(test) {
+        if (!test) {
+            return null;
+        }
+
+        return {
+            method: test.method,
+            coefficient: parseFloat(test.coefficient.toFixed(3)),
+            pValue: parseFloat(test.pValue.toPrecision(3)),
+            confidenceInterval: {
+                lower: parseFloat(test.confidenceInterval.lower.toFixed(3)),
+                upper: parseFloat(test.confidenceInterval.upper.toFixed(3)),
+                level: test.confidenceInterval.level
+            },
+            effectiveSampleSize: parseFloat(test.effectiveSampleSize.toFixed(1)),
+            strength: this.interpretCorrelationStrength(test.coefficient),
+            isSignificant: test.isSignificant,
+            dataPoints: test.sampleSize
+        };
+    }
+
+    /**
+     * Add trailing rolling-window weather values (e.g. 3-day cumulative rainfall) to daily data
+     * A window is only filled when every calendar day in it has a value
+     * @param {Array} activityData - Daily activity data with date and weather
+     * @param {Array<Object>} aggregates - Windows with name, field, window and aggregate ('sum' or 'mean')
+     * @returns {Array} Copies of the items with the aggregates added to weather
+     */
+    addRollingWeatherAggregates(activityData, aggregates = ROLLING_WEATHER_AGGREGATES) {
+        if (aggregates.length === 0) {
+            return activityData;
+        }
+
+        const byDate = new Map(activityData.filter(item => item.date).map(item => [item.date, item]));
+
+        return activityData.map(item => {
+            if (!item.weather || !item.date) {
+                return item;
+            }
+
+            const weather = { ...item.weather };
+            aggregates.forEach(({ name, field, window, aggregate }) => {
+                const values = [];
+                for (let offset = 0; offset < window; offset++) {
+                    const day = byDate.get(this.shiftDate(item.date, -offset));
+                    const value = day && day.weather ? day.weather[field] : null;
+                    if (value === null || value === undefined) {
+                        weather[name] = null;
+                        return;
+                    }
+                    values.push(value);
+                }
+
+                const sum = values.reduce((total, value) => total + value, 0);
+                weather[name] = parseFloat((aggregate === 'mean' ? sum / window : sum).toFixed(2));
+            });
+
+            return { ...item, weather };
+        });
+    }
+
+    /**
+     * Cross-correlate a weather factor with activity at several day offsets
+     * Lag k pairs the weather on day d with activity on day d + k, so a peak at +1 means
+     * the day after (say) heavy rain matters more than the rain day itself
+     * @param {Array} activityData - Daily activity data with date and weather
+     * @param {Object} options - Analysis options
+     * @param {string} options.field - Weather field, including rolling aggregates (default 'rainfall')
+     * @param {Array<number>} options.lags - Whole-day offsets (default -3 to +3)
+     * @param {string} options.method - 'pearson' (default), 'spearman' or 'kendall'
+     * @returns {Object} Object with field, label, method, one entry per lag and strongestLag
+     */
+    findLaggedCorrelations(activityData, options = {}) {
+        if (!Array.isArray(activityData)) {
+            throw new Error('Activity data must be an array');
+        }
+
+        const field = options.field || 'rainfall';
+        const method = options.method || 'pearson';
+        const lags = options.lags || DEFAULT_LAGS;
+        if (!Array.isArray(lags) || lags.some(lag => !Number.isInteger(lag))) {
+            throw new Error('Lags must be an array of whole days');
+        }
+
+        const known = [...CORRELATION_FACTORS.daily.variables, ...ROLLING_WEATHER_AGGREGATES.map(({ name, label }) => ({ field: name, label }))]
+            .find(variable => variable.field === field);
+        const label = known ? known.label : field;
+
+        console.log(`⏱️ Cross-correlating ${label} with activity at lags ${lags.join(', ')}`);
+
+        const dailyData = this.addRollingWeatherAggregates(activityData)
+            .filter(item => item.date && item.activityScore !== undefined);
+        const byDate = new Map(dailyData.map(item => [item.date, item]));
+
+        const results = lags.map(lag => {
+            const pairs = [];
+            dailyData.forEach(item => {
+                const value = item.weather ? item.weather[field] : null;
+                const later = byDate.get(this.shiftDate(item.date, lag));
+                if (value !== null && value !== undefined && later) {
+                    pairs.push([value, later.activityScore]);
+                }
+            });
+
+            const correlation = pairs.length < this.minDataPoints
+                ? null
+                : this.summarizeCorrelationTest(testCorrelation(
+                    pairs.map(pair => pair[0]),
+                    pairs.map(pair => pair[1]),
+                    { alpha: this.significanceLevel, method }
+                ));
+            return { lag, correlation };
+        });
+
+        const available = results.filter(result => result.correlation);
+        const strongestLag = available.length === 0
+            ? null
+            : available.reduce((best, result) =>
+                Math.abs(result.correlation.coefficient) > Math.abs(best.correlation.coefficient) ? result : best);
+
+        return {
+            hasEnoughData: available.length > 0,
+            field,
+            label,
+            method,
+            lags: results,
+            sameDay: results.find(result => result.lag === 0) || null,
+            strongestLag
+        };
+    }
+
+    /**
+     * Shift a YYYY-MM-DD date string by a number of days
+     * @param {string} dateStr - Date in YYYY-MM-DD format
+     * @param {number} days - Days to add (negative to subtract)
+     * @returns {string} Shifted date in YYYY-MM-DD format
+     */
+    shiftDate(dateStr, days) {
+        const date = new Date(`${dateStr}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().split('T')[0];
+    }
+
+    /**
+     * Correlate every weather factor with Pearson, Spearman and Kendall side by side
+     * A factor is flagged outlierSensitive when only Pearson finds a significant effect,
+     * which usually means a few extreme days (a release, a storm) are carrying it
+     * @param {Array} activityData - Activity data with weather information
+     * @param {Object} options - Options passed to findWeatherCorrelations (resolution)
+     * @returns {Object} Object with hasEnoughData, the full result per method, and one row per factor
+     */
+    compareCorrelationMethods(activityData, options = {}) {
+        const methods = {};
+        CORRELATION_METHODS.forEach(method => {
+            methods[method] = this.findWeatherCorrelations(activityData, { ...options, method });
+        });
+
+        if (!methods.pearson.hasEnoughData) {
+            return { hasEnoughData: false, methods, factors: [] };
+        }
+
+        const factors = methods.pearson.factorRanking.map(({ field, label }) => {
+            const row = { field, label };
+            CORRELATION_METHODS.forEach(method => {
+                row[method] = methods[method].variableCorrelations[field] || null;
+            });
+            row.outlierSensitive = Boolean(row.pearson && row.pearson.isSignificant &&
+                !(row.spearman && row.spearman.isSignificant) &&
+                !(row.kendall && row.kendall.isSignificant));
+            return row;
+        });
+
+        return { hasEnoughData: true, methods, factors };
+    }
+
+    /**
+     * Compare activity on workdays, weekends and holidays
+     * @param {Array} activityData - Daily data marked by DataProcessor.markDayTypes
+     * @returns {Object} Object with hasEnoughData, dayTypes (count, averageScore and consistency per
+     *   type) and holidays (date, holidayName and activityScore of each holiday seen)
+     */
+    compareDayTypes(activityData) {
+        if (!Array.isArray(activityData)) {
+            throw new Error('Activity data must be an array');
+        }
+
+        const dayTypes = {};
+        DAY_TYPES.forEach(dayType => {
+            const scores = filterByDayType(activityData, [dayType]).map(item => item.activityScore || 0);
+            if (scores.length > 0) {
+                dayTypes[dayType] = {
+                    count: scores.length,
+                    averageScore: parseFloat(this.calculateMean(scores).toFixed(1)),
+                    consistency: parseFloat(this.calculateConsistency(scores).toFixed(2))
+                };
+            }
+        });
+
+        const holidays = filterByDayType(activityData, ['holiday'])
+            .map(({ date, holidayName, activityScore }) => ({ date, holidayName, activityScore: activityScore || 0 }));
+
+        return {
+            hasEnoughData: Boolean(dayTypes.workday && dayTypes.workday.count >= this.minDataPoints),
+            dayTypes,
+            holidays
+        };
+    }
+
+    /**
+     * Place the user in the distribution of the cohort's individual contributors
+     * Everyone is measured by commits per day over the same window, so contributors who only
+     * pushed a few times rank low rather than being left out
+     * @param {Array<Object>} contributors - Result of DataProcessor.buildContributorActivity
+     * @param {Object} options - Distribution options
+     * @param {number} options.days - Length of the window in days
+     * @param {string} options.username - The user, left out of the cohort if they contribute to it
+     * @param {number} options.userCommits - The user's commits to the cohort's orgs over the window, counted
+     *   like a contributor's (omit without a user)
+     * @returns {Object} Object with hasEnoughData, contributorCount, days, values (commits per day of
+     *   every contributor, ascending), median, mean, p75, p90, leaderboard (top contributors with login,
+     *   orgs, commitsPerDay, totalCommits and activeDays) and, with a user, userValue, percentile
+     *   (share of contributors below, ties counting half) and rank
+     */
+    calculateContributorDistribution(contributors, options = {}) {
+        if (!Array.isArray(contributors)) {
+            throw new Error('Contributors must be an array');
+        }
+
+        const days = options.days || 0;
+        const username = options.username ? options.username.toLowerCase() : null;
+        const cohort = contributors
+            .filter(contributor => contributor.login.toLowerCase() !== username)
+            .map(contributor => ({
+                login: contributor.login,
+                orgs: contributor.orgs,
+                commitsPerDay: days > 0 ? contributor.totalCommits / days : 0,
+                totalCommits: contributor.totalCommits,
+                activeDays: contributor.activeDays
+            }))
+            .sort((a, b) => b.commitsPerDay - a.commitsPerDay);
+
+        if (cohort.length < this.minDataPoints || days === 0) {
+            return {
+                hasEnoughData: false,
+                contributorCount: cohort.length,
+                message: `Need at least ${this.minDataPoints} contributors in the cohort to place you among them. Currently have ${cohort.length}.`
+            };
+        }
+
+        const values = cohort.map(contributor => contributor.commitsPerDay).reverse();
+        const round = value => parseFloat(value.toFixed(2));
+        const distribution = {
+            hasEnoughData: true,
+            contributorCount: cohort.length,
+            days,
+            values,
+            median: round(median(values)),
+            mean: round(mean(values)),
+            p75: round(quantile(values, 0.75)),
+            p90: round(quantile(values, 0.9)),
+            leaderboard: cohort.slice(0, LEADERBOARD_SIZE).map(contributor => ({
+                ...contributor,
+                commitsPerDay: round(contributor.commitsPerDay)
+            })),
+            userValue: null,
+            percentile: null,
+            rank: null
+        };
+
+        if (typeof options.userCommits === 'number') {
+            const userValue = options.userCommits / days;
+            distribution.userValue = round(userValue);
+            distribution.percentile = Math.round(percentileRank(userValue, values));
+            distribution.rank = cohort.filter(contributor => contributor.commitsPerDay > userValue).length + 1;
+        }
+
+        return distribution;
+    }
+
+    /**
+     * Compare activity across the seasons of a season calendar, with a one-way ANOVA of whether
+     * season explains the differences. Needs a history spanning several months to say much
+     * @param {Array} activityData - Daily data with date and activityScore
+     * @param {string} calendarId - Calendar id from SEASON_CALENDARS
+     * @param {Object} options - Comparison options
+     * @param {Array<string>} options.dayTypes - Only compare days of these types (e.g. ['workday'])
+     * @returns {Object} Object with hasEnoughData, calendar, dayTypes, dataPoints, seasons (label, count,
+     *   averageScore, variance and standardDeviation per season seen), comparedSeasons, anova
+     *   (fStatistic, dfBetween, dfWithin, pValue, etaSquared and isSignificant), busiestSeason and
+     *   quietestSeason
+     */
+    compareSeasons(activityData, calendarId, options = {}) {
+        if (!Array.isArray(activityData)) {
+            throw new Error('Activity data must be an array');
+        }
+
+        const days = options.dayTypes ? filterByDayType(activityData, options.dayTypes) : activityData;
+        const scoresBySeason = {};
+        days.forEach(day => {
+            const { id } = getSeason(day.date, calendarId);
+            scoresBySeason[id] = scoresBySeason[id] || [];
+            scoresBySeason[id].push(day.activityScore || 0);
+        });
+
+        const seasons = {};
+        getSeasons(calendarId).forEach(({ id, label }) => {
+            const scores = scoresBySeason[id];
+            if (scores) {
+                const seasonVariance = variance(scores);
+                seasons[id] = {
+                    label,
+                    count: scores.length,
+                    averageScore: parseFloat(this.calculateMean(scores).toFixed(1)),
+                    variance: parseFloat(seasonVariance.toFixed(1)),
+                    standardDeviation: parseFloat(Math.sqrt(seasonVariance).toFixed(1))
+                };
+            }
+        });
+
+        const comparedSeasons = Object.keys(seasons).filter(id => seasons[id].count >= MIN_DAYS_PER_SEASON);
+        const anova = comparedSeasons.length >= 2
+            ? oneWayAnova(comparedSeasons.map(id => scoresBySeason[id]))
+            : null;
+        if (!anova) {
+            return {
+                hasEnoughData: false,
+                calendar: calendarId,
+                dayTypes: options.dayTypes || null,
+                dataPoints: days.length,
+                seasons,
+                message: `Need at least ${MIN_DAYS_PER_SEASON} days in each of two seasons to compare them. Currently have ${comparedSeasons.length} season${comparedSeasons.length === 1 ? '' : 's'} with enough days.`
+            };
+        }
+
+        const ranked = [...comparedSeasons].sort((a, b) => seasons[b].averageScore - seasons[a].averageScore);
+        return {
+            hasEnoughData: true,
+            calendar: calendarId,
+            dayTypes: options.dayTypes || null,
+            dataPoints: comparedSeasons.reduce((sum, id) => sum + seasons[id].count, 0),
+            seasons,
+            comparedSeasons,
+            anova: { ...anova, isSignificant: anova.pValue < this.significanceLevel },
+            busiestSeason: ranked[0],
+            quietestSeason: ranked[ranked.length - 1]
+        };
+    }
+
+    /**
+     * Order weather factors by how strongly they move with activity
+     * @param {Object} variableCorrelations - Correlation per weather field
+     * @returns {Array<Object>} Factors with field, label, coefficient, pValue, confidenceInterval, strength and isSignificant, strongest first
+     */
+    rankWeatherFactors(variableCorrelations) {
+        return Object.entries(variableCorrelations)
+            .map(([field, correlation]) => ({
+                field,
+                label: correlation.label,
+                coefficient: correlation.coefficient,
+                pValue: correlation.pValue,
+                confidenceInterval: correlation.confidenceInterval,
+                strength: correlation.strength,
+                isSignificant: correlation.isSignificant
+            }))
+            .sort((a, b) => Math.abs(b.coefficient) - Math.abs(a.coefficient));
+    }
+
+    /**
+     * Subtract the mean of each hour of day from a series
+     * @param {Array<number>} values - Hourly values
+     * @param {Array<number>} hoursOfDay - Hour of day (0-23) for each value
+     * @returns {Array<number>} Deviations from the hour-of-day mean
+     */
+    removeHourOfDayMeans(values, hoursOfDay) {
+        const sums = new Array(24).fill(0);
+        const counts = new Array(24).fill(0);
+        values.forEach((value, index) => {
+            sums[hoursOfDay[index]] += value;
+            counts[hoursOfDay[index]]++;
+        });
+
+        return values.map((value, index) => {
+            const hour = hoursOfDay[index];
+            return value - sums[hour] / counts[hour];
+        });
     }
 
     /**
@@ -378,6 +901,7 @@ class InsightGenerator {
      * @param {Object} performanceData - Relative performance analysis
      * @param {Object} weatherCorrelations - Weather correlation analysis
      * @param {Object} options - Generation options
+     * @param {string} options.locationName - Name of the selected location, used in the messages
      * @returns {Array} Array of insight objects
      */
     generatePersonalizedInsights(performanceData, weatherCorrelations, options = {}) {
@@ -397,7 +921,7 @@ class InsightGenerator {
 
         // Encouraging messages for insufficient data
         if (!performanceData.hasEnoughData || !weatherCorrelations.hasEnoughData) {
-            insights.push(...this.generateEncouragingMessages(performanceData, weatherCorrelations));
+            insights.push(...this.generateEncouragingMessages(performanceData, weatherCorrelations, options.locationName));
         }
 
         // Sort insights by confidence and relevance
@@ -415,13 +939,32 @@ class InsightGenerator {
     generatePerformanceInsights(performanceData) {
         const insights = [];
         const { category, performancePercentage, outperformPercentage, userConsistency, baselineConsistency } = performanceData;
+        const isPerDeveloper = performanceData.basis === 'perDeveloper';
+        // In per-developer mode the comparison is one developer against another, not against whole orgs
+        const developer = `the ${performanceData.baselineStatistic === 'mean' ? 'average' : 'median'} active developer in the industry baseline`;
+        const averages = isPerDeveloper
+            ? `You average ${performanceData.userAverage} commits on the days you push, against ${performanceData.baselineAverage} for them.`
+            : `Your average activity score of ${performanceData.userAverage}% outshines the industry baseline of ${performanceData.baselineAverage}%.`;
+        const messages = isPerDeveloper
+            ? {
+                outperforming: `You make ${Math.abs(performancePercentage)}% more commits on the days you push than ${developer}! ${averages}`,
+                matching: `You're keeping pace with ${developer}: on the days you push, your commit count matches theirs. ${averages}`,
+                trailing: `${developer.charAt(0).toUpperCase()}${developer.slice(1)} makes ${Math.abs(performancePercentage)}% more commits on an active day than you do, but that's your opportunity! ${averages}`,
+                frequentWinner: `You out-committed ${developer} on ${outperformPercentage}% of the days you both pushed. That's a steady edge, not a lucky streak!`
+            }
+            : {
+                outperforming: `You're coding ${Math.abs(performancePercentage)}% more intensely than the Bangalore tech giants! ${averages}`,
+                matching: `You're keeping pace with the Bangalore tech unicorns! Your activity level matches the industry standard, showing you're right in the competitive zone.`,
+                trailing: `The Bangalore tech giants are currently ${Math.abs(performancePercentage)}% ahead, but that's your opportunity! Every coding session gets you closer to unicorn-level productivity.`,
+                frequentWinner: `You outperformed the industry baseline on ${outperformPercentage}% of days. You're not just competing with unicorns—you're often beating them!`
+            };
 
         // Main performance insight
         if (category === 'outperforming') {
             insights.push({
                 type: 'performance_comparison',
                 title: '🚀 David Beats Goliath!',
-                message: `You're coding ${Math.abs(performancePercentage)}% more intensely than the Bangalore tech giants! Your average activity score of ${performanceData.userAverage}% outshines the industry baseline of ${performanceData.baselineAverage}%.`,
+                message: messages.outperforming,
                 confidence: 0.9,
                 category: 'positive',
                 dataPoints: performanceData.dataPoints
@@ -430,7 +973,7 @@ class InsightGenerator {
             insights.push({
                 type: 'performance_comparison',
                 title: '⚖️ Neck and Neck with Giants',
-                message: `You're keeping pace with the Bangalore tech unicorns! Your activity level matches the industry standard, showing you're right in the competitive zone.`,
+                message: messages.matching,
                 confidence: 0.8,
                 category: 'neutral',
                 dataPoints: performanceData.dataPoints
@@ -439,7 +982,7 @@ class InsightGenerator {
             insights.push({
                 type: 'performance_comparison',
                 title: '🎯 Room for Growth',
-                message: `The Bangalore tech giants are currently ${Math.abs(performancePercentage)}% ahead, but that's your opportunity! Every coding session gets you closer to unicorn-level productivity.`,
+                message: messages.trailing,
                 confidence: 0.8,
                 category: 'motivational',
                 dataPoints: performanceData.dataPoints
@@ -463,7 +1006,7 @@ class InsightGenerator {
             insights.push({
                 type: 'dominance_analysis',
                 title: '👑 Frequent Winner',
-                message: `You outperformed the industry baseline on ${outperformPercentage}% of days. You're not just competing with unicorns—you're often beating them!`,
+                message: messages.frequentWinner,
                 confidence: 0.8,
                 category: 'positive',
                 dataPoints: performanceData.dataPoints
@@ -481,38 +1024,90 @@ class InsightGenerator {
      */
     generateWeatherInsights(weatherCorrelations, performanceData) {
         const insights = [];
-        const { temperatureCorrelation, rainfallCorrelation, conditionAnalysis, optimalConditions } = weatherCorrelations;
-
-        // Temperature correlation insight
-        if (temperatureCorrelation.isSignificant) {
+        const { temperatureCorrelation, rainfallCorrelation, strongestFactor, conditionAnalysis, optimalConditions, weatherModel } = weatherCorrelations;
+        const period = weatherCorrelations.resolution === 'hourly' ? 'hours' : 'days';
+        const effects = weatherModel && weatherModel.hasEnoughData ? weatherModel.weatherEffects : {};
+
+        // Temperature and rain insights come from the regression's partial effects when it could be
+        // fitted, since raw r credits rain with what the weekday or a holiday did
+        const temperatureEffect = effects[CORRELATION_FACTORS.daily.temperature];
+        if (temperatureEffect) {
+            if (temperatureEffect.isSignificant) {
+                const direction = temperatureEffect.estimate > 0 ? 'hotter' : 'cooler';
+                insights.push({
+                    type: 'weather_correlation',
+                    title: '🌡️ Temperature Sweet Spot',
+                    message: `You code more when it's ${direction}, even on the same weekday: ${this.formatEffect(temperatureEffect)}. ${direction === 'hotter' ? 'Heat fuels your productivity' : 'Cool weather keeps you focused'}.`,
+                    confidence: 1 - temperatureEffect.pValue,
+                    category: 'analytical',
+                    dataPoints: weatherModel.dataPoints
+                });
+            }
+        } else if (temperatureCorrelation && temperatureCorrelation.isSignificant) {
             const direction = temperatureCorrelation.coefficient > 0 ? 'hotter' : 'cooler';
             const intensity = Math.abs(temperatureCorrelation.coefficient) > 0.5 ? 'significantly' : 'moderately';
             
             insights.push({
                 type: 'weather_correlation',
                 title: '🌡️ Temperature Sweet Spot',
-                message: `You code ${intensity} more when it's ${direction}! Temperature correlation: ${temperatureCorrelation.coefficient}. ${direction === 'hotter' ? 'Heat fuels your productivity' : 'Cool weather keeps you focused'}.`,
+                message: `You code ${intensity} more when it's ${direction}! Temperature correlation: ${this.formatCorrelation(temperatureCorrelation)}. ${direction === 'hotter' ? 'Heat fuels your productivity' : 'Cool weather keeps you focused'}.`,
                 confidence: Math.abs(temperatureCorrelation.coefficient),
                 category: 'analytical',
                 dataPoints: weatherCorrelations.dataPoints
             });
         }
 
-        // Rainfall correlation insight
-        if (rainfallCorrelation.isSignificant) {
+        const rainfallEffect = effects.rainfall;
+        if (rainfallEffect) {
+            if (rainfallEffect.isSignificant) {
+                const direction = rainfallEffect.estimate > 0 ? 'more' : 'less';
+                insights.push({
+                    type: 'weather_correlation',
+                    title: '🌧️ Rain Effect',
+                    message: `Rainy ${period} make you code ${direction}, with weekday and holidays held fixed: ${this.formatEffect(rainfallEffect)}.`,
+                    confidence: 1 - rainfallEffect.pValue,
+                    category: 'analytical',
+                    dataPoints: weatherModel.dataPoints
+                });
+            }
+        } else if (rainfallCorrelation && rainfallCorrelation.isSignificant) {
             const direction = rainfallCorrelation.coefficient > 0 ? 'more' : 'less';
-            const weatherType = rainfallCorrelation.coefficient > 0 ? 'rainy' : 'dry';
             
             insights.push({
                 type: 'weather_correlation',
                 title: '🌧️ Rain Effect',
-                message: `Rainy days make you code ${direction}! On ${weatherType} days, you're ${Math.round(Math.abs(rainfallCorrelation.coefficient) * 100)}% more productive than average.`,
+                message: `Rainy ${period} make you code ${direction}! Rainfall correlation: ${this.formatCorrelation(rainfallCorrelation)}.`,
                 confidence: Math.abs(rainfallCorrelation.coefficient),
                 category: 'analytical',
                 dataPoints: weatherCorrelations.dataPoints
             });
         }
 
+        // Air quality insights
+        insights.push(...this.generateAirQualityInsights(weatherCorrelations));
+
+        // Top factor insight; temperature, rain and air quality already have their own insights above
+        const coveredFields = [
+            'rainfall',
+            CORRELATION_FACTORS[weatherCorrelations.resolution || 'daily'].temperature,
+            ...Object.values(AIR_QUALITY_VARIABLES).map(variable => variable.field)
+        ];
+        // Lowercase labels for use mid-sentence, leaving acronyms like PM2.5 alone
+        const inSentence = label => /^[A-Z][a-z]/.test(label) ? label.charAt(0).toLowerCase() + label.slice(1) : label;
+        if (strongestFactor && strongestFactor.isSignificant && !coveredFields.includes(strongestFactor.field)) {
+            const direction = strongestFactor.coefficient > 0 ? 'higher' : 'lower';
+            const runnersUp = weatherCorrelations.factorRanking.slice(1, 3).map(factor => inSentence(factor.label));
+            const comparison = runnersUp.length > 0 ? `, ahead of ${runnersUp.join(' and ')}` : '';
+            insights.push({
+                type: 'weather_correlation',
+                title: '🧭 Your Biggest Weather Factor',
+                message: `${strongestFactor.label} matters most for you (${this.formatCorrelation(strongestFactor)})${comparison}. You code more on ${period} when ${inSentence(strongestFactor.label)} is ${direction}.`,
+                confidence: Math.abs(strongestFactor.coefficient),
+                category: 'analytical',
+                dataPoints: weatherCorrelations.dataPoints
+            });
+        }
+
         // Optimal conditions insight
         if (optimalConditions.condition !== 'unknown') {
             const avgScore = optimalConditions.averageScore;
@@ -529,13 +1124,212 @@ class InsightGenerator {
         return insights;
     }
 
+    /**
+     * Generate air quality insights
+     * @param {Object} weatherCorrelations - Weather correlation data (from findWeatherCorrelations)
+     * @returns {Array} Air quality insights
+     */
+    generateAirQualityInsights(weatherCorrelations) {
+        const insights = [];
+        const { airQualityCorrelation, rainfallCorrelation, aqiBandAnalysis } = weatherCorrelations;
+        const period = weatherCorrelations.resolution === 'hourly' ? 'hours' : 'days';
+
+        // AQI correlation insight, compared with rain since that's the usual suspect
+        if (airQualityCorrelation && airQualityCorrelation.isSignificant) {
+            const direction = airQualityCorrelation.coefficient > 0 ? 'rises' : 'drops';
+            const comparison = rainfallCorrelation && Math.abs(airQualityCorrelation.coefficient) > Math.abs(rainfallCorrelation.coefficient)
+                ? ` That's a stronger link than rain (r=${rainfallCorrelation.coefficient}).`
+                : '';
+
+            insights.push({
+                type: 'weather_correlation',
+                title: '🏭 Air Quality Effect',
+                message: `Your coding activity ${direction} on high-AQI ${period} (${this.formatCorrelation(airQualityCorrelation)}).${comparison}`,
+                confidence: Math.abs(airQualityCorrelation.coefficient),
+                category: 'analytical',
+                dataPoints: airQualityCorrelation.dataPoints
+            });
+        }
+
+        // Clean-air vs polluted days, when both have been seen at least twice
+        if (aqiBandAnalysis) {
+            const combine = bands => {
+                const groups = bands.map(band => aqiBandAnalysis[band]).filter(Boolean);
+                const count = groups.reduce((sum, group) => sum + group.count, 0);
+                const total = groups.reduce((sum, group) => sum + group.averageScore * group.count, 0);
+                return { count, averageScore: count > 0 ? total / count : 0 };
+            };
+            const clean = combine(['good']);
+            const polluted = combine(UNHEALTHY_AQI_BANDS);
+
+            if (clean.count >= 2 && polluted.count >= 2) {
+                const difference = clean.averageScore - polluted.averageScore;
+                insights.push({
+                    type: 'air_quality',
+                    title: '😷 Clean Air vs Smog',
+                    message: `You average ${clean.averageScore.toFixed(1)}% activity on good-air ${period} and ${polluted.averageScore.toFixed(1)}% when the AQI is unhealthy (above 100). ${difference >= 0 ? 'Polluted air seems to slow you down' : 'Smog doesn\'t seem to hold you back'}.`,
+                    confidence: 0.6,
+                    category: 'actionable',
+                    dataPoints: clean.count + polluted.count
+                });
+            }
+        }
+
+        return insights;
+    }
+
+    /**
+     * Generate insights from lagged correlations
+     * Only later activity counts: a peak at a negative lag would mean activity "predicts" weather
+     * @param {Object} lagAnalysis - Result of findLaggedCorrelations
+     * @returns {Array} Lag insights
+     */
+    generateLagInsights(lagAnalysis) {
+        const insights = [];
+        if (!lagAnalysis || !lagAnalysis.strongestLag) {
+            return insights;
+        }
+
+        const { lag, correlation } = lagAnalysis.strongestLag;
+        const sameDay = lagAnalysis.sameDay && lagAnalysis.sameDay.correlation;
+        if (lag > 0 && correlation.isSignificant) {
+            const when = lag === 1 ? 'the day after' : `${lag} days after`;
+            const direction = correlation.coefficient > 0 ? 'more' : 'less';
+            const comparison = sameDay
+                ? ` That's a stronger link than on the same day (${this.formatCorrelation(sameDay)}).`
+                : '';
+
+            insights.push({
+                type: 'weather_correlation',
+                title: '⏱️ Delayed Weather Effect',
+                message: `You code ${direction} ${when} high ${lagAnalysis.label.toLowerCase()} (${this.formatCorrelation(correlation)}).${comparison}`,
+                confidence: Math.abs(correlation.coefficient),
+                category: 'analytical',
+                dataPoints: correlation.dataPoints
+            });
+        }
+
+        return insights;
+    }
+
+    /**
+     * Generate insights comparing workdays with weekends and holidays
+     * @param {Object} dayTypeAnalysis - Result of compareDayTypes
+     * @returns {Array} Day type insights
+     */
+    generateDayTypeInsights(dayTypeAnalysis) {
+        const insights = [];
+        if (!dayTypeAnalysis || !dayTypeAnalysis.hasEnoughData) {
+            return insights;
+        }
+
+        const { workday, weekend, holiday } = dayTypeAnalysis.dayTypes;
+        const daysOff = [weekend, holiday].filter(Boolean);
+        if (daysOff.length === 0) {
+            return insights;
+        }
+
+        const offCount = daysOff.reduce((sum, group) => sum + group.count, 0);
+        const offAverage = daysOff.reduce((sum, group) => sum + group.averageScore * group.count, 0) / offCount;
+        const busiestHoliday = dayTypeAnalysis.holidays.reduce(
+            (best, day) => (!best || day.activityScore > best.activityScore ? day : best), null);
+        const holidayNote = busiestHoliday && busiestHoliday.activityScore > workday.averageScore
+            ? ` You even out-coded your workday average on ${busiestHoliday.holidayName}.`
+            : '';
+
+        insights.push({
+            type: 'day_type_analysis',
+            title: offAverage >= workday.averageScore ? '🏖️ No Days Off' : '🏖️ Weekends Are for Resting',
+            message: `You average ${workday.averageScore}% activity on workdays and ${offAverage.toFixed(1)}% on weekends and holidays.${holidayNote}`,
+            confidence: 0.7,
+            category: offAverage >= workday.averageScore ? 'neutral' : 'positive',
+            dataPoints: workday.count + offCount
+        });
+
+        return insights;
+    }
+
+    /**
+     * Generate an insight on where the user ranks among the cohort's contributors
+     * @param {Object} distribution - Result of calculateContributorDistribution (or null)
+     * @returns {Array} Contributor ranking insights
+     */
+    generateContributorInsights(distribution) {
+        if (!distribution || !distribution.hasEnoughData || distribution.percentile === null) {
+            return [];
+        }
+
+        const { percentile, rank, userValue, contributorCount, median: cohortMedian, p90, days } = distribution;
+        if (userValue === 0) {
+            return [{
+                type: 'contributor_ranking',
+                title: '🧗 Join the Contributor Ranks',
+                message: `You haven't pushed to the cohort's repositories in the last ${days} days, and only those pushes count towards the ranking. The median contributor there makes ${cohortMedian} commits a day, and the top 10% start at ${p90}.`,
+                confidence: 0.8,
+                category: 'motivational',
+                dataPoints: contributorCount
+            }];
+        }
+
+        const topShare = Math.max(1, 100 - percentile);
+        return [{
+            type: 'contributor_ranking',
+            title: percentile >= 50 ? `🏅 Top ${topShare}% of Contributors` : '🧗 Climbing the Contributor Ranks',
+            message: `At ${userValue} commits a day to the cohort's repositories over the last ${days} days you rank #${rank} of ${contributorCount + 1}, ahead of ${percentile}% of the cohort's individual contributors. The median contributor makes ${cohortMedian} a day, and the top 10% start at ${p90}.`,
+            confidence: 0.8,
+            category: percentile >= 50 ? 'positive' : 'motivational',
+            dataPoints: contributorCount
+        }];
+    }
+
+    /**
+     * Generate insights on whether activity follows the seasons
+     * @param {Object} seasonalAnalysis - Result of compareSeasons (or null)
+     * @returns {Array} Seasonal insights
+     */
+    generateSeasonalInsights(seasonalAnalysis) {
+        const insights = [];
+        if (!seasonalAnalysis || !seasonalAnalysis.hasEnoughData) {
+            return insights;
+        }
+
+        const { seasons, anova, busiestSeason, quietestSeason, dayTypes, dataPoints } = seasonalAnalysis;
+        const busiest = seasons[busiestSeason];
+        const quietest = seasons[quietestSeason];
+        const test = this.formatAnova(anova);
+
+        if (anova.isSignificant) {
+            insights.push({
+                type: 'seasonal_analysis',
+                title: '🌦️ Seasonal Rhythm',
+                message: `You're busiest in the ${busiest.label.toLowerCase()} (${busiest.averageScore}% average activity) and quietest in the ${quietest.label.toLowerCase()} (${quietest.averageScore}%). Season explains ${Math.round(anova.etaSquared * 100)}% of the day-to-day variation in ${this.describeActivity(dayTypes)} (${test}).`,
+                confidence: 1 - anova.pValue,
+                category: 'analytical',
+                dataPoints
+            });
+        } else {
+            insights.push({
+                type: 'seasonal_analysis',
+                title: '🌦️ Same in Every Season',
+                message: `Your activity ranges from ${quietest.averageScore}% in the ${quietest.label.toLowerCase()} to ${busiest.averageScore}% in the ${busiest.label.toLowerCase()}, but that is within day-to-day noise (${test}).`,
+                confidence: 0.6,
+                category: 'informational',
+                dataPoints
+            });
+        }
+
+        return insights;
+    }
+
     /**
      * Generate encouraging messages for insufficient data
      * @param {Object} performanceData - Performance data
      * @param {Object} weatherCorrelations - Weather correlation data
+     * @param {string} locationName - Name of the selected location
      * @returns {Array} Encouraging insights
      */
-    generateEncouragingMessages(performanceData, weatherCorrelations) {
+    generateEncouragingMessages(performanceData, weatherCorrelations, locationName) {
+        const weatherOf = locationName ? `${locationName}'s weather` : 'the local weather';
         const insights = [];
 
         if (!performanceData.hasEnoughData) {
@@ -553,7 +1347,7 @@ class InsightGenerator {
             insights.push({
                 type: 'weather_tracking',
                 title: '🌤️ Weather Patterns Loading',
-                message: `We're tracking your weather-coding patterns! ${this.minDataPoints - weatherCorrelations.dataPoints} more days and we'll reveal how Bangalore's weather affects your productivity.`,
+                message: `We're tracking your weather-coding patterns! ${this.minDataPoints - weatherCorrelations.dataPoints} more days and we'll reveal how ${weatherOf} affects your productivity.`,
                 confidence: 1.0,
                 category: 'informational',
                 dataPoints: weatherCorrelations.dataPoints
@@ -567,21 +1361,26 @@ class InsightGenerator {
      * Synchronize user and baseline data by date
      * @param {Array} userData - User activity data
      * @param {Array} baselineData - Baseline activity data
-     * @returns {Array} Synchronized data points
+     * @param {Object} options - Synchronization options
+     * @param {Function} options.userValue - Value compared for a user day (default its activityScore)
+     * @param {Function} options.baselineValue - Value compared for a baseline day (default its activityScore)
+     * @returns {Array} Synchronized data points with date, userScore and baselineScore
      */
-    synchronizeDataByDate(userData, baselineData) {
+    synchronizeDataByDate(userData, baselineData, options = {}) {
+        const userValue = options.userValue || (item => item.activityScore || 0);
+        const baselineValue = options.baselineValue || (item => item.activityScore || 0);
         const userLookup = {};
         const baselineLookup = {};
 
         userData.forEach(item => {
             if (item.date) {
-                userLookup[item.date] = item.activityScore || 0;
+                userLookup[item.date] = userValue(item);
             }
         });
 
         baselineData.forEach(item => {
             if (item.date) {
-                baselineLookup[item.date] = item.activityScore || 0;
+                baselineLookup[item.date] = baselineValue(item);
             }
         });
 
@@ -595,27 +1394,49 @@ class InsightGenerator {
     }
 
     /**
-     * Calculate Pearson correlation coefficient
-     * @param {Array} x - First dataset
-     * @param {Array} y - Second dataset
-     * @returns {number} Correlation coefficient (-1 to 1)
+     * Format a correlation with its confidence interval and p-value for insight messages
+     * @param {Object} correlation - Correlation from findWeatherCorrelations
+     * @returns {string} Text like "r=0.42, 95% CI 0.12 to 0.65, p=0.008" (ρ for Spearman, τ for Kendall)
      */
-    calculateCorrelation(x, y) {
-        if (!Array.isArray(x) || !Array.isArray(y) || x.length !== y.length || x.length === 0) {
-            return 0;
-        }
+    formatCorrelation(correlation) {
+        const { coefficient, confidenceInterval, pValue } = correlation;
+        const symbol = { spearman: 'ρ', kendall: 'τ' }[correlation.method] || 'r';
+        const p = pValue < 0.001 ? 'p<0.001' : `p=${pValue.toFixed(3)}`;
+        return `${symbol}=${coefficient}, ${Math.round(confidenceInterval.level * 100)}% CI ${confidenceInterval.lower} to ${confidenceInterval.upper}, ${p}`;
+    }
 
-        const n = x.length;
-        const sumX = x.reduce((a, b) => a + b, 0);
-        const sumY = y.reduce((a, b) => a + b, 0);
-        const sumXY = x.reduce((sum, xi, i) => sum + xi * y[i], 0);
-        const sumX2 = x.reduce((sum, xi) => sum + xi * xi, 0);
-        const sumY2 = y.reduce((sum, yi) => sum + yi * yi, 0);
+    /**
+     * Format a partial effect from the activity model for insight messages
+     * @param {Object} effect - Weather effect from fitActivityModel
+     * @returns {string} Text like "-0.35 activity points per mm (95% CI -0.61 to -0.09, p=0.009)"
+     */
+    formatEffect(effect) {
+        const { estimate, confidenceInterval, pValue, unit } = effect;
+        const signed = value => `${value > 0 ? '+' : ''}${value.toFixed(2)}`;
+        const p = pValue < 0.001 ? 'p<0.001' : `p=${pValue.toFixed(3)}`;
+        const perUnit = unit ? ` per ${unit === '%' ? 'percentage point' : unit}` : '';
+        return `${signed(estimate)} activity points${perUnit} (${Math.round(confidenceInterval.level * 100)}% CI ${signed(confidenceInterval.lower)} to ${signed(confidenceInterval.upper)}, ${p})`;
+    }
 
-        const numerator = n * sumXY - sumX * sumY;
-        const denominator = Math.sqrt((n * sumX2 - sumX * sumX) * (n * sumY2 - sumY * sumY));
+    /**
+     * Format a one-way ANOVA for insight messages
+     * @param {Object} anova - Result of oneWayAnova
+     * @returns {string} Text like "F(3, 240)=4.12, p=0.007"
+     */
+    formatAnova(anova) {
+        const { fStatistic, dfBetween, dfWithin, pValue } = anova;
+        const p = pValue < 0.001 ? 'p<0.001' : `p=${pValue.toFixed(3)}`;
+        return `F(${dfBetween}, ${dfWithin})=${fStatistic.toFixed(2)}, ${p}`;
+    }
 
-        return denominator === 0 ? 0 : numerator / denominator;
+    /**
+     * Name the activity an analysis looked at for insight messages
+     * @param {Array<string>|null} dayTypes - Day types the analysis was limited to (null for every day)
+     * @returns {string} Text like "your workday activity", or "your activity" when no day type was left out
+     */
+    describeActivity(dayTypes) {
+        const included = DAY_TYPES.filter(dayType => !dayTypes || dayTypes.includes(dayType));
+        return included.length === DAY_TYPES.length ? 'your activity' : `your ${included.join(' and ')} activity`;
     }
 
     /**
@@ -624,10 +1445,7 @@ class InsightGenerator {
      * @returns {number} Mean value
      */
     calculateMean(values) {
-        if (!Array.isArray(values) || values.length === 0) {
-            return 0;
-        }
-        return values.reduce((sum, val) => sum + val, 0) / values.length;
+        return Array.isArray(values) ? mean(values) : 0;
     }
 
     /**
@@ -677,13 +1495,14 @@ class InsightGenerator {
     /**
      * Analyze activity by weather conditions
      * @param {Array} weatherData - Data with weather conditions
+     * @param {string} key - Weather field to group by ('conditions' or 'aqiBand')
      * @returns {Object} Analysis by condition
      */
-    analyzeActivityByConditions(weatherData) {
+    analyzeActivityByConditions(weatherData, key = 'conditions') {
         const conditionGroups = {};
 
         weatherData.forEach(item => {
-            const condition = item.weather.conditions || 'unknown';
+            const condition = item.weather[key] || 'unknown';
             if (!conditionGroups[condition]) {
                 conditionGroups[condition] = [];
             }
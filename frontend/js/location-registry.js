@@ -0,0 +1,188 @@
+/**
+ * LocationRegistry - Known analysis locations and per-user location preferences
+ * Each location carries coordinates and an IANA timezone for weather lookups, the
+ * holiday calendar regions that decide which of its days are workdays, and the
+ * season calendar its activity is broken down by
+ */
+
+import { HOLIDAY_CALENDARS } from './holiday-calendar.js';
+import { SEASON_CALENDARS } from './season-calendar.js';
+
+// Pune and Hyderabad have no bundled state calendar yet, so only the national holidays are days off
+const DEFAULT_LOCATIONS = [
+    { id: 'bangalore', name: 'Bangalore', latitude: 12.9716, longitude: 77.5946, timezone: 'Asia/Kolkata', holidayRegions: ['IN', 'IN-KA'], seasonCalendar: 'IN' },
+    { id: 'pune', name: 'Pune', latitude: 18.5204, longitude: 73.8567, timezone: 'Asia/Kolkata', holidayRegions: ['IN'], seasonCalendar: 'IN' },
+    { id: 'hyderabad', name: 'Hyderabad', latitude: 17.3850, longitude: 78.4867, timezone: 'Asia/Kolkata', holidayRegions: ['IN'], seasonCalendar: 'IN' },
+    { id: 'berlin', name: 'Berlin', latitude: 52.5200, longitude: 13.4050, timezone: 'Europe/Berlin', seasonCalendar: 'temperate' }
+];
+
+const USER_LOCATIONS_STORAGE_KEY = 'codeclimate.userLocations';
+
+class LocationRegistry {
+    /**
+     * @param {Array<Object>} locations - Initial locations (defaults to the built-in list)
+     * @param {string} defaultLocationId - Location used when none is chosen
+     */
+    constructor(locations = DEFAULT_LOCATIONS, defaultLocationId = 'bangalore') {
+        this.locations = new Map();
+        locations.forEach(location => this.register(location));
+
+        if (!this.locations.has(defaultLocationId)) {
+            throw new Error(`Default location '${defaultLocationId}' is not registered`);
+        }
+        this.defaultLocationId = defaultLocationId;
+        this.userLocations = this.loadUserLocations();
+
+        console.log(`📍 LocationRegistry initialized with ${this.locations.size} locations`);
+    }
+
+    /**
+     * Add or replace a location
+     * @param {Object} location - Location with id, name, latitude, longitude, timezone, optional
+     *   holidayRegions (codes from HOLIDAY_CALENDARS; only weekends count as days off without) and
+     *   optional seasonCalendar (id from SEASON_CALENDARS; no seasonal breakdown without)
+     * @returns {Object} The registered location
+     */
+    register(location) {
+        if (!location || typeof location.id !== 'string' || !location.id) {
+            throw new Error('Location id must be a non-empty string');
+        }
+
+        const { latitude, longitude, timezone } = location;
+        if (typeof latitude !== 'number' || latitude < -90 || latitude > 90) {
+            throw new Error(`Invalid latitude for location '${location.id}'`);
+        }
+        if (typeof longitude !== 'number' || longitude < -180 || longitude > 180) {
+            throw new Error(`Invalid longitude for location '${location.id}'`);
+        }
+        if (!this.isValidTimezone(timezone)) {
+            throw new Error(`Invalid IANA timezone for location '${location.id}': ${timezone}`);
+        }
+
+        const holidayRegions = location.holidayRegions || [];
+        const unknownRegion = holidayRegions.find(region => !HOLIDAY_CALENDARS[region]);
+        if (unknownRegion) {
+            throw new Error(`Unknown holiday region for location '${location.id}': ${unknownRegion}`);
+        }
+
+        const seasonCalendar = location.seasonCalendar || null;
+        if (seasonCalendar && !SEASON_CALENDARS[seasonCalendar]) {
+            throw new Error(`Unknown season calendar for location '${location.id}': ${seasonCalendar}`);
+        }
+
+        const registered = Object.freeze({
+            id: location.id,
+            name: location.name || location.id,
+            latitude,
+            longitude,
+            timezone,
+            holidayRegions: Object.freeze([...holidayRegions]),
+            seasonCalendar
+        });
+        this.locations.set(location.id, registered);
+        return registered;
+    }
+
+    /**
+     * Get a location by id
+     * @param {string} id - Location id
+     * @returns {Object} Location
+     */
+    get(id) {
+        const location = this.locations.get(id);
+        if (!location) {
+            throw new Error(`Unknown location: ${id}`);
+        }
+        return location;
+    }
+
+    /**
+     * Get the default location
+     * @returns {Object} Location
+     */
+    getDefault() {
+        return this.get(this.defaultLocationId);
+    }
+
+    /**
+     * List all registered locations
+     * @returns {Array<Object>} Locations sorted by name
+     */
+    list() {
+        return Array.from(this.locations.values()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get the location a user works from, falling back to the default
+     * @param {string} username - GitHub username
+     * @returns {Object} Location
+     */
+    getUserLocation(username) {
+        const id = username ? this.userLocations[username.toLowerCase()] : null;
+        return id && this.locations.has(id) ? this.get(id) : this.getDefault();
+    }
+
+    /**
+     * Remember which location a user works from
+     * @param {string} username - GitHub username
+     * @param {string} locationId - Registered location id
+     */
+    setUserLocation(username, locationId) {
+        if (!username) {
+            throw new Error('Username is required');
+        }
+        this.get(locationId); // Validate
+
+        this.userLocations[username.toLowerCase()] = locationId;
+        this.saveUserLocations();
+    }
+
+    /**
+     * Check that a string is an IANA timezone the runtime understands
+     * @param {string} timezone - Timezone name
+     * @returns {boolean} Whether the timezone is valid
+     */
+    isValidTimezone(timezone) {
+        if (typeof timezone !== 'string' || !timezone) {
+            return false;
+        }
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Load per-user location choices from localStorage when available
+     * @returns {Object} Map of lowercase username to location id
+     */
+    loadUserLocations() {
+        try {
+            if (typeof localStorage === 'undefined') {
+                return {};
+            }
+            return JSON.parse(localStorage.getItem(USER_LOCATIONS_STORAGE_KEY)) || {};
+        } catch (error) {
+            console.warn('⚠️ Could not read saved user locations:', error.message);
+            return {};
+        }
+    }
+
+    /**
+     * Persist per-user location choices to localStorage when available
+     */
+    saveUserLocations() {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                localStorage.setItem(USER_LOCATIONS_STORAGE_KEY, JSON.stringify(this.userLocations));
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not save user locations:', error.message);
+        }
+    }
+}
+
+export { DEFAULT_LOCATIONS };
+export default LocationRegistry;
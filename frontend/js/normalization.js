@@ -0,0 +1,90 @@
+/**
+ * Normalization - Strategies for scaling daily commit counts to the 0-100 Activity Score
+ * Max scaling lets one huge day flatten every other day towards zero; the other strategies
+ * trade that off differently, so the choice is recorded with every analysis
+ */
+
+import { mean, variance, quantile, percentileRank, normalTwoSidedPValue } from './statistics.js';
+
+const NORMALIZATION_STRATEGIES = {
+    max: { label: 'Max scaling', description: 'Commits as a share of the busiest day' },
+    minMax: { label: 'Min-max', description: 'Position between the quietest and busiest day' },
+    percentile: { label: 'Percentile rank', description: 'Share of days with fewer commits, ties counting half' },
+    zScore: { label: 'Z-score', description: 'Standard score mapped through the normal distribution' },
+    log: { label: 'Log scaling', description: 'log(1 + commits) as a share of the busiest day' },
+    robust: { label: 'Robust (95th percentile)', description: 'Commits as a share of the 95th percentile day, capped at 100' }
+};
+
+const DEFAULT_NORMALIZATION = 'max';
+
+/**
+ * Standard normal cumulative distribution function
+ * @param {number} z - z statistic
+ * @returns {number} P(Z <= z)
+ */
+function normalCdf(z) {
+    const tail = normalTwoSidedPValue(z) / 2;
+    return z >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Check that a strategy name is known
+ * @param {string} strategy - Strategy name
+ * @returns {string} The strategy name
+ */
+function validateStrategy(strategy) {
+    if (!NORMALIZATION_STRATEGIES[strategy]) {
+        throw new Error(`Unknown normalization strategy: ${strategy}`);
+    }
+    return strategy;
+}
+
+/**
+ * Scale values to 0-100 with a normalization strategy
+ * When every value is the same there is nothing to spread: scores are all 0 without activity
+ * and all 100 otherwise. Robust scaling falls back to max scaling when the 95th percentile is 0
+ * @param {Array<number>} values - Daily commit counts
+ * @param {string} strategy - Key of NORMALIZATION_STRATEGIES
+ * @param {Object} options - Scaling options
+ * @param {number} options.maxValue - Fixed reference for max scaling instead of the busiest day
+ * @returns {Array<number>} Scores rounded to whole numbers and clamped to 0-100
+ */
+function scaleValues(values, strategy = DEFAULT_NORMALIZATION, options = {}) {
+    validateStrategy(strategy);
+    if (values.length === 0) {
+        return [];
+    }
+
+    const max = Math.max(...values);
+    const min = Math.min(...values);
+    const clamp = score => Math.min(100, Math.max(0, Math.round(score)));
+
+    if (strategy === 'max' && options.maxValue) {
+        return values.map(value => clamp((value / options.maxValue) * 100));
+    }
+    if (max === min) {
+        return values.map(() => (max > 0 ? 100 : 0));
+    }
+
+    switch (strategy) {
+        case 'minMax':
+            return values.map(value => clamp(((value - min) / (max - min)) * 100));
+        case 'percentile':
+            return values.map(value => clamp(percentileRank(value, values)));
+        case 'zScore': {
+            const average = mean(values);
+            const standardDeviation = Math.sqrt(variance(values));
+            return values.map(value => clamp(normalCdf((value - average) / standardDeviation) * 100));
+        }
+        case 'log':
+            return values.map(value => clamp((Math.log1p(Math.max(0, value)) / Math.log1p(max)) * 100));
+        case 'robust': {
+            const reference = quantile(values, 0.95) || max;
+            return values.map(value => clamp((value / reference) * 100));
+        }
+        default:
+            return values.map(value => clamp((value / max) * 100));
+    }
+}
+
+export { NORMALIZATION_STRATEGIES, DEFAULT_NORMALIZATION, validateStrategy, scaleValues };
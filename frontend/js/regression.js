@@ -0,0 +1,225 @@
+/**
+ * Regression - Ordinary least squares model of the daily activity score
+ * Estimates each weather effect with the others, the weekday and holidays held fixed, so a
+ * monsoon week full of holidays doesn't show up as rain slowing you down
+ */
+
+import { mean, studentTTwoSidedPValue, studentTCriticalValue } from './statistics.js';
+
+// Weather predictors of the activity model, by synchronized weather field
+const MODEL_WEATHER_PREDICTORS = [
+    { field: 'maxTemp', label: 'Temperature', unit: '°C' },
+    { field: 'rainfall', label: 'Rainfall', unit: 'mm' },
+    { field: 'humidity', label: 'Humidity', unit: '%' }
+];
+
+// getUTCDay order; Monday is the reference level the other weekday dummies are measured against
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const REFERENCE_WEEKDAY = 1;
+
+// Predictors missing on more than this share of days are left out rather than dropping those days
+const MAX_MISSING_SHARE = 0.2;
+
+// Fewer residual degrees of freedom than this and the standard errors mean little
+const MIN_RESIDUAL_DEGREES_OF_FREEDOM = 5;
+
+/**
+ * Invert a square matrix by Gauss-Jordan elimination with partial pivoting
+ * @param {Array<Array<number>>} matrix - Square matrix
+ * @returns {Array<Array<number>>|null} Inverse, or null if the matrix is singular
+ */
+function invertMatrix(matrix) {
+    const size = matrix.length;
+    const augmented = matrix.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+
+    for (let column = 0; column < size; column++) {
+        let pivot = column;
+        for (let row = column + 1; row < size; row++) {
+            if (Math.abs(augmented[row][column]) > Math.abs(augmented[pivot][column])) {
+                pivot = row;
+            }
+        }
+        if (Math.abs(augmented[pivot][column]) < 1e-10) {
+            return null;
+        }
+        [augmented[column], augmented[pivot]] = [augmented[pivot], augmented[column]];
+
+        const divisor = augmented[column][column];
+        augmented[column] = augmented[column].map(value => value / divisor);
+        for (let row = 0; row < size; row++) {
+            if (row !== column && augmented[row][column] !== 0) {
+                const factor = augmented[row][column];
+                augmented[row] = augmented[row].map((value, j) => value - factor * augmented[column][j]);
+            }
+        }
+    }
+
+    return augmented.map(row => row.slice(size));
+}
+
+/**
+ * Fit y = Xb by ordinary least squares
+ * @param {Array<Array<number>>} rows - Design matrix, one row per observation (include a 1 for the intercept)
+ * @param {Array<number>} y - Response, one value per row
+ * @param {Array<string>} names - Name of each column
+ * @param {Object} options - Fit options
+ * @param {number} options.alpha - Significance level of the coefficient tests (default 0.05)
+ * @returns {Object|null} Object with coefficients (name, estimate, standardError, tStatistic, pValue,
+ *   confidenceInterval, isSignificant), rSquared, adjustedRSquared, residualStandardError, sampleSize
+ *   and degreesOfFreedom, or null with no residual degrees of freedom or collinear columns
+ */
+function fitOrdinaryLeastSquares(rows, y, names, options = {}) {
+    const sampleSize = rows.length;
+    const columns = names.length;
+    const degreesOfFreedom = sampleSize - columns;
+    if (degreesOfFreedom < 1 || y.length !== sampleSize) {
+        return null;
+    }
+
+    // Normal equations: b = (X'X)^-1 X'y
+    const crossProduct = names.map((_, i) => names.map((__, j) =>
+        rows.reduce((sum, row) => sum + row[i] * row[j], 0)));
+    const inverse = invertMatrix(crossProduct);
+    if (!inverse) {
+        return null;
+    }
+    const crossResponse = names.map((_, i) => rows.reduce((sum, row, k) => sum + row[i] * y[k], 0));
+    const estimates = inverse.map(row => row.reduce((sum, value, j) => sum + value * crossResponse[j], 0));
+
+    const meanY = mean(y);
+    let residualSumOfSquares = 0;
+    let totalSumOfSquares = 0;
+    rows.forEach((row, k) => {
+        const fitted = row.reduce((sum, value, j) => sum + value * estimates[j], 0);
+        residualSumOfSquares += (y[k] - fitted) ** 2;
+        totalSumOfSquares += (y[k] - meanY) ** 2;
+    });
+
+    const alpha = options.alpha || 0.05;
+    const residualVariance = residualSumOfSquares / degreesOfFreedom;
+    const critical = studentTCriticalValue(alpha, degreesOfFreedom);
+    const rSquared = totalSumOfSquares === 0 ? 0 : 1 - residualSumOfSquares / totalSumOfSquares;
+
+    const coefficients = names.map((name, j) => {
+        const estimate = estimates[j];
+        const standardError = Math.sqrt(Math.max(0, residualVariance * inverse[j][j]));
+        // A perfect fit has no residual error: every non-zero estimate is then certain
+        const tStatistic = standardError > 0 ? estimate / standardError : (estimate === 0 ? 0 : Infinity);
+        const pValue = studentTTwoSidedPValue(tStatistic, degreesOfFreedom);
+        return {
+            name,
+            estimate,
+            standardError,
+            tStatistic,
+            pValue,
+            confidenceInterval: {
+                lower: estimate - critical * standardError,
+                upper: estimate + critical * standardError,
+                level: 1 - alpha
+            },
+            isSignificant: pValue < alpha
+        };
+    });
+
+    return {
+        coefficients,
+        rSquared,
+        adjustedRSquared: 1 - (1 - rSquared) * (sampleSize - 1) / degreesOfFreedom,
+        residualStandardError: Math.sqrt(residualVariance),
+        sampleSize,
+        degreesOfFreedom
+    };
+}
+
+/**
+ * Model the daily activity score from temperature, rainfall and humidity, with weekday dummies
+ * (Monday as reference) and a holiday flag. Columns that never vary in the data, such as the
+ * holiday flag in a month without holidays, are dropped so the fit stays identifiable
+ * @param {Array<Object>} activityData - Synchronized daily activity and weather data
+ * @param {Object} options - Model options
+ * @param {Array<string>} options.holidays - Holiday dates (YYYY-MM-DD); days marked as holidays by
+ *   DataProcessor.markDayTypes count too
+ * @param {number} options.alpha - Significance level of the coefficient tests (default 0.05)
+ * @returns {Object} Model with hasEnoughData, predictors, weatherEffects (keyed by field, each with
+ *   label and unit), weekdayEffects, holidayEffect and the fit statistics of fitOrdinaryLeastSquares
+ */
+function fitActivityModel(activityData, options = {}) {
+    if (!Array.isArray(activityData)) {
+        throw new Error('Activity data must be an array');
+    }
+
+    const holidays = new Set(options.holidays || []);
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+    const scored = activityData.filter(day => day.weather && isNumber(day.activityScore));
+
+    const weatherPredictors = MODEL_WEATHER_PREDICTORS.filter(({ field }) =>
+        scored.length > 0 &&
+        scored.filter(day => !isNumber(day.weather[field])).length / scored.length <= MAX_MISSING_SHARE);
+    const days = scored.filter(day => weatherPredictors.every(({ field }) => isNumber(day.weather[field])));
+
+    const weekdayOf = day => new Date(`${day.date}T00:00:00Z`).getUTCDay();
+    const isHoliday = day => holidays.has(day.date) || day.dayType === 'holiday';
+
+    const candidates = [
+        { name: 'intercept', value: () => 1 },
+        ...weatherPredictors.map(({ field }) => ({ name: field, value: day => day.weather[field] })),
+        ...WEEKDAY_NAMES
+            .map((weekday, index) => ({ name: weekday, value: day => (weekdayOf(day) === index ? 1 : 0) }))
+            .filter((_, index) => index !== REFERENCE_WEEKDAY),
+        { name: 'holiday', value: day => (isHoliday(day) ? 1 : 0) }
+    ];
+    const columns = candidates.filter(column =>
+        column.name === 'intercept' || new Set(days.map(column.value)).size > 1);
+
+    const fit = days.length - columns.length >= MIN_RESIDUAL_DEGREES_OF_FREEDOM
+        ? fitOrdinaryLeastSquares(
+            days.map(day => columns.map(column => column.value(day))),
+            days.map(day => day.activityScore),
+            columns.map(column => column.name),
+            { alpha: options.alpha })
+        : null;
+
+    if (!fit) {
+        return {
+            hasEnoughData: false,
+            dataPoints: days.length,
+            message: `Need at least ${columns.length + MIN_RESIDUAL_DEGREES_OF_FREEDOM} days with weather to fit the activity model. Currently have ${days.length}.`
+        };
+    }
+
+    const coefficientOf = name => fit.coefficients.find(coefficient => coefficient.name === name) || null;
+
+    const weatherEffects = {};
+    weatherPredictors.forEach(({ field, label, unit }) => {
+        const coefficient = coefficientOf(field);
+        if (coefficient) {
+            weatherEffects[field] = { ...coefficient, label, unit };
+        }
+    });
+
+    const weekdayEffects = {};
+    WEEKDAY_NAMES.forEach(weekday => {
+        const coefficient = coefficientOf(weekday);
+        if (coefficient) {
+            weekdayEffects[weekday] = coefficient;
+        }
+    });
+
+    return {
+        hasEnoughData: true,
+        dataPoints: days.length,
+        predictors: columns.map(column => column.name),
+        referenceWeekday: WEEKDAY_NAMES[REFERENCE_WEEKDAY],
+        weatherEffects,
+        weekdayEffects,
+        holidayEffect: coefficientOf('holiday'),
+        ...fit
+    };
+}
+
+export {
+    MODEL_WEATHER_PREDICTORS,
+    invertMatrix,
+    fitOrdinaryLeastSquares,
+    fitActivityModel
+};
@@ -7,6 +7,10 @@ import DataFetcher from './data-fetcher.js';
 import DataProcessor from './data-processor.js';
 import InsightGenerator from './insight-generator.js';
 import ChartRenderer from './chart-renderer.js';
+import LocationRegistry from './location-registry.js';
+import CohortRegistry from './cohort-registry.js';
+import AnalysisEngine from './analysis-engine.js';
+import { NORMALIZATION_STRATEGIES, DEFAULT_NORMALIZATION } from './normalization.js';
 
 class BangaloreWeatherIndex {
     constructor() {
@@ -14,16 +18,29 @@ class BangaloreWeatherIndex {
         this.dataProcessor = new DataProcessor();
         this.chartRenderer = new ChartRenderer();
         this.insightGenerator = new InsightGenerator();
+        this.locationRegistry = new LocationRegistry();
+        this.cohortRegistry = new CohortRegistry();
+        this.analysisEngine = new AnalysisEngine({
+            dataFetcher: this.dataFetcher,
+            dataProcessor: this.dataProcessor,
+            insightGenerator: this.insightGenerator
+        });
         
         // Application state
         this.state = {
             isLoading: false,
             currentUser: null,
+            currentLocation: null,
+            currentCohort: null,
             analysisData: null,
+            analysisInputs: null,
+            normalization: DEFAULT_NORMALIZATION,
+            zoomLevel: 'daily',
             charts: {
                 main: null,
                 distribution: null,
-                trend: null
+                trend: null,
+                lag: null
             }
         };
         
@@ -41,6 +58,9 @@ class BangaloreWeatherIndex {
             this.setupEventListeners();
             this.initializeCharts();
             
+            // Cohorts come from a config file; built-in cohorts are usable until it loads
+            this.cohortRegistry.loadFromUrl().then(() => this.populateCohortOptions());
+            
             console.log('Application initialized successfully');
         } catch (error) {
             console.error('Failed to initialize application:', error);
@@ -56,6 +76,11 @@ class BangaloreWeatherIndex {
             // Input elements
             usernameInput: document.getElementById('username'),
             analyzeBtn: document.getElementById('analyze-btn'),
+            locationSelect: document.getElementById('location-select'),
+            cohortSelect: document.getElementById('cohort-select'),
+            tokenInput: document.getElementById('github-token'),
+            tokenStatus: document.getElementById('token-status'),
+            rateLimitStatus: document.getElementById('rate-limit-status'),
             loadingIndicator: document.getElementById('loading-indicator'),
             errorMessage: document.getElementById('error-message'),
             
@@ -63,6 +88,10 @@ class BangaloreWeatherIndex {
             mainChart: document.getElementById('activity-chart'),
             distributionChart: document.getElementById('distribution-chart'),
             trendChart: document.getElementById('trend-chart'),
+            chartZoom: document.getElementById('chart-zoom'),
+            normalizationSelect: document.getElementById('normalization-strategy'),
+            lagChart: document.getElementById('lag-chart'),
+            contributorDistributionChart: document.getElementById('contributor-distribution-chart'),
             
             // Metric elements
             activityMetric: document.getElementById('activity-metric'),
@@ -74,21 +103,20 @@ class BangaloreWeatherIndex {
             rainCorrelation: document.getElementById('rain-correlation'),
             tempCorrelation: document.getElementById('temp-correlation'),
             seasonalVariance: document.getElementById('seasonal-variance'),
+            seasonalBreakdown: document.getElementById('seasonal-breakdown'),
+            hourlyTempCorrelation: document.getElementById('hourly-temp-correlation'),
+            hourlyRainCorrelation: document.getElementById('hourly-rain-correlation'),
+            hourlyHumidityCorrelation: document.getElementById('hourly-humidity-correlation'),
+            hourlyCloudCorrelation: document.getElementById('hourly-cloud-correlation'),
+            correlationMethods: document.getElementById('correlation-methods'),
             
             // Comparison elements
             userPercentile: document.getElementById('user-percentile'),
             industryMedian: document.getElementById('industry-median'),
             topThreshold: document.getElementById('top-threshold'),
             
-            // Company comparison elements
-            zerodhaComparison: document.getElementById('zerodha-comparison'),
-            razorpayComparison: document.getElementById('razorpay-comparison'),
-            postmanComparison: document.getElementById('postman-comparison'),
-            hasuraComparison: document.getElementById('hasura-comparison'),
-            zerodhaBar: document.getElementById('zerodha-bar'),
-            razorpayBar: document.getElementById('razorpay-bar'),
-            postmanBar: document.getElementById('postman-bar'),
-            hasuraBar: document.getElementById('hasura-bar'),
+            // Company comparison container (rows are rendered per cohort org)
+            companyComparison: document.getElementById('company-comparison'),
             
             // Trend elements
             growthRate: document.getElementById('growth-rate'),
@@ -98,6 +126,7 @@ class BangaloreWeatherIndex {
             // Quality metrics
             dataCompleteness: document.getElementById('data-completeness'),
             sampleSize: document.getElementById('sample-size'),
+            feedPagination: document.getElementById('feed-pagination'),
             confidenceLevel: document.getElementById('confidence-level'),
             
             // Insights container
@@ -111,6 +140,87 @@ class BangaloreWeatherIndex {
         if (missingElements.length > 0) {
             throw new Error(`Critical elements missing: ${missingElements.join(', ')}`);
         }
+
+        this.populateLocationOptions();
+        this.populateCohortOptions();
+        this.populateNormalizationOptions();
+    }
+
+    /**
+     * Fill the Activity Score normalization selector
+     */
+    populateNormalizationOptions() {
+        if (!this.elements.normalizationSelect) return;
+
+        this.elements.normalizationSelect.innerHTML = '';
+        Object.entries(NORMALIZATION_STRATEGIES).forEach(([strategy, { label, description }]) => {
+            const option = document.createElement('option');
+            option.value = strategy;
+            option.textContent = label;
+            option.title = description;
+            this.elements.normalizationSelect.appendChild(option);
+        });
+        this.elements.normalizationSelect.value = this.state.normalization;
+    }
+
+    /**
+     * Fill the cohort selector from the cohort registry
+     */
+    populateCohortOptions() {
+        if (!this.elements.cohortSelect) return;
+
+        const selected = this.elements.cohortSelect.value;
+        this.elements.cohortSelect.innerHTML = '';
+        this.cohortRegistry.list().forEach(cohort => {
+            const option = document.createElement('option');
+            option.value = cohort.id;
+            option.textContent = `${cohort.name} (${cohort.orgs.length} orgs)`;
+            this.elements.cohortSelect.appendChild(option);
+        });
+
+        const stillExists = this.cohortRegistry.list().some(cohort => cohort.id === selected);
+        this.elements.cohortSelect.value = stillExists ? selected : this.cohortRegistry.getDefault().id;
+    }
+
+    /**
+     * Resolve the baseline cohort for this run
+     * @returns {Object} Cohort from the registry
+     */
+    resolveCohort() {
+        if (this.elements.cohortSelect && this.elements.cohortSelect.value) {
+            return this.cohortRegistry.get(this.elements.cohortSelect.value);
+        }
+        return this.cohortRegistry.getDefault();
+    }
+
+    /**
+     * Fill the location selector from the location registry
+     */
+    populateLocationOptions() {
+        if (!this.elements.locationSelect) return;
+
+        this.elements.locationSelect.innerHTML = '';
+        this.locationRegistry.list().forEach(location => {
+            const option = document.createElement('option');
+            option.value = location.id;
+            option.textContent = location.name;
+            this.elements.locationSelect.appendChild(option);
+        });
+        this.elements.locationSelect.value = this.locationRegistry.getDefault().id;
+    }
+
+    /**
+     * Resolve the location for this run: the selector if present, else the user's saved location
+     * @param {string} username - GitHub username being analyzed
+     * @returns {Object} Location from the registry
+     */
+    resolveLocation(username) {
+        if (this.elements.locationSelect && this.elements.locationSelect.value) {
+            const location = this.locationRegistry.get(this.elements.locationSelect.value);
+            this.locationRegistry.setUserLocation(username, location.id);
+            return location;
+        }
+        return this.locationRegistry.getUserLocation(username);
     }
 
     /**
@@ -133,6 +243,55 @@ class BangaloreWeatherIndex {
         this.elements.usernameInput.addEventListener('input', () => {
             this.validateInput();
         });
+
+        // Preselect the location remembered for a user
+        this.elements.usernameInput.addEventListener('change', () => {
+            const username = this.elements.usernameInput.value.trim();
+            if (this.elements.locationSelect && username) {
+                this.elements.locationSelect.value = this.locationRegistry.getUserLocation(username).id;
+            }
+        });
+
+        // Switch the main chart between daily and hourly data without refetching
+        if (this.elements.chartZoom) {
+            this.elements.chartZoom.addEventListener('change', () => {
+                this.setZoomLevel(this.elements.chartZoom.value);
+            });
+        }
+
+        // Rescore the fetched data with another normalization without refetching
+        if (this.elements.normalizationSelect) {
+            this.elements.normalizationSelect.addEventListener('change', () => {
+                this.setNormalization(this.elements.normalizationSelect.value);
+            });
+        }
+
+        // Show the remaining GitHub budget as responses come in
+        this.dataFetcher.onRateLimitChange(status => this.updateRateLimitStatus(status));
+    }
+
+    /**
+     * Show the remaining GitHub request budget and when it resets
+     * @param {Object} status - Rate limit status from the data fetcher
+     */
+    updateRateLimitStatus(status) {
+        if (!this.elements.rateLimitStatus) return;
+        
+        const formatTime = timestamp => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        
+        if (status.isPaused) {
+            this.elements.rateLimitStatus.textContent =
+                `GitHub ${status.pauseReason} rate limit reached, requests paused until ${formatTime(status.pausedUntil)}`;
+            this.elements.rateLimitStatus.classList.add('rate-limited');
+            return;
+        }
+        
+        this.elements.rateLimitStatus.classList.remove('rate-limited');
+        if (status.remaining !== null) {
+            const resetText = status.resetAt ? ` · resets ${formatTime(status.resetAt)}` : '';
+            this.elements.rateLimitStatus.textContent =
+                `GitHub budget: ${status.remaining}/${status.limit ?? '?'} requests${resetText}`;
+        }
     }
 
     /**
@@ -165,21 +324,26 @@ class BangaloreWeatherIndex {
             this.showLoading();
             this.hideError();
             
-            console.log(`Starting analysis for user: ${username}`);
+            await this.applyGitHubToken();
             
-            // Fetch all data
-            const [userEvents, orgData, weatherData] = await Promise.all([
-                this.dataFetcher.fetchUserEvents(username),
-                this.fetchOrganizationData(),
-                this.fetchWeatherData()
-            ]);
-
-            // Process data
-            const analysisData = await this.processAnalysisData(userEvents, orgData, weatherData);
+            const location = this.resolveLocation(username);
+            const cohort = this.resolveCohort();
+            console.log(`Starting analysis for user: ${username} (${location.name}, cohort: ${cohort.name})`);
+            
+            // Fetch everything for the same window, then process and correlate it
+            const analysisInputs = await this.analysisEngine.fetchInputs({ username, location, cohort });
+            const analysisData = this.analysisEngine.analyze(analysisInputs, { normalization: this.state.normalization });
+            analysisData.pagination = {
+                user: this.dataFetcher.getPaginationStats('users', username),
+                orgs: Object.fromEntries(cohort.orgs.map(org => [org, this.dataFetcher.getPaginationStats('orgs', org)]))
+            };
             
-            // Store analysis data
+            // Store analysis data, and its inputs for re-analysis
             this.state.analysisData = analysisData;
+            this.state.analysisInputs = analysisInputs;
             this.state.currentUser = username;
+            this.state.currentLocation = location;
+            this.state.currentCohort = cohort;
             
             // Update all dashboard components
             this.updateDashboard(analysisData);
@@ -195,181 +359,23 @@ class BangaloreWeatherIndex {
     }
 
     /**
-     * Fetch organization data from all companies
+     * Apply the optional personal access token from the token input
+     * The token stays in memory for this page only; the input is cleared once it is accepted
      */
-    async fetchOrganizationData() {
-        const organizations = ['zerodha', 'razorpay', 'postmanlabs', 'hasura'];
-        const orgData = {};
+    async applyGitHubToken() {
+        const input = this.elements.tokenInput;
+        if (!input) return;
         
-        for (const org of organizations) {
-            try {
-                orgData[org] = await this.dataFetcher.fetchOrgEvents(org);
-                console.log(`Fetched ${orgData[org].length} events from ${org}`);
-            } catch (error) {
-                console.warn(`Failed to fetch data from ${org}:`, error);
-                orgData[org] = [];
-            }
-        }
+        const token = input.value.trim();
+        if (!token) return;
         
-        return orgData;
-    }
-
-    /**
-     * Fetch weather data for Bangalore
-     */
-    async fetchWeatherData() {
-        try {
-            const endDate = new Date();
-            const startDate = new Date();
-            startDate.setDate(endDate.getDate() - 90); // 90 days of data
-            
-            return await this.dataFetcher.fetchWeatherData(
-                12.9716, // Bangalore latitude
-                77.5946, // Bangalore longitude
-                startDate.toISOString().split('T')[0],
-                endDate.toISOString().split('T')[0]
-            );
-        } catch (error) {
-            console.warn('Failed to fetch weather data:', error);
-            return { daily: { time: [], temperature_2m_max: [], precipitation_sum: [] } };
-        }
-    }
-
-    /**
-     * Process all data for comprehensive analysis
-     */
-    async processAnalysisData(userEvents, orgData, weatherData) {
-        console.log('Processing comprehensive analysis data...');
-        
-        // Aggregate organization data
-        const aggregatedOrgData = this.dataProcessor.aggregateOrgData(Object.values(orgData).flat());
-        
-        // Normalize user data
-        const normalizedUserData = this.dataProcessor.normalizeToActivityScore(userEvents, 100);
-        const normalizedOrgData = this.dataProcessor.normalizeToActivityScore(aggregatedOrgData, 100);
-        
-        // Weather correlation analysis
-        const weatherCorrelations = this.calculateWeatherCorrelations(normalizedUserData, weatherData);
-        
-        // Performance analysis
-        const performanceAnalysis = this.calculatePerformanceMetrics(normalizedUserData, normalizedOrgData);
-        
-        // Company-specific comparisons
-        const companyComparisons = this.calculateCompanyComparisons(normalizedUserData, orgData);
-        
-        // Trend analysis
-        const trendAnalysis = this.calculateTrendAnalysis(normalizedUserData);
-        
-        // Generate insights
-        const insights = this.insightGenerator.generateComprehensiveInsights({
-            userEvents,
-            normalizedUserData,
-            normalizedOrgData,
-            weatherCorrelations,
-            performanceAnalysis,
-            companyComparisons,
-            trendAnalysis
-        });
-
-        return {
-            userEvents,
-            normalizedUserData,
-            normalizedOrgData,
-            weatherData,
-            weatherCorrelations,
-            performanceAnalysis,
-            companyComparisons,
-            trendAnalysis,
-            insights,
-            dataQuality: this.calculateDataQuality(userEvents, orgData, weatherData)
-        };
-    }
-
-    /**
-     * Calculate weather correlations
-     */
-    calculateWeatherCorrelations(userData, weatherData) {
-        // Implementation for weather correlation analysis
-        const correlations = {
-            precipitation: this.calculateCorrelation(userData, weatherData.daily.precipitation_sum),
-            temperature: this.calculateCorrelation(userData, weatherData.daily.temperature_2m_max),
-            seasonal: this.calculateSeasonalVariance(userData, weatherData)
-        };
-        
-        return {
-            hasEnoughData: userData.length > 10 && weatherData.daily.time.length > 10,
-            ...correlations
-        };
-    }
-
-    /**
-     * Calculate performance metrics
-     */
-    calculatePerformanceMetrics(userData, orgData) {
-        if (userData.length === 0 || orgData.length === 0) {
-            return { hasEnoughData: false };
-        }
-
-        const userAvg = userData.reduce((sum, item) => sum + item.activityScore, 0) / userData.length;
-        const orgAvg = orgData.reduce((sum, item) => sum + item.activityScore, 0) / orgData.length;
-        
-        const relativePerformance = ((userAvg - orgAvg) / orgAvg) * 100;
-        const userStdDev = this.calculateStandardDeviation(userData.map(item => item.activityScore));
-        const consistencyScore = Math.max(0, 100 - (userStdDev / userAvg) * 100);
-        
-        return {
-            hasEnoughData: true,
-            userAverage: userAvg,
-            industryAverage: orgAvg,
-            relativePerformance,
-            consistencyScore,
-            percentile: this.calculatePercentile(userAvg, orgData.map(item => item.activityScore))
-        };
-    }
-
-    /**
-     * Calculate company-specific comparisons
-     */
-    calculateCompanyComparisons(userData, orgData) {
-        const comparisons = {};
-        const userAvg = userData.reduce((sum, item) => sum + item.activityScore, 0) / userData.length;
-        
-        Object.entries(orgData).forEach(([company, events]) => {
-            if (events.length > 0) {
-                const normalizedCompanyData = this.dataProcessor.normalizeToActivityScore(events, 100);
-                const companyAvg = normalizedCompanyData.reduce((sum, item) => sum + item.activityScore, 0) / normalizedCompanyData.length;
-                const ratio = userAvg / companyAvg;
-                
-                comparisons[company] = {
-                    average: companyAvg,
-                    ratio: ratio,
-                    percentage: Math.min(100, ratio * 100)
-                };
-            }
-        });
+        const { login } = await this.dataFetcher.setGitHubToken(token);
+        input.value = '';
+        input.placeholder = 'Token set for this session';
         
-        return comparisons;
-    }
-
-    /**
-     * Calculate trend analysis
-     */
-    calculateTrendAnalysis(userData) {
-        if (userData.length < 7) {
-            return { hasEnoughData: false };
+        if (this.elements.tokenStatus) {
+            this.elements.tokenStatus.textContent = `Authenticated as ${login} (5,000 requests/hour)`;
         }
-
-        const values = userData.map(item => item.activityScore);
-        const growthRate = this.calculateGrowthRate(values);
-        const volatility = this.calculateStandardDeviation(values);
-        const momentum = this.calculateMomentum(values);
-        
-        return {
-            hasEnoughData: true,
-            growthRate,
-            volatility,
-            momentum
-        };
     }
 
     /**
@@ -386,15 +392,21 @@ class BangaloreWeatherIndex {
         
         // Update correlation analysis
         this.updateCorrelationAnalysis(data.weatherCorrelations);
+        this.updateSeasonalAnalysis(data.seasonalAnalysis);
+        this.updateCorrelationMethods(data.correlationMethods);
+        this.updateLagChart(data.lagAnalysis);
+        this.updateHourlyCorrelations(data.hourlyWeatherCorrelations);
         
         // Update secondary analysis
         this.updateSecondaryAnalysis(data);
+        this.updateContributorDistributionChart(data.contributorDistribution);
         
         // Update insights
         this.updateInsights(data.insights);
         
         // Update data quality metrics
         this.updateDataQuality(data.dataQuality);
+        this.updateFeedPagination(data.pagination);
         
         // Animate dashboard sections
         this.animateDashboard();
@@ -404,37 +416,38 @@ class BangaloreWeatherIndex {
      * Update executive summary metrics
      */
     updateExecutiveSummary(data) {
-        const { performanceAnalysis, weatherCorrelations, trendAnalysis } = data;
+        const { performanceAnalysis, contributorDistribution, trendAnalysis } = data;
         
         // Activity Index
         if (this.elements.activityMetric && performanceAnalysis.hasEnoughData) {
             this.updateMetricCard(this.elements.activityMetric, 
-                Math.round(performanceAnalysis.userAverage), 
-                `${performanceAnalysis.relativePerformance > 0 ? '+' : ''}${Math.round(performanceAnalysis.relativePerformance)}%`
+                performanceAnalysis.userAverage, 
+                `${performanceAnalysis.performancePercentage > 0 ? '+' : ''}${performanceAnalysis.performancePercentage}%`
             );
         }
         
         // Weather Correlation
-        if (this.elements.weatherMetric && weatherCorrelations.hasEnoughData) {
-            const correlation = Math.abs(weatherCorrelations.precipitation.coefficient || 0);
+        // Only call the rain correlation significant when its t-test passes
+        const rainfallCorrelation = data.weatherCorrelations && data.weatherCorrelations.rainfallCorrelation;
+        if (this.elements.weatherMetric && rainfallCorrelation) {
             this.updateMetricCard(this.elements.weatherMetric, 
-                correlation.toFixed(3), 
-                correlation > 0.3 ? 'Significant' : 'Weak'
+                Math.abs(rainfallCorrelation.coefficient).toFixed(3), 
+                rainfallCorrelation.isSignificant ? 'Significant' : 'Not significant'
             );
         }
         
-        // Performance Ratio
-        if (this.elements.performanceMetric && performanceAnalysis.hasEnoughData) {
+        // Percentile among the cohort's contributors
+        if (this.elements.performanceMetric && contributorDistribution.hasEnoughData && contributorDistribution.percentile !== null) {
             this.updateMetricCard(this.elements.performanceMetric, 
-                `${Math.round(performanceAnalysis.percentile)}th`, 
-                'percentile'
+                `${contributorDistribution.percentile}th`, 
+                `#${contributorDistribution.rank} of ${contributorDistribution.contributorCount + 1}`
             );
         }
         
         // Consistency Score
         if (this.elements.consistencyMetric && performanceAnalysis.hasEnoughData) {
             this.updateMetricCard(this.elements.consistencyMetric, 
-                Math.round(performanceAnalysis.consistencyScore), 
+                Math.round(performanceAnalysis.userConsistency * 100), 
                 trendAnalysis.volatility < 20 ? 'Stable' : 'Variable'
             );
         }
@@ -464,11 +477,16 @@ class BangaloreWeatherIndex {
         if (!this.state.charts.main) return;
         
         try {
-            const chartData = this.chartRenderer.prepareComprehensiveChartData(
-                data.normalizedUserData,
-                data.normalizedOrgData,
-                data.weatherData
-            );
+            const hourly = this.state.zoomLevel === 'hourly' && data.hourlyData && data.hourlyData.length > 0;
+            this.chartRenderer.setZoomLevel(hourly ? 'hourly' : 'daily');
+            
+            const chartData = hourly
+                ? this.chartRenderer.prepareHourlyChartData(data.hourlyData)
+                : this.chartRenderer.prepareComprehensiveChartData(
+                    data.userDaily,
+                    data.baselineDaily,
+                    data.weatherData
+                );
             
             this.chartRenderer.updateChart(chartData);
             console.log('Main chart updated successfully');
@@ -477,47 +495,211 @@ class BangaloreWeatherIndex {
         }
     }
 
+    /**
+     * Switch the main chart between daily and hourly zoom
+     * @param {string} level - 'daily' or 'hourly'
+     */
+    setZoomLevel(level) {
+        this.state.zoomLevel = level === 'hourly' ? 'hourly' : 'daily';
+        if (this.state.analysisData) {
+            this.updateMainChart(this.state.analysisData);
+        }
+    }
+
+    /**
+     * Re-analyze the fetched data with another Activity Score normalization
+     * @param {string} strategy - Key of NORMALIZATION_STRATEGIES
+     */
+    setNormalization(strategy) {
+        this.state.normalization = strategy;
+        if (!this.state.analysisInputs) return;
+
+        try {
+            const analysisData = this.analysisEngine.analyze(this.state.analysisInputs, { normalization: strategy });
+            analysisData.pagination = this.state.analysisData.pagination;
+            this.state.analysisData = analysisData;
+            this.updateDashboard(analysisData);
+        } catch (error) {
+            console.error('Re-analysis failed:', error);
+            this.showError(this.getErrorMessage(error));
+        }
+    }
+
     /**
      * Update correlation analysis section
+     * Rain and temperature come from the tested daily correlations, shown with their 95% CI
      */
     updateCorrelationAnalysis(correlations) {
-        if (!correlations.hasEnoughData) return;
+        if (!correlations || !correlations.hasEnoughData) return;
         
-        // Precipitation correlation
-        if (this.elements.rainCorrelation) {
-            const coeff = correlations.precipitation.coefficient || 0;
-            this.elements.rainCorrelation.textContent = coeff.toFixed(3);
+        this.showCorrelation(this.elements.rainCorrelation, correlations.rainfallCorrelation);
+        this.showCorrelation(this.elements.tempCorrelation, correlations.temperatureCorrelation);
+    }
+
+    /**
+     * Update hourly correlation values
+     */
+    updateHourlyCorrelations(correlations) {
+        if (!correlations || !correlations.hasEnoughData) return;
+        
+        const fields = [
+            ['hourlyTempCorrelation', 'temperatureCorrelation'],
+            ['hourlyRainCorrelation', 'rainfallCorrelation'],
+            ['hourlyHumidityCorrelation', 'humidityCorrelation'],
+            ['hourlyCloudCorrelation', 'cloudCoverCorrelation']
+        ];
+        fields.forEach(([element, field]) => {
+            this.showCorrelation(this.elements[element], correlations[field]);
+        });
+    }
+
+    /**
+     * Draw the lag plot for the lagged rainfall correlations
+     */
+    updateLagChart(lagAnalysis) {
+        if (!this.elements.lagChart || !lagAnalysis || !lagAnalysis.hasEnoughData) return;
+        
+        try {
+            this.state.charts.lag = this.chartRenderer.createLagChart(this.elements.lagChart, lagAnalysis);
+        } catch (error) {
+            console.error('Failed to create lag chart:', error);
         }
+    }
+
+    /**
+     * Draw the histogram of contributor commits per day with the user's band marked
+     */
+    updateContributorDistributionChart(contributorDistribution) {
+        if (!this.elements.contributorDistributionChart || !contributorDistribution || !contributorDistribution.hasEnoughData) return;
         
-        // Temperature correlation
-        if (this.elements.tempCorrelation) {
-            const coeff = correlations.temperature.coefficient || 0;
-            this.elements.tempCorrelation.textContent = coeff.toFixed(3);
+        try {
+            this.state.charts.contributorDistribution = this.chartRenderer.createContributorDistributionChart(this.elements.contributorDistributionChart, contributorDistribution);
+        } catch (error) {
+            console.error('Failed to create distribution chart:', error);
         }
+    }
+
+    /**
+     * Render one row per weather factor with its Pearson, Spearman and Kendall coefficients
+     */
+    updateCorrelationMethods(comparison) {
+        const container = this.elements.correlationMethods;
+        if (!container || !comparison) return;
+        
+        container.innerHTML = '';
+        if (!comparison.hasEnoughData) return;
+        
+        const table = document.createElement('table');
+        table.className = 'correlation-methods-table';
         
-        // Seasonal variance
+        const header = document.createElement('tr');
+        ['Factor', 'Pearson r', 'Spearman ρ', 'Kendall τ'].forEach(label => {
+            const cell = document.createElement('th');
+            cell.textContent = label;
+            header.appendChild(cell);
+        });
+        table.appendChild(header);
+        
+        comparison.factors.forEach(factor => {
+            const row = document.createElement('tr');
+            if (factor.outlierSensitive) {
+                row.className = 'outlier-sensitive';
+                row.title = 'Only Pearson finds this effect, so a few extreme days are likely driving it';
+            }
+            
+            const name = document.createElement('td');
+            name.textContent = factor.outlierSensitive ? `${factor.label} ⚠️` : factor.label;
+            row.appendChild(name);
+            
+            ['pearson', 'spearman', 'kendall'].forEach(method => {
+                const cell = document.createElement('td');
+                this.showCorrelation(cell, factor[method]);
+                row.appendChild(cell);
+            });
+            table.appendChild(row);
+        });
+        
+        container.appendChild(table);
+    }
+
+    /**
+     * Show a coefficient with its confidence interval; the p-value and effective
+     * sample size go in the tooltip
+     * @param {HTMLElement} element - Target element (skipped when missing)
+     * @param {Object|null} correlation - Correlation from InsightGenerator.findWeatherCorrelations
+     */
+    showCorrelation(element, correlation) {
+        if (!element) return;
+        
+        if (!correlation) {
+            element.textContent = '—';
+            element.title = '';
+            return;
+        }
+        
+        const { coefficient, confidenceInterval, pValue, effectiveSampleSize } = correlation;
+        element.textContent = `${coefficient.toFixed(3)} [${confidenceInterval.lower.toFixed(2)}, ${confidenceInterval.upper.toFixed(2)}]`;
+        element.title = `${Math.round(confidenceInterval.level * 100)}% CI ${confidenceInterval.lower} to ${confidenceInterval.upper}, p=${pValue}, effective n=${effectiveSampleSize}${correlation.isSignificant ? '' : ' (not significant)'}`;
+    }
+
+    /**
+     * Show how much of the user's activity the seasons explain (ANOVA eta squared) and each
+     * season's average and spread
+     */
+    updateSeasonalAnalysis(seasonalAnalysis) {
         if (this.elements.seasonalVariance) {
-            const variance = correlations.seasonal.variance || 0;
-            this.elements.seasonalVariance.textContent = variance.toFixed(2);
+            const element = this.elements.seasonalVariance;
+            if (seasonalAnalysis && seasonalAnalysis.hasEnoughData) {
+                const { etaSquared, fStatistic, dfBetween, dfWithin, pValue, isSignificant } = seasonalAnalysis.anova;
+                element.textContent = `${Math.round(etaSquared * 100)}% explained`;
+                element.title = `F(${dfBetween}, ${dfWithin})=${fStatistic.toFixed(2)}, p=${pValue.toFixed(3)}${isSignificant ? '' : ' (not significant)'}`;
+            } else {
+                element.textContent = '—';
+                element.title = seasonalAnalysis ? seasonalAnalysis.message : '';
+            }
         }
+        
+        const container = this.elements.seasonalBreakdown;
+        if (!container) return;
+        
+        container.innerHTML = '';
+        if (!seasonalAnalysis) return;
+        
+        Object.values(seasonalAnalysis.seasons).forEach(season => {
+            const item = document.createElement('div');
+            item.className = 'season-item';
+            
+            const name = document.createElement('span');
+            name.className = 'season-name';
+            name.textContent = season.label;
+            
+            const value = document.createElement('span');
+            value.className = 'season-value';
+            value.textContent = `${season.averageScore}% ± ${season.standardDeviation}`;
+            value.title = `${season.count} days, variance ${season.variance}`;
+            
+            item.appendChild(name);
+            item.appendChild(value);
+            container.appendChild(item);
+        });
     }
 
     /**
      * Update secondary analysis section
      */
     updateSecondaryAnalysis(data) {
-        const { performanceAnalysis, companyComparisons, trendAnalysis } = data;
+        const { contributorDistribution, companyComparisons, trendAnalysis } = data;
         
-        // Update performance distribution
-        if (performanceAnalysis.hasEnoughData) {
-            if (this.elements.userPercentile) {
-                this.elements.userPercentile.textContent = `${Math.round(performanceAnalysis.percentile)}th`;
+        // Update performance distribution from the cohort's contributors, in commits per day
+        if (contributorDistribution.hasEnoughData) {
+            if (this.elements.userPercentile && contributorDistribution.percentile !== null) {
+                this.elements.userPercentile.textContent = `${contributorDistribution.percentile}th`;
             }
             if (this.elements.industryMedian) {
-                this.elements.industryMedian.textContent = Math.round(performanceAnalysis.industryAverage);
+                this.elements.industryMedian.textContent = contributorDistribution.median;
             }
             if (this.elements.topThreshold) {
-                this.elements.topThreshold.textContent = Math.round(performanceAnalysis.industryAverage * 1.5);
+                this.elements.topThreshold.textContent = contributorDistribution.p90;
             }
         }
         
@@ -539,25 +721,47 @@ class BangaloreWeatherIndex {
     }
 
     /**
-     * Update company comparison bars
+     * Render one comparison bar per organization in the cohort
      */
     updateCompanyComparisons(comparisons) {
-        const companies = ['zerodha', 'razorpay', 'postman', 'hasura'];
-        
-        companies.forEach(company => {
-            const comparisonElement = this.elements[`${company}Comparison`];
-            const barElement = this.elements[`${company}Bar`];
-            
-            if (comparisons[company] && comparisonElement && barElement) {
-                const { ratio, percentage } = comparisons[company];
-                
-                comparisonElement.textContent = `${ratio.toFixed(2)}x`;
-                
-                // Animate bar fill
-                setTimeout(() => {
-                    barElement.style.width = `${Math.min(100, percentage)}%`;
-                }, 500);
-            }
+        const container = this.elements.companyComparison;
+        if (!container) return;
+        
+        container.innerHTML = '';
+        
+        Object.entries(comparisons).forEach(([company, comparison]) => {
+            const { ratio, percentage, average, userAverage, dataPoints } = comparison;
+            
+            const item = document.createElement('div');
+            item.className = 'company-item';
+            
+            const info = document.createElement('div');
+            info.className = 'company-info';
+            
+            const name = document.createElement('span');
+            name.className = 'company-name';
+            name.textContent = company;
+            
+            const metric = document.createElement('span');
+            metric.className = 'company-metric';
+            metric.textContent = `${ratio.toFixed(2)}x`;
+            metric.title = `${userAverage.toFixed(1)} vs ${average.toFixed(1)} commits per developer over ${dataPoints} days you both pushed`;
+            
+            const bar = document.createElement('div');
+            bar.className = 'comparison-bar';
+            
+            const fill = document.createElement('div');
+            fill.className = 'bar-fill';
+            
+            info.append(name, metric);
+            bar.appendChild(fill);
+            item.append(info, bar);
+            container.appendChild(item);
+            
+            // Animate bar fill
+            setTimeout(() => {
+                fill.style.width = `${Math.min(100, percentage)}%`;
+            }, 500);
         });
     }
 
@@ -610,17 +814,40 @@ class BangaloreWeatherIndex {
     }
 
     /**
-     * Calculate data quality metrics
+     * List the pages and events retrieved per GitHub feed, and whether the page cap cut it short
+     * @param {Object} pagination - Stats with a user entry and an orgs map, as stored by handleAnalyze
      */
-    calculateDataQuality(userEvents, orgData, weatherData) {
-        const totalOrgEvents = Object.values(orgData).flat().length;
-        const weatherDays = weatherData.daily.time.length;
+    updateFeedPagination(pagination) {
+        const container = this.elements.feedPagination;
+        if (!container) return;
         
-        const completeness = Math.min(1, (userEvents.length + totalOrgEvents + weatherDays) / 1000);
-        const sampleSize = userEvents.length + totalOrgEvents;
-        const confidence = Math.min(0.95, sampleSize / 500);
+        container.innerHTML = '';
+        if (!pagination) return;
         
-        return { completeness, sampleSize, confidence };
+        const feeds = [[`@${this.state.currentUser}`, pagination.user], ...Object.entries(pagination.orgs)];
+        feeds.forEach(([name, stats]) => {
+            const item = document.createElement('div');
+            item.className = 'quality-item';
+            
+            const label = document.createElement('span');
+            label.className = 'quality-label';
+            label.textContent = `${name}:`;
+            
+            const value = document.createElement('span');
+            value.className = 'quality-value';
+            if (stats) {
+                value.textContent = `${stats.pagesFetched} pages, ${stats.eventsRetrieved} events${stats.hitPageCap ? ' (page cap hit)' : ''}`;
+                if (stats.hitPageCap) {
+                    value.title = 'More events were available than the page cap allows, so older days may be missing';
+                }
+            } else {
+                value.textContent = '—';
+            }
+            
+            item.appendChild(label);
+            item.appendChild(value);
+            container.appendChild(item);
+        });
     }
 
     /**
@@ -636,61 +863,6 @@ class BangaloreWeatherIndex {
         });
     }
 
-    /**
-     * Utility functions
-     */
-    calculateCorrelation(dataA, dataB) {
-        if (dataA.length !== dataB.length || dataA.length === 0) {
-            return { coefficient: 0, significance: 'insufficient-data' };
-        }
-        
-        const n = dataA.length;
-        const sumA = dataA.reduce((sum, val) => sum + (val.activityScore || val), 0);
-        const sumB = dataB.reduce((sum, val) => sum + val, 0);
-        const sumAB = dataA.reduce((sum, val, i) => sum + (val.activityScore || val) * dataB[i], 0);
-        const sumA2 = dataA.reduce((sum, val) => sum + Math.pow(val.activityScore || val, 2), 0);
-        const sumB2 = dataB.reduce((sum, val) => sum + Math.pow(val, 2), 0);
-        
-        const numerator = n * sumAB - sumA * sumB;
-        const denominator = Math.sqrt((n * sumA2 - sumA * sumA) * (n * sumB2 - sumB * sumB));
-        
-        const coefficient = denominator === 0 ? 0 : numerator / denominator;
-        const significance = Math.abs(coefficient) > 0.3 ? 'significant' : 'weak';
-        
-        return { coefficient, significance };
-    }
-
-    calculateStandardDeviation(values) {
-        const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
-        const variance = values.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / values.length;
-        return Math.sqrt(variance);
-    }
-
-    calculatePercentile(value, dataset) {
-        const sorted = dataset.sort((a, b) => a - b);
-        const index = sorted.findIndex(val => val >= value);
-        return index === -1 ? 100 : (index / sorted.length) * 100;
-    }
-
-    calculateGrowthRate(values) {
-        if (values.length < 2) return 0;
-        const first = values[0];
-        const last = values[values.length - 1];
-        return ((last - first) / first) * 100;
-    }
-
-    calculateMomentum(values) {
-        if (values.length < 7) return 0;
-        const recent = values.slice(-7).reduce((sum, val) => sum + val, 0) / 7;
-        const earlier = values.slice(0, 7).reduce((sum, val) => sum + val, 0) / 7;
-        return recent - earlier;
-    }
-
-    calculateSeasonalVariance(userData, weatherData) {
-        // Simplified seasonal analysis
-        return { variance: Math.random() * 0.5 }; // Placeholder
-    }
-
     /**
      * Input validation
      */
@@ -755,8 +927,14 @@ class BangaloreWeatherIndex {
     }
 
     getErrorMessage(error) {
+        if (error.message.includes('token')) {
+            return error.message;
+        }
         if (error.message.includes('rate limit')) {
-            return 'GitHub API rate limit exceeded. Please try again later.';
+            return error.message;
+        }
+        if (error.message.includes('forbidden')) {
+            return error.message;
         }
         if (error.message.includes('404')) {
             return 'GitHub user not found. Please check the username.';
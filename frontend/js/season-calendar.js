@@ -0,0 +1,57 @@
+/**
+ * Season calendar - Climate seasons per region, by calendar month
+ * Locations name the calendar they follow in `seasonCalendar`
+ */
+
+// IN follows the four IMD seasons: Bangalore gets most of its rain in the southwest monsoon and
+// its October-November showers from the northeast monsoon. Months are 1-12
+const SEASON_CALENDARS = {
+    IN: {
+        name: 'India (IMD seasons)',
+        seasons: [
+            { id: 'winter', label: 'Winter', months: [1, 2] },
+            { id: 'summer', label: 'Summer', months: [3, 4, 5] },
+            { id: 'southwestMonsoon', label: 'Southwest monsoon', months: [6, 7, 8, 9] },
+            { id: 'northeastMonsoon', label: 'Northeast monsoon', months: [10, 11, 12] }
+        ]
+    },
+    temperate: {
+        name: 'Meteorological seasons (northern hemisphere)',
+        seasons: [
+            { id: 'winter', label: 'Winter', months: [12, 1, 2] },
+            { id: 'spring', label: 'Spring', months: [3, 4, 5] },
+            { id: 'summer', label: 'Summer', months: [6, 7, 8] },
+            { id: 'autumn', label: 'Autumn', months: [9, 10, 11] }
+        ]
+    }
+};
+
+/**
+ * Look up the seasons of a calendar
+ * @param {string} calendarId - Calendar id from SEASON_CALENDARS
+ * @returns {Array<Object>} Seasons with id, label and months, in calendar order
+ */
+function getSeasons(calendarId) {
+    const calendar = SEASON_CALENDARS[calendarId];
+    if (!calendar) {
+        throw new Error(`Unknown season calendar: ${calendarId}`);
+    }
+    return calendar.seasons;
+}
+
+/**
+ * Season a date falls in
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} calendarId - Calendar id from SEASON_CALENDARS
+ * @returns {Object} Season with id, label and months
+ */
+function getSeason(date, calendarId) {
+    const month = Number(date.slice(5, 7));
+    const season = getSeasons(calendarId).find(candidate => candidate.months.includes(month));
+    if (!season) {
+        throw new Error(`Invalid date for season lookup: ${date}`);
+    }
+    return season;
+}
+
+export { SEASON_CALENDARS, getSeasons, getSeason };
@@ -0,0 +1,523 @@
+/**
+ * Statistics - Significance tests shared by the correlation analyses
+ * Pearson r, Spearman rho and Kendall tau-b with p-values, Fisher-z confidence intervals and an
+ * effective sample size that accounts for day-to-day autocorrelation in both series, plus a
+ * one-way ANOVA for comparing group means
+ */
+
+// Two-sided 95% critical value of the standard normal distribution
+const Z_95 = 1.959963984540054;
+
+// Fisher-z standard error scaling per method, as variance / (n - offset) (Fieller et al., 1957)
+const FISHER_SCALING = {
+    pearson: { variance: 1, offset: 3 },
+    spearman: { variance: 1.06, offset: 3 },
+    kendall: { variance: 0.437, offset: 4 }
+};
+
+const CORRELATION_METHODS = Object.keys(FISHER_SCALING);
+
+/**
+ * Arithmetic mean
+ * @param {Array<number>} values - Numeric values
+ * @returns {number} Mean, or 0 for an empty array
+ */
+function mean(values) {
+    return values.length === 0 ? 0 : values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Sample variance (n - 1 denominator)
+ * @param {Array<number>} values - Numeric values
+ * @returns {number} Variance, or 0 with fewer than 2 values
+ */
+function variance(values) {
+    if (values.length < 2) {
+        return 0;
+    }
+    const average = mean(values);
+    return values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1);
+}
+
+/**
+ * Quantile by linear interpolation between the closest ranks
+ * @param {Array<number>} values - Numeric values
+ * @param {number} q - Quantile between 0 and 1
+ * @returns {number} Quantile, or 0 for an empty array
+ */
+function quantile(values, q) {
+    if (values.length === 0) {
+        return 0;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Median
+ * @param {Array<number>} values - Numeric values
+ * @returns {number} Median, or 0 for an empty array
+ */
+function median(values) {
+    return quantile(values, 0.5);
+}
+
+/**
+ * Pearson correlation coefficient
+ * @param {Array<number>} x - First series
+ * @param {Array<number>} y - Second series, same length as x
+ * @returns {number|null} Coefficient, or null if either series has no variance
+ */
+function pearsonCorrelation(x, y) {
+    const meanX = mean(x);
+    const meanY = mean(y);
+
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    x.forEach((value, index) => {
+        const dx = value - meanX;
+        const dy = y[index] - meanY;
+        covariance += dx * dy;
+        varianceX += dx * dx;
+        varianceY += dy * dy;
+    });
+
+    if (varianceX === 0 || varianceY === 0) {
+        return null;
+    }
+    return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+/**
+ * Percentile rank of a value within a dataset: the share of values below it, counting ties as half
+ * @param {number} value - Value to place
+ * @param {Array<number>} values - Reference dataset
+ * @returns {number} Percentile from 0 to 100, or 0 for an empty dataset
+ */
+function percentileRank(value, values) {
+    if (values.length === 0) {
+        return 0;
+    }
+    const below = values.filter(other => other < value).length;
+    const equal = values.filter(other => other === value).length;
+    return ((below + equal / 2) / values.length) * 100;
+}
+
+/**
+ * Ranks of a series, 1-based, with ties sharing their average rank
+ * @param {Array<number>} values - Numeric values
+ * @returns {Array<number>} Rank of each value
+ */
+function rank(values) {
+    const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+    const ranks = new Array(values.length);
+
+    let start = 0;
+    while (start < order.length) {
+        let end = start;
+        while (end + 1 < order.length && order[end + 1].value === order[start].value) {
+            end++;
+        }
+        const averageRank = (start + end) / 2 + 1;
+        for (let position = start; position <= end; position++) {
+            ranks[order[position].index] = averageRank;
+        }
+        start = end + 1;
+    }
+
+    return ranks;
+}
+
+/**
+ * Spearman rank correlation (Pearson r of the ranks)
+ * @param {Array<number>} x - First series
+ * @param {Array<number>} y - Second series, same length as x
+ * @returns {number|null} Coefficient, or null if either series is constant
+ */
+function spearmanCorrelation(x, y) {
+    return pearsonCorrelation(rank(x), rank(y));
+}
+
+/**
+ * Kendall tau-b, which corrects for ties in either series
+ * @param {Array<number>} x - First series
+ * @param {Array<number>} y - Second series, same length as x
+ * @returns {number|null} Coefficient, or null if either series is constant
+ */
+function kendallTau(x, y) {
+    let concordant = 0;
+    let discordant = 0;
+    let tiesX = 0;
+    let tiesY = 0;
+
+    for (let i = 0; i < x.length - 1; i++) {
+        for (let j = i + 1; j < x.length; j++) {
+            const signX = Math.sign(x[i] - x[j]);
+            const signY = Math.sign(y[i] - y[j]);
+            if (signX === 0 && signY === 0) {
+                continue;
+            } else if (signX === 0) {
+                tiesX++;
+            } else if (signY === 0) {
+                tiesY++;
+            } else if (signX === signY) {
+                concordant++;
+            } else {
+                discordant++;
+            }
+        }
+    }
+
+    const denominator = Math.sqrt((concordant + discordant + tiesX) * (concordant + discordant + tiesY));
+    return denominator === 0 ? null : (concordant - discordant) / denominator;
+}
+
+/**
+ * Lag-1 autocorrelation of a series
+ * @param {Array<number>} values - Series in time order
+ * @returns {number} Autocorrelation, or 0 when it can't be estimated
+ */
+function lagOneAutocorrelation(values) {
+    if (values.length < 3) {
+        return 0;
+    }
+
+    const average = mean(values);
+    let numerator = 0;
+    let denominator = 0;
+    values.forEach((value, index) => {
+        denominator += (value - average) ** 2;
+        if (index > 0) {
+            numerator += (value - average) * (values[index - 1] - average);
+        }
+    });
+
+    return denominator === 0 ? 0 : numerator / denominator;
+}
+
+/**
+ * Effective number of independent pairs (Bretherton et al., 1999)
+ * Consecutive days are not independent, so persistent series carry less evidence than their length
+ * @param {Array<number>} x - First series in time order
+ * @param {Array<number>} y - Second series in time order
+ * @returns {number} Effective sample size, between 3 and the number of pairs
+ */
+function effectiveSampleSize(x, y) {
+    const n = x.length;
+    const persistence = lagOneAutocorrelation(x) * lagOneAutocorrelation(y);
+    if (n <= 3 || persistence <= 0) {
+        return n;
+    }
+
+    return Math.max(3, Math.min(n, n * (1 - persistence) / (1 + persistence)));
+}
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ * @param {number} x - Positive number
+ * @returns {number} ln Γ(x)
+ */
+function logGamma(x) {
+    const coefficients = [
+        676.5203681218851, -1259.1392167224028, 771.32342877765313,
+        -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+        9.9843695780195716e-6, 1.5056327351493116e-7
+    ];
+
+    if (x < 0.5) {
+        // Reflection formula
+        return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+    }
+
+    const shifted = x - 1;
+    let sum = 0.99999999999980993;
+    coefficients.forEach((coefficient, index) => {
+        sum += coefficient / (shifted + index + 1);
+    });
+    const t = shifted + coefficients.length - 0.5;
+    return 0.5 * Math.log(2 * Math.PI) + (shifted + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+/**
+ * Continued fraction for the incomplete beta function (modified Lentz's method)
+ * @param {number} x - Point in [0, 1]
+ * @param {number} a - First shape parameter
+ * @param {number} b - Second shape parameter
+ * @returns {number} Continued fraction value
+ */
+function betaContinuedFraction(x, a, b) {
+    const tiny = 1e-30;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    let result = d;
+
+    for (let m = 1; m <= 200; m++) {
+        const even = m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m));
+        d = 1 + even * d;
+        d = 1 / (Math.abs(d) < tiny ? tiny : d);
+        c = 1 + even / (Math.abs(c) < tiny ? tiny : c);
+        result *= d * c;
+
+        const odd = -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1));
+        d = 1 + odd * d;
+        d = 1 / (Math.abs(d) < tiny ? tiny : d);
+        c = 1 + odd / (Math.abs(c) < tiny ? tiny : c);
+        const delta = d * c;
+        result *= delta;
+
+        if (Math.abs(delta - 1) < 1e-12) {
+            break;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ * @param {number} x - Point in [0, 1]
+ * @param {number} a - First shape parameter
+ * @param {number} b - Second shape parameter
+ * @returns {number} I_x(a, b)
+ */
+function regularizedIncompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+
+    const front = Math.exp(
+        logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+    );
+
+    // The continued fraction converges quickly only on one side of the mean
+    if (x < (a + 1) / (a + b + 2)) {
+        return front * betaContinuedFraction(x, a, b) / a;
+    }
+    return 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+/**
+ * Two-sided p-value of a Student t statistic
+ * @param {number} t - t statistic
+ * @param {number} degreesOfFreedom - Degrees of freedom (may be fractional)
+ * @returns {number} P(|T| >= |t|)
+ */
+function studentTTwoSidedPValue(t, degreesOfFreedom) {
+    if (!Number.isFinite(t)) {
+        return 0;
+    }
+    return regularizedIncompleteBeta(degreesOfFreedom / (degreesOfFreedom + t * t), degreesOfFreedom / 2, 0.5);
+}
+
+/**
+ * Two-sided critical value of Student's t distribution, found by bisection on the p-value
+ * @param {number} alpha - Two-sided significance level, e.g. 0.05 for a 95% interval
+ * @param {number} degreesOfFreedom - Degrees of freedom
+ * @returns {number} t such that P(|T| >= t) = alpha
+ */
+function studentTCriticalValue(alpha, degreesOfFreedom) {
+    let low = 0;
+    let high = 1;
+    while (studentTTwoSidedPValue(high, degreesOfFreedom) > alpha) {
+        high *= 2;
+    }
+    for (let iteration = 0; iteration < 60; iteration++) {
+        const middle = (low + high) / 2;
+        if (studentTTwoSidedPValue(middle, degreesOfFreedom) > alpha) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+    return (low + high) / 2;
+}
+
+/**
+ * Two-sided p-value of a standard normal statistic
+ * Uses the Abramowitz & Stegun 7.1.26 approximation of erf (error below 1.5e-7)
+ * @param {number} z - z statistic
+ * @returns {number} P(|Z| >= |z|)
+ */
+function normalTwoSidedPValue(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erfc = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))))
+        * Math.exp(-x * x);
+    return Math.min(1, erfc);
+}
+
+/**
+ * 95% confidence interval of a correlation via the Fisher z transform
+ * @param {number} coefficient - Correlation coefficient
+ * @param {number} sampleSize - (Effective) number of pairs
+ * @param {string} method - 'pearson', 'spearman' or 'kendall' (selects the standard error)
+ * @returns {Object} Object with lower, upper and level
+ */
+function fisherConfidenceInterval(coefficient, sampleSize, method = 'pearson') {
+    const { variance, offset } = FISHER_SCALING[method];
+    if (sampleSize <= offset) {
+        return { lower: -1, upper: 1, level: 0.95 };
+    }
+
+    const clamped = Math.max(-0.999999, Math.min(0.999999, coefficient));
+    const z = Math.atanh(clamped);
+    const margin = Z_95 * Math.sqrt(variance / (sampleSize - offset));
+    return {
+        lower: Math.tanh(z - margin),
+        upper: Math.tanh(z + margin),
+        level: 0.95
+    };
+}
+
+/**
+ * Correlation with a test against zero and a Fisher-z 95% interval, both based on the
+ * effective sample size. Pearson and Spearman use a t-test; Kendall uses its normal approximation.
+ * The t-test loses two degrees of freedom and the interval three, so with a small effective sample
+ * the test can pass while the interval still spans 0; such a result isn't called significant
+ * @param {Array<number>} x - First series in time order
+ * @param {Array<number>} y - Second series in time order
+ * @param {Object} options - Test options
+ * @param {number} options.alpha - Significance level (default 0.05)
+ * @param {string} options.method - 'pearson' (default), 'spearman' or 'kendall'
+ * @returns {Object|null} Object with method, coefficient, pValue, confidenceInterval, sampleSize,
+ *   effectiveSampleSize and isSignificant, or null with fewer than 3 pairs or no variance
+ */
+function testCorrelation(x, y, options = {}) {
+    const method = options.method || 'pearson';
+    if (!CORRELATION_METHODS.includes(method)) {
+        throw new Error(`Unknown correlation method: ${method}`);
+    }
+
+    if (!Array.isArray(x) || !Array.isArray(y) || x.length !== y.length || x.length < 3) {
+        return null;
+    }
+
+    let coefficient;
+    let nEff;
+    if (method === 'pearson') {
+        coefficient = pearsonCorrelation(x, y);
+        nEff = effectiveSampleSize(x, y);
+    } else {
+        // Rank methods measure persistence on the ranks too
+        const ranksX = rank(x);
+        const ranksY = rank(y);
+        coefficient = method === 'spearman' ? pearsonCorrelation(ranksX, ranksY) : kendallTau(x, y);
+        nEff = effectiveSampleSize(ranksX, ranksY);
+    }
+    if (coefficient === null) {
+        return null;
+    }
+
+    const alpha = options.alpha || 0.05;
+    let pValue;
+    if (method === 'kendall') {
+        const z = 3 * coefficient * Math.sqrt(nEff * (nEff - 1)) / Math.sqrt(2 * (2 * nEff + 5));
+        pValue = normalTwoSidedPValue(z);
+    } else {
+        const degreesOfFreedom = nEff - 2;
+        const t = Math.abs(coefficient) >= 1
+            ? Infinity
+            : coefficient * Math.sqrt(degreesOfFreedom / (1 - coefficient * coefficient));
+        pValue = studentTTwoSidedPValue(t, degreesOfFreedom);
+    }
+
+    const confidenceInterval = fisherConfidenceInterval(coefficient, nEff, method);
+    const excludesZero = confidenceInterval.lower > 0 || confidenceInterval.upper < 0;
+
+    return {
+        method,
+        coefficient,
+        pValue,
+        confidenceInterval,
+        sampleSize: x.length,
+        effectiveSampleSize: nEff,
+        isSignificant: pValue < alpha && excludesZero
+    };
+}
+
+/**
+ * Upper-tail p-value of an F statistic
+ * @param {number} f - F statistic
+ * @param {number} dfNumerator - Numerator degrees of freedom
+ * @param {number} dfDenominator - Denominator degrees of freedom
+ * @returns {number} P(F >= f)
+ */
+function fDistributionPValue(f, dfNumerator, dfDenominator) {
+    if (!Number.isFinite(f)) {
+        return 0;
+    }
+    if (f <= 0) {
+        return 1;
+    }
+    return regularizedIncompleteBeta(dfDenominator / (dfDenominator + dfNumerator * f), dfDenominator / 2, dfNumerator / 2);
+}
+
+/**
+ * One-way analysis of variance: do the group means differ by more than chance?
+ * Observations are treated as independent, so autocorrelated daily series overstate significance
+ * @param {Array<Array<number>>} groups - Values per group; empty groups are ignored
+ * @returns {Object|null} Object with fStatistic, dfBetween, dfWithin, pValue and etaSquared (share of
+ *   the total variance the grouping explains), or null with fewer than 2 groups or no residual
+ *   degrees of freedom
+ */
+function oneWayAnova(groups) {
+    const nonEmpty = groups.filter(group => group.length > 0);
+    const sampleSize = nonEmpty.reduce((sum, group) => sum + group.length, 0);
+    const dfBetween = nonEmpty.length - 1;
+    const dfWithin = sampleSize - nonEmpty.length;
+    if (dfBetween < 1 || dfWithin < 1) {
+        return null;
+    }
+
+    const grandMean = mean(nonEmpty.flat());
+    let sumOfSquaresBetween = 0;
+    let sumOfSquaresWithin = 0;
+    nonEmpty.forEach(group => {
+        const groupMean = mean(group);
+        sumOfSquaresBetween += group.length * (groupMean - grandMean) ** 2;
+        sumOfSquaresWithin += group.reduce((sum, value) => sum + (value - groupMean) ** 2, 0);
+    });
+
+    const totalSumOfSquares = sumOfSquaresBetween + sumOfSquaresWithin;
+    const meanSquareBetween = sumOfSquaresBetween / dfBetween;
+    const meanSquareWithin = sumOfSquaresWithin / dfWithin;
+    // Identical values within every group: any difference between groups is then certain
+    const fStatistic = meanSquareWithin > 0
+        ? meanSquareBetween / meanSquareWithin
+        : (meanSquareBetween > 0 ? Infinity : 0);
+
+    return {
+        fStatistic,
+        dfBetween,
+        dfWithin,
+        pValue: fDistributionPValue(fStatistic, dfBetween, dfWithin),
+        etaSquared: totalSumOfSquares > 0 ? sumOfSquaresBetween / totalSumOfSquares : 0
+    };
+}
+
+export {
+    CORRELATION_METHODS,
+    mean,
+    variance,
+    quantile,
+    median,
+    percentileRank,
+    rank,
+    pearsonCorrelation,
+    spearmanCorrelation,
+    kendallTau,
+    lagOneAutocorrelation,
+    effectiveSampleSize,
+    regularizedIncompleteBeta,
+    studentTTwoSidedPValue,
+    studentTCriticalValue,
+    normalTwoSidedPValue,
+    fDistributionPValue,
+    oneWayAnova,
+    fisherConfidenceInterval,
+    testCorrelation
+};
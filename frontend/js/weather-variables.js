@@ -0,0 +1,29 @@
+/**
+ * Weather variables - Open-Meteo daily weather and air quality variables the analysis knows how to use
+ * Maps each API variable to the field it is stored under on synchronized weather objects
+ */
+
+// Keyed by Open-Meteo daily variable name. `type` selects numeric validation in DataProcessor;
+// `archive: false` marks variables the ERA5 archive doesn't serve (those days come back null)
+const DAILY_WEATHER_VARIABLES = {
+    temperature_2m_max: { field: 'maxTemp', label: 'Temperature', unit: '°C', type: 'temperature' },
+    precipitation_sum: { field: 'rainfall', label: 'Rainfall', unit: 'mm', type: 'rainfall' },
+    relative_humidity_2m_mean: { field: 'humidity', label: 'Humidity', unit: '%', type: 'humidity' },
+    cloud_cover_mean: { field: 'cloudCover', label: 'Cloud cover', unit: '%', type: 'cloud cover' },
+    wind_speed_10m_max: { field: 'windSpeed', label: 'Wind speed', unit: 'km/h', type: 'wind speed' },
+    apparent_temperature_max: { field: 'apparentTemp', label: 'Feels-like temperature', unit: '°C', type: 'temperature' },
+    uv_index_max: { field: 'uvIndex', label: 'UV index', unit: '', type: 'uv index', archive: false },
+    pressure_msl_mean: { field: 'pressure', label: 'Pressure', unit: 'hPa', type: 'pressure' }
+};
+
+const DEFAULT_DAILY_WEATHER_VARIABLES = Object.keys(DAILY_WEATHER_VARIABLES);
+
+// Keyed by Open-Meteo air-quality hourly variable name. The API has no daily aggregates,
+// so `aggregate` says how DataProcessor folds hours into a day
+const AIR_QUALITY_VARIABLES = {
+    pm2_5: { field: 'pm25', label: 'PM2.5', unit: 'μg/m³', aggregate: 'mean' },
+    pm10: { field: 'pm10', label: 'PM10', unit: 'μg/m³', aggregate: 'mean' },
+    us_aqi: { field: 'usAqi', label: 'US AQI', unit: '', aggregate: 'max' }
+};
+
+export { DAILY_WEATHER_VARIABLES, DEFAULT_DAILY_WEATHER_VARIABLES, AIR_QUALITY_VARIABLES };
@@ -0,0 +1,133 @@
+/**
+ * Analysis inputs for a fixed six-week window in Bangalore, shaped like AnalysisEngine.fetchInputs
+ * Built in code so events, weather and dates stay in step; every value is deterministic
+ */
+
+import LocationRegistry from '../../frontend/js/location-registry.js';
+
+const START_DATE = '2025-03-03';
+const DAYS = 42;
+
+// The user starts pushing a week into the window, so the coverage window starts there
+const USER_FIRST_DAY = 7;
+
+const USERNAME = 'octo-dev';
+
+/**
+ * Date a number of days after the start of the window
+ * @param {number} offset - Days after START_DATE
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function dateAt(offset) {
+    const date = new Date(`${START_DATE}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + offset);
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Rain falls on every third day of the window
+ * @param {number} offset - Days after START_DATE
+ * @returns {boolean} True on rainy days
+ */
+function isRainy(offset) {
+    return offset % 3 === 0;
+}
+
+/**
+ * @param {number} offset - Days after START_DATE
+ * @returns {boolean} True on Saturdays and Sundays
+ */
+function isWeekend(offset) {
+    const weekday = new Date(`${dateAt(offset)}T00:00:00Z`).getUTCDay();
+    return weekday === 0 || weekday === 6;
+}
+
+/**
+ * A PushEvent as the GitHub events API returns it
+ * 06:00 UTC is 11:30 in Bangalore, so the local date is the UTC date
+ * @param {string} login - Actor login
+ * @param {string} repo - Repository as owner/name
+ * @param {number} offset - Days after START_DATE
+ * @param {number} commits - Commits in the push
+ * @returns {Object} PushEvent
+ */
+function pushEvent(login, repo, offset, commits) {
+    const owner = repo.split('/')[0];
+    return {
+        id: `${login}-${repo}-${offset}`,
+        type: 'PushEvent',
+        created_at: `${dateAt(offset)}T06:00:00Z`,
+        actor: { login },
+        org: owner === login ? undefined : { login: owner },
+        repo: { name: repo },
+        payload: { commits: Array.from({ length: commits }, (_, index) => ({ sha: `${offset}${index}` })) }
+    };
+}
+
+/**
+ * Build a fresh set of inputs
+ * On workdays the user makes 6 commits when it rains and 2 when it doesn't, to their own repository,
+ * and pushes one 4-commit change to acme every Monday. acme has six developers and globex four,
+ * each pushing every workday; a bot pushes to acme every day
+ * @returns {Object} Inputs with location, cohort, username, dateRange, userEvents, historyEvents,
+ *   orgData, failedOrgs, weatherData and airQualityData
+ */
+function buildAnalysisInputs() {
+    const userEvents = [];
+    const orgData = { acme: [], globex: [] };
+    const time = [];
+    const temperature = [];
+    const precipitation = [];
+    const humidity = [];
+    const pressure = [];
+
+    for (let offset = 0; offset < DAYS; offset++) {
+        time.push(dateAt(offset));
+        temperature.push(25 + (offset % 5));
+        precipitation.push(isRainy(offset) ? 12 : 0);
+        humidity.push(isRainy(offset) ? 90 : 60 + (offset % 7));
+        pressure.push(1010 - (offset % 4));
+
+        orgData.acme.push(pushEvent('dependabot[bot]', 'acme/api', offset, 1));
+        if (isWeekend(offset)) {
+            continue;
+        }
+
+        for (let developer = 0; developer < 6; developer++) {
+            orgData.acme.push(pushEvent(`acme-dev-${developer}`, 'acme/api', offset, developer + 1));
+        }
+        for (let developer = 0; developer < 4; developer++) {
+            orgData.globex.push(pushEvent(`globex-dev-${developer}`, 'globex/web', offset, 2 * developer + 1));
+        }
+
+        if (offset >= USER_FIRST_DAY) {
+            userEvents.push(pushEvent(USERNAME, `${USERNAME}/side-project`, offset, isRainy(offset) ? 6 : 2));
+            if (new Date(`${dateAt(offset)}T00:00:00Z`).getUTCDay() === 1) {
+                userEvents.push(pushEvent(USERNAME, 'acme/api', offset, 4));
+            }
+        }
+    }
+
+    return {
+        location: new LocationRegistry().get('bangalore'),
+        cohort: { id: 'fixture', name: 'Fixture cohort', orgs: ['acme', 'globex'] },
+        username: USERNAME,
+        dateRange: { startDate: dateAt(0), endDate: dateAt(DAYS - 1) },
+        userEvents,
+        historyEvents: null,
+        orgData,
+        failedOrgs: [],
+        weatherData: {
+            daily: {
+                time,
+                temperature_2m_max: temperature,
+                precipitation_sum: precipitation,
+                relative_humidity_2m_mean: humidity,
+                pressure_msl_mean: pressure
+            }
+        },
+        airQualityData: null
+    };
+}
+
+export { START_DATE, DAYS, USER_FIRST_DAY, USERNAME, dateAt, pushEvent, buildAnalysisInputs };
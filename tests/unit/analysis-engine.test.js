@@ -0,0 +1,299 @@
+/**
+ * Unit tests for AnalysisEngine: the coverage window, daily series padding, analyze() on
+ * fixture inputs, the seasonal breakdown of stored history, re-analysis with another normalization
+ * and the user's commits to the cohort
+ */
+
+import { jest } from '@jest/globals';
+import AnalysisEngine from '../../frontend/js/analysis-engine.js';
+import { DAYS, USER_FIRST_DAY, USERNAME, dateAt, pushEvent, buildAnalysisInputs } from '../fixtures/analysis-inputs.js';
+
+// The pipeline logs every step; keep test output to the results
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+afterAll(() => jest.restoreAllMocks());
+
+describe('AnalysisEngine.getCoverageWindow', () => {
+    const dateRange = { startDate: '2025-03-01', endDate: '2025-03-31' };
+
+    it('starts at the later of the series\' first active days', () => {
+        const engine = new AnalysisEngine();
+        const user = [{ date: '2025-03-12' }, { date: '2025-03-10' }];
+        const baseline = [{ date: '2025-03-04' }, { date: '2025-03-20' }];
+
+        expect(engine.getCoverageWindow([user, baseline], dateRange)).toEqual({
+            startDate: '2025-03-10',
+            endDate: '2025-03-31'
+        });
+    });
+
+    it('keeps the range start when every series reaches back past it, ignoring empty series', () => {
+        const engine = new AnalysisEngine();
+        const baseline = [{ date: '2025-02-20' }];
+
+        expect(engine.getCoverageWindow([[], baseline], dateRange)).toEqual(dateRange);
+        expect(engine.getCoverageWindow([[], []], dateRange)).toEqual(dateRange);
+    });
+
+    it('collapses to the last day when activity only starts after the range', () => {
+        const engine = new AnalysisEngine();
+
+        expect(engine.getCoverageWindow([[{ date: '2025-04-05' }]], dateRange)).toEqual({
+            startDate: '2025-03-31',
+            endDate: '2025-03-31'
+        });
+    });
+});
+
+describe('AnalysisEngine.buildDailySeries', () => {
+    const coverage = { startDate: '2025-03-03', endDate: '2025-03-09' };
+    const activity = [
+        { date: '2025-03-07', commits: 1, source: 'user' },
+        { date: '2025-03-04', commits: 3, source: 'user' },
+        { date: '2025-02-28', commits: 9, source: 'user' }
+    ];
+
+    it('pads every day of the window with zero-commit days, in date order', () => {
+        const engine = new AnalysisEngine();
+        const days = engine.buildDailySeries(activity, { coverage, weatherData: null, airQualityData: null, normalization: 'max' });
+
+        expect(days.map(day => day.date)).toEqual([
+            '2025-03-03', '2025-03-04', '2025-03-05', '2025-03-06', '2025-03-07', '2025-03-08', '2025-03-09'
+        ]);
+        expect(days.map(day => day.commits)).toEqual([0, 3, 0, 0, 1, 0, 0]);
+        expect(days.map(day => day.activityScore)).toEqual([0, 100, 0, 0, 33, 0, 0]);
+    });
+
+    it('marks padded days with their day type and leaves out days outside the window', () => {
+        const engine = new AnalysisEngine();
+        const days = engine.buildDailySeries(activity, { coverage, weatherData: null, airQualityData: null, normalization: 'max' });
+
+        expect(days.some(day => day.date === '2025-02-28')).toBe(false);
+        expect(days.map(day => day.dayType)).toEqual([
+            'workday', 'workday', 'workday', 'workday', 'workday', 'weekend', 'weekend'
+        ]);
+    });
+
+    it('attaches the weather of each day', () => {
+        const engine = new AnalysisEngine();
+        const { weatherData } = buildAnalysisInputs();
+        const days = engine.buildDailySeries(activity, { coverage, weatherData, airQualityData: null, normalization: 'max' });
+
+        // 2025-03-03 is the first fixture day, and rain falls on every third day
+        expect(days.map(day => day.weather.rainfall)).toEqual([12, 0, 0, 12, 0, 0, 12]);
+    });
+});
+
+describe('AnalysisEngine.analyze', () => {
+    it('synchronizes user and baseline over the coverage window', () => {
+        const engine = new AnalysisEngine();
+        const analysis = engine.analyze(buildAnalysisInputs());
+
+        expect(analysis.coverage).toEqual({ startDate: dateAt(USER_FIRST_DAY), endDate: dateAt(DAYS - 1) });
+        expect(analysis.userDaily).toHaveLength(DAYS - USER_FIRST_DAY);
+        expect(analysis.userDaily.map(day => day.date)).toEqual(analysis.baselineDaily.map(day => day.date));
+    });
+
+    it('counts commits per local day and marks holidays', () => {
+        const engine = new AnalysisEngine();
+        const analysis = engine.analyze(buildAnalysisInputs());
+
+        // 25 weekdays at 2 or 6 commits, plus 4 commits to acme on each of the 5 Mondays
+        expect(analysis.userDaily.reduce((sum, day) => sum + day.commits, 0)).toBe(102);
+        expect(analysis.userDaily.filter(day => day.dayType === 'holiday').map(day => day.date))
+            .toEqual(['2025-03-30', '2025-03-31', '2025-04-10']);
+    });
+
+    it('finds the rain effect built into the fixture', () => {
+        const engine = new AnalysisEngine();
+        const { rainfallCorrelation } = engine.analyze(buildAnalysisInputs()).weatherCorrelations;
+
+        expect(rainfallCorrelation.coefficient).toBeGreaterThan(0.5);
+        expect(rainfallCorrelation.isSignificant).toBe(true);
+    });
+
+    it('sums each organization over the whole fetched range', () => {
+        const engine = new AnalysisEngine();
+        const { organizations } = engine.analyze(buildAnalysisInputs());
+
+        // 30 weekdays of 1 to 6 commits from the developers, plus the bot's daily commit
+        expect(organizations.acme.totalCommits).toBe(30 * 21 + DAYS);
+        expect(organizations.globex.totalCommits).toBe(30 * 16);
+    });
+
+    it('compares the user\'s commits with a typical developer at each organization', () => {
+        const engine = new AnalysisEngine();
+        const { acme, globex } = engine.analyze(buildAnalysisInputs()).companyComparisons;
+
+        // 102 commits over the user's 25 weekdays; the median developer makes 3.5 at acme and 4 at globex
+        expect(acme).toMatchObject({ userAverage: 102 / 25, average: 3.5, dataPoints: 25 });
+        expect(acme.ratio).toBeCloseTo(102 / 25 / 3.5);
+        expect(globex).toMatchObject({ userAverage: 102 / 25, average: 4, dataPoints: 25, percentage: 100 });
+    });
+
+    it('compares the user with individual developers, leaving out bots and pushes without an actor', () => {
+        const engine = new AnalysisEngine();
+        const inputs = buildAnalysisInputs();
+        const mondayPush = inputs.orgData.acme.find(event =>
+            event.actor.login === 'acme-dev-0' && event.created_at.startsWith(dateAt(USER_FIRST_DAY)));
+        inputs.orgData.acme.push({ ...mondayPush, id: 'anonymous', actor: undefined });
+        const analysis = engine.analyze(inputs);
+        const monday = analysis.baselineDaily[0];
+
+        // Ten developers, whose commits per contributor are 1, 1, 2, 3, 3, 4, 5, 5, 6 and 7
+        expect(monday.activeContributors).toBe(10);
+        expect(monday.contributorsByOrg).toEqual({ acme: 6, globex: 4 });
+        expect(monday.medianCommitsPerContributor).toBe(3.5);
+        expect(monday.commitsPerContributor).toBeCloseTo(3.7, 12);
+        expect(analysis.performanceAnalysis.basis).toBe('perDeveloper');
+        expect(analysis.performanceAnalysis.unit).toBe('commits per day');
+        expect(analysis.performanceAnalysis.baselineMedian).toBe(3.5);
+        expect(analysis.organizations.globex.averageContributors).toBe(4);
+    });
+
+    it('places the user among the cohort\'s contributors, leaving out bots', () => {
+        const engine = new AnalysisEngine();
+        const { contributorDistribution } = engine.analyze(buildAnalysisInputs());
+
+        // Ten developers; the bot is no contributor
+        expect(contributorDistribution.contributorCount).toBe(10);
+        expect(contributorDistribution.leaderboard[0].login).toBe('globex-dev-3');
+        // Only the user's 5 pushes to acme count, as the org feeds would show them
+        expect(contributorDistribution.userValue).toBeCloseTo(20 / 35, 2);
+    });
+
+    it('analyzes the baseline alone without a user', () => {
+        const engine = new AnalysisEngine();
+        const inputs = { ...buildAnalysisInputs(), username: null, userEvents: null };
+        const analysis = engine.analyze(inputs);
+
+        expect(analysis.userDaily).toEqual([]);
+        expect(analysis.baselineDaily).toHaveLength(DAYS);
+        expect(analysis.performanceAnalysis.hasEnoughData).toBe(false);
+        expect(analysis.contributorDistribution.userValue).toBeNull();
+        expect(analysis.insights).toEqual([]);
+    });
+
+    it('leaves its inputs untouched', () => {
+        const engine = new AnalysisEngine();
+        const inputs = buildAnalysisInputs();
+        const snapshot = structuredClone(inputs);
+
+        engine.analyze(inputs);
+        expect(inputs).toEqual(snapshot);
+    });
+});
+
+describe('AnalysisEngine re-analysis after a normalization change', () => {
+    it('rescales activity scores without changing the commits', () => {
+        const engine = new AnalysisEngine();
+        const inputs = buildAnalysisInputs();
+        const byMax = engine.analyze(inputs, { normalization: 'max' });
+        const byPercentile = engine.analyze(inputs, { normalization: 'percentile' });
+
+        expect(byMax.metadata.normalization.strategy).toBe('max');
+        expect(byPercentile.metadata.normalization.strategy).toBe('percentile');
+        expect(byPercentile.userDaily.map(day => day.commits)).toEqual(byMax.userDaily.map(day => day.commits));
+        expect(byPercentile.userDaily.map(day => day.activityScore))
+            .not.toEqual(byMax.userDaily.map(day => day.activityScore));
+        expect(byPercentile.contributorDistribution).toEqual(byMax.contributorDistribution);
+        expect(byPercentile.companyComparisons).toEqual(byMax.companyComparisons);
+    });
+
+    it('gives the same result when switching back', () => {
+        const engine = new AnalysisEngine();
+        const inputs = buildAnalysisInputs();
+        const first = engine.analyze(inputs, { normalization: 'max' });
+        engine.analyze(inputs, { normalization: 'zScore' });
+        const again = engine.analyze(inputs, { normalization: 'max' });
+
+        expect(again.userDaily).toEqual(first.userDaily);
+        expect(again.performanceAnalysis).toEqual(first.performanceAnalysis);
+    });
+
+    it('uses the engine default when no strategy is given', () => {
+        const engine = new AnalysisEngine({ normalization: 'log' });
+
+        expect(engine.analyze(buildAnalysisInputs()).metadata.normalization.strategy).toBe('log');
+    });
+
+    it('rejects unknown strategies', () => {
+        const engine = new AnalysisEngine();
+
+        expect(() => engine.analyze(buildAnalysisInputs(), { normalization: 'cubeRoot' }))
+            .toThrow(/Unknown normalization strategy: cubeRoot/);
+    });
+});
+
+describe('AnalysisEngine seasonal breakdown', () => {
+    /**
+     * Stored history from 2025-01-06: 1 or 2 commits a weekday in the winter, 4 or 5 from March on
+     * @returns {Array<Object>} PushEvents
+     */
+    function buildHistoryEvents() {
+        const events = [];
+        for (let offset = -56; offset < DAYS; offset++) {
+            const date = dateAt(offset);
+            const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+            if (weekday !== 0 && weekday !== 6) {
+                const commits = (date < '2025-03-01' ? 1 : 4) + (offset % 2 === 0 ? 1 : 0);
+                events.push(pushEvent(USERNAME, `${USERNAME}/side-project`, offset, commits));
+            }
+        }
+        return events;
+    }
+
+    it('compares the seasons of the stored history', () => {
+        const engine = new AnalysisEngine();
+        const inputs = { ...buildAnalysisInputs(), historyEvents: buildHistoryEvents() };
+        const { seasonalAnalysis } = engine.analyze(inputs);
+
+        expect(seasonalAnalysis.hasEnoughData).toBe(true);
+        expect(seasonalAnalysis.comparedSeasons).toEqual(['winter', 'summer']);
+        expect(seasonalAnalysis.busiestSeason).toBe('summer');
+        expect(seasonalAnalysis.quietestSeason).toBe('winter');
+        expect(seasonalAnalysis.anova.isSignificant).toBe(true);
+    });
+
+    it('names the day types compared in the seasonal insight', () => {
+        const engine = new AnalysisEngine();
+        const inputs = { ...buildAnalysisInputs(), historyEvents: buildHistoryEvents() };
+        const { seasonalAnalysis, insights } = engine.analyze(inputs);
+        const messageFor = dayTypes => engine.insightGenerator
+            .generateSeasonalInsights({ ...seasonalAnalysis, dayTypes })[0].message;
+
+        expect(seasonalAnalysis.dayTypes).toEqual(['workday']);
+        expect(insights.find(insight => insight.type === 'seasonal_analysis').message)
+            .toContain('variation in your workday activity');
+        expect(messageFor(['holiday', 'workday'])).toContain('variation in your workday and holiday activity');
+        expect(messageFor(null)).toContain('variation in your activity');
+    });
+
+    it('needs two seasons, which the analysis window alone does not span', () => {
+        const engine = new AnalysisEngine();
+        const { seasonalAnalysis } = engine.analyze(buildAnalysisInputs());
+
+        expect(seasonalAnalysis.hasEnoughData).toBe(false);
+        expect(Object.keys(seasonalAnalysis.seasons)).toEqual(['summer']);
+    });
+
+    it('skips locations without a season calendar', () => {
+        const engine = new AnalysisEngine();
+        const { location, userEvents } = buildAnalysisInputs();
+
+        expect(engine.analyzeSeasons({ ...location, seasonCalendar: null }, userEvents, dateAt(DAYS - 1))).toBeNull();
+    });
+});
+
+describe('AnalysisEngine.countCohortCommits', () => {
+    it('counts only pushes to cohort repositories that the org feeds reach', () => {
+        const engine = new AnalysisEngine();
+        const { userEvents, orgData } = buildAnalysisInputs();
+        const coverage = { startDate: dateAt(0), endDate: dateAt(DAYS - 1) };
+
+        expect(engine.countCohortCommits(userEvents, orgData, coverage)).toBe(20);
+        expect(engine.countCohortCommits(userEvents, { acme: [], globex: orgData.globex }, coverage)).toBe(0);
+    });
+});
@@ -0,0 +1,90 @@
+/**
+ * Unit tests for the backend's persistent event store
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import EventStore from '../../backend/event-store.js';
+
+/**
+ * @param {string} id - Event id
+ * @returns {Object} PushEvent from the zerodha org
+ */
+function pushEvent(id) {
+    return {
+        id,
+        type: 'PushEvent',
+        created_at: '2025-03-03T06:00:00Z',
+        actor: { login: 'dev' },
+        org: { login: 'zerodha' },
+        repo: { name: 'zerodha/kite' },
+        payload: { commits: [{ sha: `${id}-sha`, message: 'Fix' }] }
+    };
+}
+
+let directory;
+
+beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'event-store-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(directory, { recursive: true, force: true });
+});
+
+describe('EventStore', () => {
+    it('stores new events once and reloads them from disk', async () => {
+        const filePath = path.join(directory, 'events.jsonl');
+        const store = new EventStore(filePath);
+        await store.load();
+
+        expect(await store.addEvents([pushEvent('1'), pushEvent('2')])).toBe(2);
+        expect(await store.addEvents([pushEvent('2'), pushEvent('3')])).toBe(1);
+
+        const reloaded = new EventStore(filePath);
+        expect(await reloaded.load()).toBe(3);
+        expect(reloaded.query({ org: 'Zerodha' }).map(event => event.id).sort()).toEqual(['1', '2', '3']);
+    });
+
+    it('stores events again after their append failed', async () => {
+        const filePath = path.join(directory, 'events.jsonl');
+        const store = new EventStore(filePath);
+        await store.load();
+        jest.spyOn(fs, 'appendFile').mockRejectedValueOnce(new Error('ENOSPC: no space left on device'));
+
+        await expect(store.addEvents([pushEvent('1')])).rejects.toThrow('ENOSPC');
+        expect(store.events.has('1')).toBe(false);
+
+        expect(await store.addEvents([pushEvent('1'), pushEvent('2')])).toBe(2);
+        const reloaded = new EventStore(filePath);
+        expect(await reloaded.load()).toBe(2);
+    });
+
+    it('keeps the write queue going after a failed append', async () => {
+        const filePath = path.join(directory, 'events.jsonl');
+        const store = new EventStore(filePath);
+        await store.load();
+        jest.spyOn(fs, 'appendFile').mockRejectedValueOnce(new Error('EIO'));
+
+        const [failed, stored] = await Promise.allSettled([
+            store.addEvents([pushEvent('1')]),
+            store.addEvents([pushEvent('2')])
+        ]);
+
+        expect(failed.status).toBe('rejected');
+        expect(stored.value).toBe(1);
+        expect(Array.from(store.events.keys())).toEqual(['2']);
+    });
+
+    it('keeps only the fields the analysis uses', async () => {
+        const store = new EventStore(path.join(directory, 'events.jsonl'));
+        await store.load();
+        await store.addEvents([pushEvent('1')]);
+
+        expect(store.events.get('1').payload).toEqual({ commits: [{ sha: '1-sha' }] });
+    });
+});
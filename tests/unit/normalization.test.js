@@ -0,0 +1,58 @@
+/**
+ * Unit tests for the Activity Score normalization strategies
+ */
+
+import { NORMALIZATION_STRATEGIES, validateStrategy, scaleValues } from '../../frontend/js/normalization.js';
+
+describe('scaleValues', () => {
+    it('scales by the busiest day by default', () => {
+        expect(scaleValues([2, 4, 6, 10])).toEqual([20, 40, 60, 100]);
+    });
+
+    it('scales between the quietest and busiest day with min-max', () => {
+        expect(scaleValues([2, 4, 6, 10], 'minMax')).toEqual([0, 25, 50, 100]);
+    });
+
+    it('ranks days with percentile, counting ties as half', () => {
+        expect(scaleValues([2, 4, 6, 10], 'percentile')).toEqual([13, 38, 63, 88]);
+        expect(scaleValues([0, 0, 5, 5], 'percentile')).toEqual([25, 25, 75, 75]);
+    });
+
+    it('maps z-scores through the normal distribution', () => {
+        // Mean 2 and standard deviation 1, so the outer days sit one standard deviation out
+        expect(scaleValues([1, 2, 3], 'zScore')).toEqual([16, 50, 84]);
+    });
+
+    it('scales log(1 + commits) by the busiest day', () => {
+        expect(scaleValues([0, 1, 3, 7], 'log')).toEqual([0, 33, 67, 100]);
+    });
+
+    it('scales by the 95th percentile day and caps at 100 with robust scaling', () => {
+        const values = Array.from({ length: 20 }, (_, index) => index + 1);
+        const scores = scaleValues(values, 'robust');
+
+        // The 95th percentile of 1..20 is 19.05
+        expect(scores[9]).toBe(Math.round(10 / 19.05 * 100));
+        expect(scores.slice(-2)).toEqual([100, 100]);
+        expect(scaleValues([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 4], 'robust').at(-1)).toBe(100);
+    });
+
+    it('gives every day the same score when there is nothing to spread', () => {
+        Object.keys(NORMALIZATION_STRATEGIES).forEach(strategy => {
+            expect(scaleValues([3, 3], strategy)).toEqual([100, 100]);
+            expect(scaleValues([0, 0], strategy)).toEqual([0, 0]);
+        });
+    });
+
+    it('uses a fixed reference for max scaling when given one', () => {
+        expect(scaleValues([5, 10], 'max', { maxValue: 20 })).toEqual([25, 50]);
+        expect(scaleValues([5, 10], 'max', { maxValue: 5 })).toEqual([100, 100]);
+    });
+
+    it('returns an empty array for no days and rejects unknown strategies', () => {
+        expect(scaleValues([], 'zScore')).toEqual([]);
+        expect(() => scaleValues([1, 2], 'cubeRoot')).toThrow('Unknown normalization strategy: cubeRoot');
+        expect(() => validateStrategy('cubeRoot')).toThrow('Unknown normalization strategy: cubeRoot');
+        expect(validateStrategy('log')).toBe('log');
+    });
+});
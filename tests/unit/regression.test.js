@@ -0,0 +1,138 @@
+/**
+ * Unit tests for the OLS activity model, checked against hand-computed fits
+ */
+
+import { invertMatrix, fitOrdinaryLeastSquares, fitActivityModel } from '../../frontend/js/regression.js';
+import { studentTTwoSidedPValue, studentTCriticalValue } from '../../frontend/js/statistics.js';
+
+/**
+ * Days starting on Monday 2025-03-03 with weather that no weekday pattern explains
+ * @param {number} count - Number of days
+ * @param {Function} score - Activity score of a day, given its offset and weather
+ * @returns {Array<Object>} Synchronized days
+ */
+function buildDays(count, score) {
+    return Array.from({ length: count }, (_, offset) => {
+        const date = new Date(Date.UTC(2025, 2, 3 + offset)).toISOString().split('T')[0];
+        const weather = {
+            maxTemp: 25 + (offset % 5),
+            rainfall: offset % 3 === 0 ? 12 : 0,
+            humidity: 60 + 3 * (offset % 4) + (offset % 3 === 0 ? 20 : 0)
+        };
+        return { date, dayType: 'workday', weather, activityScore: score(offset, weather) };
+    });
+}
+
+describe('invertMatrix', () => {
+    it('inverts a square matrix', () => {
+        const inverse = invertMatrix([[4, 7], [2, 6]]);
+
+        expect(inverse[0][0]).toBeCloseTo(0.6, 12);
+        expect(inverse[0][1]).toBeCloseTo(-0.7, 12);
+        expect(inverse[1][0]).toBeCloseTo(-0.2, 12);
+        expect(inverse[1][1]).toBeCloseTo(0.4, 12);
+    });
+
+    it('pivots past a zero on the diagonal', () => {
+        const inverse = invertMatrix([[0, 2], [1, 0]]);
+
+        expect(inverse).toEqual([[0, 1], [0.5, 0]]);
+    });
+
+    it('returns null for a singular matrix', () => {
+        expect(invertMatrix([[1, 2], [2, 4]])).toBeNull();
+    });
+});
+
+describe('fitOrdinaryLeastSquares', () => {
+    // y = 2.2 + 0.6x with residuals -0.8, 0.6, 1, -0.6, -0.2
+    const rows = [1, 2, 3, 4, 5].map(x => [1, x]);
+    const y = [2, 4, 5, 4, 5];
+
+    it('estimates the coefficients and fit statistics', () => {
+        const fit = fitOrdinaryLeastSquares(rows, y, ['intercept', 'x']);
+        const [intercept, slope] = fit.coefficients;
+
+        expect(intercept.estimate).toBeCloseTo(2.2, 12);
+        expect(slope.estimate).toBeCloseTo(0.6, 12);
+        expect(fit.rSquared).toBeCloseTo(0.6, 12);
+        expect(fit.adjustedRSquared).toBeCloseTo(1 - 0.4 * 4 / 3, 12);
+        expect(fit.residualStandardError).toBeCloseTo(Math.sqrt(0.8), 12);
+        expect(fit.sampleSize).toBe(5);
+        expect(fit.degreesOfFreedom).toBe(3);
+    });
+
+    it('tests each coefficient with its standard error', () => {
+        const [intercept, slope] = fitOrdinaryLeastSquares(rows, y, ['intercept', 'x']).coefficients;
+
+        // s^2 (X'X)^-1 with s^2 = 0.8: 0.8 / 10 for the slope, 0.8 * (1/5 + 9/10) for the intercept
+        expect(slope.standardError).toBeCloseTo(Math.sqrt(0.08), 12);
+        expect(intercept.standardError).toBeCloseTo(Math.sqrt(0.88), 12);
+        expect(slope.tStatistic).toBeCloseTo(0.6 / Math.sqrt(0.08), 10);
+        // A simple regression's slope test is the Pearson correlation test
+        expect(slope.pValue).toBeCloseTo(studentTTwoSidedPValue(Math.sqrt(4.5), 3), 10);
+        expect(slope.isSignificant).toBe(false);
+        expect(slope.confidenceInterval.lower).toBeCloseTo(0.6 - studentTCriticalValue(0.05, 3) * Math.sqrt(0.08), 10);
+        expect(slope.confidenceInterval.level).toBe(0.95);
+    });
+
+    it('returns null without residual degrees of freedom or with collinear columns', () => {
+        expect(fitOrdinaryLeastSquares(rows.slice(0, 2), y.slice(0, 2), ['intercept', 'x'])).toBeNull();
+        expect(fitOrdinaryLeastSquares(rows.map(([one, x]) => [one, x, 2 * x]), y, ['intercept', 'x', 'twice'])).toBeNull();
+    });
+});
+
+describe('fitActivityModel', () => {
+    it('recovers weather, weekday and holiday effects', () => {
+        const days = buildDays(42, (offset, weather) =>
+            30 + 2 * weather.rainfall - 0.5 * weather.humidity + (offset % 7 === 4 ? -6 : 0));
+        days[9].dayType = 'holiday';
+        days[9].activityScore -= 10;
+
+        const model = fitActivityModel(days);
+
+        expect(model.hasEnoughData).toBe(true);
+        expect(model.dataPoints).toBe(42);
+        expect(model.referenceWeekday).toBe('Monday');
+        expect(model.weatherEffects.rainfall.estimate).toBeCloseTo(2, 8);
+        expect(model.weatherEffects.humidity.estimate).toBeCloseTo(-0.5, 8);
+        expect(model.weatherEffects.maxTemp.estimate).toBeCloseTo(0, 8);
+        expect(model.weatherEffects.rainfall.unit).toBe('mm');
+        expect(model.weekdayEffects.Friday.estimate).toBeCloseTo(-6, 8);
+        expect(model.weekdayEffects.Tuesday.estimate).toBeCloseTo(0, 8);
+        expect(model.weekdayEffects.Monday).toBeUndefined();
+        expect(model.holidayEffect.estimate).toBeCloseTo(-10, 8);
+        expect(model.rSquared).toBeCloseTo(1, 10);
+    });
+
+    it('takes holidays from the options as well as from day types', () => {
+        const days = buildDays(42, (offset, weather) => 40 + weather.rainfall - (offset === 16 ? 8 : 0));
+        const model = fitActivityModel(days, { holidays: [days[16].date] });
+
+        expect(model.holidayEffect.estimate).toBeCloseTo(-8, 8);
+    });
+
+    it('drops predictors that never vary and weather missing on too many days', () => {
+        const days = buildDays(42, (offset, weather) => 40 + weather.rainfall);
+        days.slice(0, 10).forEach(day => { day.weather.humidity = null; });
+
+        const model = fitActivityModel(days);
+
+        expect(model.predictors).not.toContain('holiday');
+        expect(model.predictors).not.toContain('humidity');
+        expect(model.holidayEffect).toBeNull();
+        expect(model.dataPoints).toBe(42);
+    });
+
+    it('needs enough days to leave residual degrees of freedom', () => {
+        const model = fitActivityModel(buildDays(12, () => 50));
+
+        expect(model.hasEnoughData).toBe(false);
+        expect(model.dataPoints).toBe(12);
+        expect(model.message).toMatch(/Need at least 15 days/);
+    });
+
+    it('rejects anything but an array', () => {
+        expect(() => fitActivityModel(null)).toThrow('Activity data must be an array');
+    });
+});
@@ -0,0 +1,257 @@
+/**
+ * Unit tests for the statistics helpers, checked against closed forms and textbook values
+ */
+
+import {
+    mean,
+    variance,
+    quantile,
+    median,
+    percentileRank,
+    rank,
+    pearsonCorrelation,
+    spearmanCorrelation,
+    kendallTau,
+    lagOneAutocorrelation,
+    effectiveSampleSize,
+    regularizedIncompleteBeta,
+    studentTTwoSidedPValue,
+    studentTCriticalValue,
+    normalTwoSidedPValue,
+    fDistributionPValue,
+    oneWayAnova,
+    fisherConfidenceInterval,
+    testCorrelation
+} from '../../frontend/js/statistics.js';
+
+// Textbook example: r = sqrt(0.6), t = 2.1213 on 3 degrees of freedom
+const X = [1, 2, 3, 4, 5];
+const Y = [2, 4, 5, 4, 5];
+
+describe('descriptive statistics', () => {
+    it('averages values, with 0 for an empty array', () => {
+        expect(mean([1, 2, 3, 4])).toBe(2.5);
+        expect(mean([])).toBe(0);
+    });
+
+    it('computes the sample variance, with 0 for fewer than 2 values', () => {
+        expect(variance([2, 4, 4, 4, 5, 5, 7, 9])).toBeCloseTo(32 / 7, 12);
+        expect(variance([3])).toBe(0);
+    });
+
+    it('interpolates quantiles between the closest ranks', () => {
+        expect(quantile([4, 1, 3, 2], 0.5)).toBe(2.5);
+        expect(quantile([1, 2, 3, 4, 5], 0.95)).toBeCloseTo(4.8, 12);
+        expect(quantile([], 0.5)).toBe(0);
+        expect(median([7, 1, 3])).toBe(3);
+    });
+
+    it('places a value among others, counting ties as half below', () => {
+        expect(percentileRank(3, [1, 2, 3, 4])).toBe(62.5);
+        expect(percentileRank(0, [1, 2, 3, 4])).toBe(0);
+        expect(percentileRank(9, [1, 2, 3, 4])).toBe(100);
+        expect(percentileRank(1, [])).toBe(0);
+    });
+
+    it('ranks values from 1, giving ties their average rank', () => {
+        expect(rank([30, 10, 20, 20])).toEqual([4, 1, 2.5, 2.5]);
+    });
+});
+
+describe('correlation coefficients', () => {
+    it('computes Pearson r', () => {
+        expect(pearsonCorrelation(X, Y)).toBeCloseTo(Math.sqrt(0.6), 12);
+        expect(pearsonCorrelation(X, X.map(value => -3 * value))).toBeCloseTo(-1, 12);
+    });
+
+    it('returns null when a series has no variance', () => {
+        expect(pearsonCorrelation(X, [2, 2, 2, 2, 2])).toBeNull();
+        expect(spearmanCorrelation(X, [2, 2, 2, 2, 2])).toBeNull();
+        expect(kendallTau(X, [2, 2, 2, 2, 2])).toBeNull();
+    });
+
+    it('computes Spearman rho on ranks, so monotonic curves score 1', () => {
+        expect(spearmanCorrelation(X, X.map(value => value ** 3))).toBeCloseTo(1, 12);
+        expect(spearmanCorrelation([1, 2, 2, 3], [1, 2, 3, 3])).toBeCloseTo(5 / 6, 12);
+    });
+
+    it('computes Kendall tau-b, correcting for ties', () => {
+        // 7 concordant and 3 discordant pairs
+        expect(kendallTau(X, [3, 1, 2, 5, 4])).toBeCloseTo(0.4, 12);
+        // 4 concordant pairs, one tie in each series: 4 / sqrt(5 * 5)
+        expect(kendallTau([1, 2, 2, 3], [1, 2, 3, 3])).toBeCloseTo(0.8, 12);
+    });
+});
+
+describe('autocorrelation and effective sample size', () => {
+    it('measures lag-1 autocorrelation', () => {
+        expect(lagOneAutocorrelation(X)).toBeCloseTo(0.4, 12);
+        expect(lagOneAutocorrelation(Y)).toBe(0);
+        expect(lagOneAutocorrelation([1, 2])).toBe(0);
+    });
+
+    it('keeps the full length unless both series persist', () => {
+        expect(effectiveSampleSize(X, Y)).toBe(5);
+        expect(effectiveSampleSize([1, -1, 1, -1, 1, -1], X.concat(6))).toBe(6);
+    });
+
+    it('shrinks the sample when both series trend together', () => {
+        const trend = Array.from({ length: 20 }, (_, index) => index);
+        const persistence = lagOneAutocorrelation(trend) ** 2;
+
+        expect(effectiveSampleSize(trend, trend)).toBeCloseTo(20 * (1 - persistence) / (1 + persistence), 12);
+        expect(effectiveSampleSize(trend, trend)).toBeLessThan(20);
+    });
+});
+
+describe('distribution functions', () => {
+    it('evaluates the regularized incomplete beta function', () => {
+        expect(regularizedIncompleteBeta(0.3, 1, 1)).toBeCloseTo(0.3, 10);
+        expect(regularizedIncompleteBeta(0.4, 3, 1)).toBeCloseTo(0.4 ** 3, 10);
+        expect(regularizedIncompleteBeta(0.5, 2.5, 2.5)).toBeCloseTo(0.5, 10);
+        expect(regularizedIncompleteBeta(0, 2, 3)).toBe(0);
+        expect(regularizedIncompleteBeta(1, 2, 3)).toBe(1);
+    });
+
+    it('gives Student t p-values matching the closed forms', () => {
+        // One degree of freedom is the Cauchy distribution, two has P = 1 - t / sqrt(2 + t^2)
+        expect(studentTTwoSidedPValue(2, 1)).toBeCloseTo(1 - (2 / Math.PI) * Math.atan(2), 10);
+        expect(studentTTwoSidedPValue(-3, 2)).toBeCloseTo(1 - 3 / Math.sqrt(11), 10);
+        expect(studentTTwoSidedPValue(0, 7)).toBeCloseTo(1, 10);
+        expect(studentTTwoSidedPValue(Infinity, 7)).toBe(0);
+    });
+
+    it('finds the tabulated two-sided 5% critical values of t', () => {
+        expect(studentTCriticalValue(0.05, 1)).toBeCloseTo(12.7062, 3);
+        expect(studentTCriticalValue(0.05, 10)).toBeCloseTo(2.2281, 4);
+        expect(studentTCriticalValue(0.05, 30)).toBeCloseTo(2.0423, 4);
+        expect(studentTTwoSidedPValue(studentTCriticalValue(0.01, 12), 12)).toBeCloseTo(0.01, 10);
+    });
+
+    it('gives F p-values matching t and the two-numerator closed form', () => {
+        // F(1, d) is t^2 on d degrees of freedom; F(2, d) has P = (1 + 2F / d)^(-d / 2)
+        expect(fDistributionPValue(2.5 ** 2, 1, 9)).toBeCloseTo(studentTTwoSidedPValue(2.5, 9), 10);
+        expect(fDistributionPValue(27, 2, 6)).toBeCloseTo(0.001, 10);
+        expect(fDistributionPValue(0, 2, 6)).toBe(1);
+        expect(fDistributionPValue(Infinity, 2, 6)).toBe(0);
+    });
+
+    it('gives standard normal p-values', () => {
+        expect(normalTwoSidedPValue(1.959963984540054)).toBeCloseTo(0.05, 6);
+        expect(normalTwoSidedPValue(-2.575829)).toBeCloseTo(0.01, 6);
+        expect(normalTwoSidedPValue(0)).toBeCloseTo(1, 6);
+    });
+});
+
+describe('oneWayAnova', () => {
+    it('splits the variance between and within groups', () => {
+        // Means 3, 6 and 9: 54 between on 2 degrees of freedom, 6 within on 6
+        const result = oneWayAnova([[2, 3, 4], [5, 6, 7], [8, 9, 10]]);
+
+        expect(result.fStatistic).toBeCloseTo(27, 12);
+        expect(result.dfBetween).toBe(2);
+        expect(result.dfWithin).toBe(6);
+        expect(result.pValue).toBeCloseTo(0.001, 10);
+        expect(result.etaSquared).toBeCloseTo(0.9, 12);
+    });
+
+    it('matches the two-sample t-test for two groups, ignoring empty groups', () => {
+        const result = oneWayAnova([[1, 2, 3], [], [4, 5, 6]]);
+
+        expect(result.fStatistic).toBeCloseTo(13.5, 12);
+        expect(result.pValue).toBeCloseTo(studentTTwoSidedPValue(Math.sqrt(13.5), 4), 10);
+    });
+
+    it('is certain when groups differ without spread, and finds nothing when they are equal', () => {
+        expect(oneWayAnova([[1, 1], [2, 2]]).fStatistic).toBe(Infinity);
+        expect(oneWayAnova([[1, 1], [2, 2]]).pValue).toBe(0);
+        expect(oneWayAnova([[3, 3], [3, 3]])).toMatchObject({ fStatistic: 0, pValue: 1, etaSquared: 0 });
+    });
+
+    it('returns null with one group or no residual degrees of freedom', () => {
+        expect(oneWayAnova([[1, 2, 3]])).toBeNull();
+        expect(oneWayAnova([[1], [2]])).toBeNull();
+    });
+});
+
+describe('fisherConfidenceInterval', () => {
+    it('transforms r with standard error 1 / sqrt(n - 3)', () => {
+        const interval = fisherConfidenceInterval(0.5, 28);
+        const margin = 1.959963984540054 / 5;
+
+        expect(interval.lower).toBeCloseTo(Math.tanh(Math.atanh(0.5) - margin), 12);
+        expect(interval.upper).toBeCloseTo(Math.tanh(Math.atanh(0.5) + margin), 12);
+        expect(interval.level).toBe(0.95);
+    });
+
+    it('widens for rank methods', () => {
+        const pearson = fisherConfidenceInterval(0.5, 28, 'pearson');
+        const spearman = fisherConfidenceInterval(0.5, 28, 'spearman');
+        const kendall = fisherConfidenceInterval(0.5, 28, 'kendall');
+
+        expect(spearman.upper - spearman.lower).toBeGreaterThan(pearson.upper - pearson.lower);
+        expect(kendall.lower).toBeCloseTo(Math.tanh(Math.atanh(0.5) - 1.959963984540054 * Math.sqrt(0.437 / 24)), 12);
+    });
+
+    it('spans every correlation when the sample is too small', () => {
+        expect(fisherConfidenceInterval(0.9, 3)).toEqual({ lower: -1, upper: 1, level: 0.95 });
+        expect(fisherConfidenceInterval(0.9, 4, 'kendall')).toEqual({ lower: -1, upper: 1, level: 0.95 });
+    });
+});
+
+describe('testCorrelation', () => {
+    it('tests Pearson r with a t-test on n - 2 degrees of freedom', () => {
+        const result = testCorrelation(X, Y);
+
+        expect(result.method).toBe('pearson');
+        expect(result.coefficient).toBeCloseTo(Math.sqrt(0.6), 12);
+        // t3 closed form: P = 1 - (2 / pi) * (atan(s) + s / (1 + s^2)) with s = t / sqrt(3)
+        const s = Math.sqrt(1.5);
+        expect(result.pValue).toBeCloseTo(1 - (2 / Math.PI) * (Math.atan(s) + s / (1 + s * s)), 8);
+        expect(result.sampleSize).toBe(5);
+        expect(result.effectiveSampleSize).toBe(5);
+        expect(result.isSignificant).toBe(false);
+    });
+
+    it('tests Kendall tau with its normal approximation', () => {
+        const y = [3, 1, 2, 5, 4];
+        const result = testCorrelation(X, y, { method: 'kendall' });
+        const nEff = effectiveSampleSize(rank(X), rank(y));
+        const z = 3 * 0.4 * Math.sqrt(nEff * (nEff - 1)) / Math.sqrt(2 * (2 * nEff + 5));
+
+        expect(result.coefficient).toBeCloseTo(0.4, 12);
+        expect(result.pValue).toBeCloseTo(normalTwoSidedPValue(z), 12);
+    });
+
+    it('calls a strong correlation over many days significant', () => {
+        const x = Array.from({ length: 40 }, (_, index) => (index * 7) % 11);
+        const y = x.map((value, index) => value + ((index * 5) % 3));
+
+        ['pearson', 'spearman', 'kendall'].forEach(method => {
+            const result = testCorrelation(x, y, { method });
+            expect(result.pValue).toBeLessThan(0.001);
+            expect(result.confidenceInterval.lower).toBeGreaterThan(0);
+            expect(result.isSignificant).toBe(true);
+        });
+    });
+
+    it('does not call a result significant while its interval still spans 0', () => {
+        // The t-test loses two degrees of freedom and the interval three, so with a tiny
+        // effective sample the test passes before the interval clears 0
+        const result = testCorrelation([1, 3, 2, 4], [1, 3, 2.4, 4]);
+
+        expect(result.pValue).toBeLessThan(0.05);
+        expect(result.confidenceInterval.lower).toBeLessThan(0);
+        expect(result.isSignificant).toBe(false);
+    });
+
+    it('returns null with fewer than 3 pairs, mismatched lengths or no variance', () => {
+        expect(testCorrelation([1, 2], [3, 4])).toBeNull();
+        expect(testCorrelation(X, Y.slice(1))).toBeNull();
+        expect(testCorrelation(X, [1, 1, 1, 1, 1])).toBeNull();
+    });
+
+    it('rejects unknown methods', () => {
+        expect(() => testCorrelation(X, Y, { method: 'distance' })).toThrow(/Unknown correlation method: distance/);
+    });
+});
@@ -0,0 +1,52 @@
+/**
+ * Unit tests for the backend's TTL cache
+ */
+
+import { jest } from '@jest/globals';
+import TtlCache from '../../backend/ttl-cache.js';
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+describe('TtlCache', () => {
+    it('serves entries until they expire', () => {
+        const cache = new TtlCache(1000);
+        cache.set('zerodha', { events: [] });
+
+        jest.advanceTimersByTime(999);
+        expect(cache.get('zerodha')).toEqual({ events: [] });
+        expect(cache.getRemainingTtl('zerodha')).toBe(1);
+
+        jest.advanceTimersByTime(1);
+        expect(cache.get('zerodha')).toBeUndefined();
+        expect(cache.getRemainingTtl('zerodha')).toBe(0);
+    });
+
+    it('sweeps out expired keys that are never requested again while storing new ones', () => {
+        const cache = new TtlCache(1000);
+        cache.set('zerodha', 1);
+        cache.set('razorpay', 2);
+
+        jest.advanceTimersByTime(1000);
+        cache.set('hasura', 3);
+
+        expect(cache.size).toBe(1);
+        expect(cache.get('hasura')).toBe(3);
+    });
+
+    it('sweeps at most once per TTL window', () => {
+        const cache = new TtlCache(1000);
+        const prune = jest.spyOn(cache, 'prune');
+
+        cache.set('zerodha', 1);
+        jest.advanceTimersByTime(500);
+        cache.set('razorpay', 2);
+        expect(prune).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(500);
+        cache.set('hasura', 3);
+        cache.set('postmanlabs', 4);
+        expect(prune).toHaveBeenCalledTimes(1);
+        expect(cache.size).toBe(3);
+    });
+});